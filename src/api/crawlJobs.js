@@ -0,0 +1,157 @@
+/**
+ * Crawl jobs started through the API server
+ *
+ * Crawls share the global CONFIG, so jobs run one at a time in the order they
+ * were started; the others wait in the queue. A job is cancelled by aborting
+ * the signal passed to crawlProfile(), which leaves the run resumable.
+ */
+
+import crypto from 'crypto';
+import { crawlProfile } from '../crawler.js';
+import { meetsQualityThreshold } from '../handlers/validator.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('api');
+
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const FINISHED = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+/**
+ * Public view of a job
+ * @param {Object} job - Job
+ * @returns {Object} Job without its profile and abort controller
+ */
+function describeJob(job) {
+    const { profile, controller, ...details } = job;
+    return details;
+}
+
+/**
+ * Summarise a finished crawl for the job status
+ * @param {Object} result - Result of crawlProfile()
+ * @returns {Object} { outputFiles, totalRecords, validRecords, qualityScore, meetsQuality, changes }
+ */
+function summarizeResult({ outputFiles, qualityReport, diffReport }) {
+    return {
+        outputFiles,
+        totalRecords: qualityReport.totalRecords,
+        validRecords: qualityReport.validRecords,
+        qualityScore: qualityReport.qualityScore,
+        meetsQuality: meetsQualityThreshold(qualityReport),
+        changes: diffReport?.summary ?? null
+    };
+}
+
+/**
+ * Create the crawl job queue
+ * @param {Object} options - { crawl: crawl function, crawlProfile() by default (replaced in tests) }
+ * @returns {Object} { start(profile, overrides), get(id), list(), cancel(id), getActive() }
+ */
+export function createCrawlJobQueue({ crawl = crawlProfile } = {}) {
+    const jobs = new Map();
+    const pending = [];
+    let active = null;
+
+    const runNext = async () => {
+        if (active || pending.length === 0) {
+            return;
+        }
+
+        const job = pending.shift();
+        active = job;
+        Object.assign(job, { status: JOB_STATUS.RUNNING, startedAt: new Date().toISOString() });
+        log.info(`Job ${job.id}: crawling profile "${job.profileId}"`);
+
+        try {
+            const result = await crawl(job.profile, job.overrides, {
+                signal: job.controller.signal,
+                onProgress: ({ runId, records, pages }) => {
+                    job.runId = runId;
+                    job.progress = { records, pages };
+                }
+            });
+            job.status = JOB_STATUS.COMPLETED;
+            job.result = summarizeResult(result);
+        } catch (error) {
+            job.status = job.controller.signal.aborted ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED;
+            job.error = error.message;
+            if (job.status === JOB_STATUS.FAILED) {
+                log.error(`Job ${job.id} failed`, { error });
+            }
+        } finally {
+            job.finishedAt = new Date().toISOString();
+            active = null;
+            log.info(`Job ${job.id}: ${job.status}`);
+            runNext();
+        }
+    };
+
+    /**
+     * Queue a crawl of a profile
+     * @param {Object} profile - Validated site profile
+     * @param {Object} overrides - CONFIG values overriding the profile for this run
+     * @returns {Object} The queued job
+     */
+    const start = (profile, overrides = {}) => {
+        const job = {
+            id: crypto.randomUUID(),
+            profileId: profile.id,
+            status: JOB_STATUS.QUEUED,
+            runId: null,
+            overrides,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            cancelRequested: false,
+            progress: { records: 0, pages: { succeeded: 0, failed: 0, retried: 0 } },
+            result: null,
+            error: null,
+            profile,
+            controller: new AbortController()
+        };
+        jobs.set(job.id, job);
+        pending.push(job);
+        runNext();
+        return describeJob(job);
+    };
+
+    /**
+     * Cancel a queued or running job
+     * A running crawl stops after the pages in progress, so the job only turns
+     * cancelled once the crawler has stopped.
+     * @param {string} id - Job id
+     * @returns {Object|null} The job, or null when it is unknown
+     */
+    const cancel = (id) => {
+        const job = jobs.get(id);
+        if (!job) {
+            return null;
+        }
+        if (FINISHED.includes(job.status)) {
+            return describeJob(job);
+        }
+
+        job.cancelRequested = true;
+        job.controller.abort();
+        if (job.status === JOB_STATUS.QUEUED) {
+            pending.splice(pending.indexOf(job), 1);
+            Object.assign(job, { status: JOB_STATUS.CANCELLED, finishedAt: new Date().toISOString() });
+        }
+        return describeJob(job);
+    };
+
+    return {
+        start,
+        cancel,
+        get: id => (jobs.has(id) ? describeJob(jobs.get(id)) : null),
+        list: () => [...jobs.values()].reverse().map(describeJob),
+        getActive: () => (active ? describeJob(active) : null)
+    };
+}
@@ -0,0 +1,277 @@
+/**
+ * Local HTTP API: start, poll and cancel crawls, and query the latest specialists
+ *
+ *   GET    /api/health                               server and active job
+ *   GET    /api/profiles                             configured site profiles
+ *   POST   /api/crawls                               start a crawl: { profile, overrides }
+ *   GET    /api/crawls                               all jobs, newest first
+ *   GET    /api/crawls/:jobId                        job status and progress
+ *   DELETE /api/crawls/:jobId                        cancel a queued or running job
+ *   GET    /api/profiles/:id/specialists             ?name=&page=&pageSize=
+ *   GET    /api/profiles/:id/specialists/lookup      ?url=
+ *
+ * Responses are JSON; errors are { error } with a 4xx/5xx status.
+ */
+
+import http from 'http';
+import path from 'path';
+import { mergeDeep, resolveProfile } from '../config/profileLoader.js';
+import { validateProfile } from '../config/profileSchema.js';
+import { createLogger } from '../utils/logger.js';
+import { createCrawlJobQueue, JOB_STATUS } from './crawlJobs.js';
+import { MAX_PAGE_SIZE, createSpecialistsReader, findSpecialist, querySpecialists } from './specialists.js';
+
+const log = createLogger('api');
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// CONFIG values a crawl started through the API may override. Anything else
+// (hooks, output paths, site URLs) could run commands or write files
+// elsewhere, and the API can be reached by any page open in a local browser.
+export const API_OVERRIDE_PATHS = [
+    'CRAWLER.mode',
+    'CRAWLER.maxRequestsPerCrawl',
+    'CRAWLER.timeout',
+    'CRAWLER.headless',
+    'CRAWLER.cache.mode',
+    'OUTPUT.formats',
+    'VALIDATION.minQuality',
+    'DIFF.enabled'
+];
+
+/**
+ * Error answered with an HTTP status
+ */
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Read and parse a JSON request body
+ * Only application/json bodies are read: browsers send other content types
+ * from any web page without asking the API first.
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+async function readJsonBody(request) {
+    const contentType = (request.headers['content-type'] ?? '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') {
+        throw new HttpError(415, 'Content-Type must be application/json');
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new HttpError(413, 'Request body is too large');
+        }
+        chunks.push(chunk);
+    }
+
+    const text = Buffer.concat(chunks).toString('utf8').trim();
+    if (!text) {
+        return {};
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+    }
+}
+
+/**
+ * Check that overrides only set values allowed through the API
+ * @param {Object} overrides - Nested CONFIG overrides from a request
+ * @param {string} prefix - Dotted path of `overrides`
+ * @throws {HttpError} When a value outside API_OVERRIDE_PATHS is set
+ */
+function checkOverridePaths(overrides, prefix = '') {
+    for (const [key, value] of Object.entries(overrides)) {
+        const keyPath = `${prefix}${key}`;
+        if (API_OVERRIDE_PATHS.includes(keyPath)) continue;
+
+        const isParent = API_OVERRIDE_PATHS.some(allowed => allowed.startsWith(`${keyPath}.`));
+        if (!isParent || typeof value !== 'object' || value === null || Array.isArray(value)) {
+            throw new HttpError(400, `overrides.${keyPath} cannot be set through the API (allowed: ${API_OVERRIDE_PATHS.join(', ')})`);
+        }
+        checkOverridePaths(value, `${keyPath}.`);
+    }
+}
+
+/**
+ * Parse a positive integer query parameter
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @param {number} defaultValue - Value when the parameter is missing
+ * @param {number} max - Largest allowed value
+ * @returns {number} Value
+ */
+function getIntegerParam(params, name, defaultValue, max = Infinity) {
+    if (!params.has(name)) {
+        return defaultValue;
+    }
+    const value = Number(params.get(name));
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+        throw new HttpError(400, `${name} must be a whole number from 1${max === Infinity ? '' : ` to ${max}`}`);
+    }
+    return value;
+}
+
+/**
+ * Create the API server (not listening yet)
+ * @param {Object} options - { profiles: loaded profiles from loadProfiles(), overrides: CONFIG overrides for every crawl, jobs }
+ * @returns {http.Server} Server
+ */
+export function createApiServer({ profiles, overrides = {}, jobs = createCrawlJobQueue() }) {
+    const specialistsReader = createSpecialistsReader(overrides);
+
+    const getProfile = (id) => {
+        const entry = profiles.get(id);
+        if (!entry) {
+            throw new HttpError(404, `Unknown profile "${id}"`);
+        }
+        if (entry.errors.length > 0) {
+            throw new HttpError(409, `Profile "${id}" is invalid: ${entry.errors.join('; ')}`);
+        }
+        return entry.profile;
+    };
+
+    const getJob = (id) => {
+        const job = jobs.get(id);
+        if (!job) {
+            throw new HttpError(404, `Unknown crawl job "${id}"`);
+        }
+        return job;
+    };
+
+    const loadSpecialists = (profileId) => {
+        const latest = specialistsReader.load(getProfile(profileId));
+        if (!latest) {
+            throw new HttpError(404, `No saved output for profile "${profileId}" yet - start a crawl first`);
+        }
+        return latest;
+    };
+
+    const describeSource = (latest) => ({
+        file: path.basename(latest.file),
+        siteName: latest.envelope.siteName ?? null,
+        extractedDate: latest.envelope.extractedDate ?? null
+    });
+
+    // [method, path pattern, handler({ request, params, query }) -> response body, status]
+    const routes = [
+        ['GET', /^\/api\/health$/, () => ({ status: 'ok', activeJob: jobs.getActive() })],
+
+        ['GET', /^\/api\/profiles$/, () => [...profiles].map(([id, entry]) => ({
+            id,
+            name: entry.profile?.SITE?.name ?? null,
+            startUrl: entry.profile?.SITE?.startUrl ?? null,
+            valid: entry.errors.length === 0,
+            errors: entry.errors
+        }))],
+
+        ['POST', /^\/api\/crawls$/, async ({ request }) => {
+            const body = await readJsonBody(request);
+            if (typeof body.profile !== 'string') {
+                throw new HttpError(400, 'profile is required');
+            }
+            if (body.overrides !== undefined && (typeof body.overrides !== 'object' || body.overrides === null || Array.isArray(body.overrides))) {
+                throw new HttpError(400, 'overrides must be an object of CONFIG values');
+            }
+            checkOverridePaths(body.overrides ?? {});
+
+            const profile = getProfile(body.profile);
+            const jobOverrides = mergeDeep(mergeDeep({}, overrides), body.overrides ?? {});
+            const errors = validateProfile(resolveProfile(profile, jobOverrides));
+            if (errors.length > 0) {
+                throw new HttpError(400, `Invalid overrides: ${errors.join('; ')}`);
+            }
+            return jobs.start(profile, jobOverrides);
+        }, 202],
+
+        ['GET', /^\/api\/crawls$/, () => jobs.list()],
+
+        ['GET', /^\/api\/crawls\/([^/]+)$/, ({ params: [id] }) => getJob(id)],
+
+        ['DELETE', /^\/api\/crawls\/([^/]+)$/, ({ params: [id] }) => {
+            const job = getJob(id);
+            if ([JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status)) {
+                throw new HttpError(409, `Crawl job "${id}" already ${job.status}`);
+            }
+            return jobs.cancel(id);
+        }, 202],
+
+        ['GET', /^\/api\/profiles\/([^/]+)\/specialists$/, ({ params: [profileId], query }) => {
+            const latest = loadSpecialists(profileId);
+            return {
+                source: describeSource(latest),
+                ...querySpecialists(latest.envelope.specialists, {
+                    name: query.get('name') ?? '',
+                    page: getIntegerParam(query, 'page', 1),
+                    pageSize: getIntegerParam(query, 'pageSize', 50, MAX_PAGE_SIZE)
+                })
+            };
+        }],
+
+        ['GET', /^\/api\/profiles\/([^/]+)\/specialists\/lookup$/, ({ params: [profileId], query }) => {
+            const url = query.get('url');
+            if (!url) {
+                throw new HttpError(400, 'url is required');
+            }
+            const latest = loadSpecialists(profileId);
+            const specialist = findSpecialist(latest.envelope.specialists, url, latest.canonicalization);
+            if (!specialist) {
+                throw new HttpError(404, `No specialist with URL ${url} in ${path.basename(latest.file)}`);
+            }
+            return { source: describeSource(latest), specialist };
+        }]
+    ];
+
+    const handle = async (request) => {
+        const url = new URL(request.url, 'http://localhost');
+        const pathname = url.pathname.replace(/\/+$/, '') || '/';
+        const matching = routes
+            .map(([method, pattern, handler, status = 200]) => ({ method, handler, status, match: pattern.exec(pathname) }))
+            .filter(route => route.match);
+
+        if (matching.length === 0) {
+            throw new HttpError(404, `Not found: ${pathname}`);
+        }
+        const route = matching.find(candidate => candidate.method === request.method);
+        if (!route) {
+            throw new HttpError(405, `${request.method} is not allowed for ${pathname}`);
+        }
+
+        let params;
+        try {
+            params = route.match.slice(1).map(decodeURIComponent);
+        } catch {
+            throw new HttpError(400, `Malformed URL: ${pathname}`);
+        }
+        return { status: route.status, body: await route.handler({ request, params, query: url.searchParams }) };
+    };
+
+    return http.createServer(async (request, response) => {
+        let status;
+        let body;
+        try {
+            ({ status, body } = await handle(request));
+        } catch (error) {
+            status = error instanceof HttpError ? error.status : 500;
+            body = { error: error.message };
+            if (status === 500) {
+                log.error(`${request.method} ${request.url} failed`, { error });
+            }
+        }
+
+        log.debug(`${request.method} ${request.url} ${status}`);
+        response.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+        response.end(JSON.stringify(body, null, 2));
+    });
+}
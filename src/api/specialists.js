@@ -0,0 +1,79 @@
+/**
+ * Read and query the specialists of the latest saved output of a profile
+ *
+ * Reads the JSON files written by saveDataToFile() (gzipped ones too) without
+ * applying the profile to CONFIG, so queries can be answered during a crawl.
+ */
+
+import fs from 'fs';
+import { buildProfileConfig } from '../config/profileLoader.js';
+import { findLatestOutput, readOutputFile } from '../handlers/outputManager.js';
+import { canonicalizeUrl } from '../utils/urlFilter.js';
+
+export const MAX_PAGE_SIZE = 500;
+
+/**
+ * Create a reader for the latest output of each profile
+ * Parsed files are cached until they change on disk.
+ * @param {Object} overrides - CONFIG overrides the server was started with
+ * @returns {Object} { load(profile) -> { file, envelope, canonicalization } | null }
+ */
+export function createSpecialistsReader(overrides = {}) {
+    const cache = new Map();
+
+    const load = (profile) => {
+        const config = buildProfileConfig(profile, overrides);
+        const file = findLatestOutput(profile.id, config.OUTPUT);
+        if (!file) {
+            return null;
+        }
+
+        const { mtimeMs } = fs.statSync(file);
+        const cached = cache.get(file);
+        if (cached?.mtimeMs !== mtimeMs) {
+            const data = readOutputFile(file);
+            const envelope = Array.isArray(data) ? { specialists: data } : { ...data, specialists: data.specialists || [] };
+            cache.set(file, { mtimeMs, envelope });
+        }
+
+        return { file, envelope: cache.get(file).envelope, canonicalization: config.SITE.canonicalization };
+    };
+
+    return { load };
+}
+
+/**
+ * Filter specialists by name and return one page of them
+ * @param {Array<Object>} specialists - Specialist records
+ * @param {Object} query - { name: case-insensitive substring of doctorName, page: 1-based, pageSize }
+ * @returns {Object} { total, page, pageSize, totalPages, specialists }
+ */
+export function querySpecialists(specialists, { name = '', page = 1, pageSize = 50 } = {}) {
+    const needle = name.trim().toLowerCase();
+    const matches = needle
+        ? specialists.filter(record => String(record.doctorName ?? '').toLowerCase().includes(needle))
+        : specialists;
+    const start = (page - 1) * pageSize;
+
+    return {
+        total: matches.length,
+        page,
+        pageSize,
+        totalPages: Math.ceil(matches.length / pageSize),
+        specialists: matches.slice(start, start + pageSize)
+    };
+}
+
+/**
+ * Find a specialist by detail page URL
+ * The URL is canonicalized like enqueued URLs, so tracking parameters or a
+ * trailing slash do not matter.
+ * @param {Array<Object>} specialists - Specialist records
+ * @param {string} url - Detail page URL
+ * @param {Object} canonicalization - SITE.canonicalization of the profile
+ * @returns {Object|null} Specialist record
+ */
+export function findSpecialist(specialists, url, canonicalization) {
+    const canonicalUrl = canonicalizeUrl(url, canonicalization);
+    return specialists.find(record => record.url === url || record.url === canonicalUrl) ?? null;
+}
@@ -0,0 +1,345 @@
+/**
+ * Command-line interface: argument parsing, help output and command dispatch
+ */
+
+import { parseArgs } from 'util';
+import { loadProfiles } from '../config/profileLoader.js';
+import { getRegisteredFormats } from '../handlers/fileHandler.js';
+import { CRAWLER_MODES } from '../handlers/crawlerMode.js';
+import { CACHE_MODES } from '../handlers/httpCache.js';
+import { configureLogger, createLogger, LOG_FORMATS, LOG_LEVELS } from '../utils/logger.js';
+import { EXIT_CODES, UsageError } from './common.js';
+import { crawlCommand } from './commands/crawl.js';
+import { runsCommand } from './commands/runs.js';
+import { retryFailedCommand } from './commands/retryFailed.js';
+import { validateConfigCommand } from './commands/validateConfig.js';
+import { testSelectorsCommand } from './commands/testSelectors.js';
+import { diagnoseCommand } from './commands/diagnose.js';
+import { exportCommand } from './commands/export.js';
+import { diffCommand } from './commands/diff.js';
+import { serveCommand } from './commands/serve.js';
+import { scheduleCommand } from './commands/schedule.js';
+import { parseCron } from '../utils/cron.js';
+
+const log = createLogger('cli');
+
+export const COMMANDS = {
+    'crawl': {
+        run: crawlCommand,
+        usage: 'crawl [--resume <runId>]',
+        description: 'Crawl the selected site profiles and save their data (default)'
+    },
+    'runs': {
+        run: runsCommand,
+        usage: 'runs',
+        description: 'List crawl runs and whether they can be resumed'
+    },
+    'retry-failed': {
+        run: retryFailedCommand,
+        usage: 'retry-failed [dead-letter.ndjson]',
+        description: 'Re-run only the requests recorded in a dead-letter file'
+    },
+    'validate-config': {
+        run: validateConfigCommand,
+        usage: 'validate-config',
+        description: 'Validate site profiles (with overrides applied) without crawling'
+    },
+    'test-selectors': {
+        run: testSelectorsCommand,
+        usage: 'test-selectors <url>',
+        description: 'Open a page and report how many elements each selector matches'
+    },
+    'diagnose': {
+        run: diagnoseCommand,
+        usage: 'diagnose [detail-url]',
+        description: 'Check all selectors on the start page and a detail page, suggest fixes'
+    },
+    'diff': {
+        run: diffCommand,
+        usage: 'diff [previous.json] [current.json]',
+        description: 'Report added, removed and modified specialists between two runs'
+    },
+    'export': {
+        run: exportCommand,
+        usage: 'export [input.json] [--format <f>]',
+        description: 'Convert a saved JSON output file (default: the latest run) to other formats'
+    },
+    'serve': {
+        run: serveCommand,
+        usage: 'serve [--port <n>]',
+        description: 'Run the HTTP API to start crawls and query the latest specialists'
+    },
+    'schedule': {
+        run: scheduleCommand,
+        usage: 'schedule [--cron <expr>]',
+        description: 'Keep running and crawl each scheduled profile when its SCHEDULE.cron is due'
+    }
+};
+
+const OPTIONS = {
+    'profile': { type: 'string', short: 'p' },
+    'set': { type: 'string', multiple: true },
+    'max-requests': { type: 'string' },
+    'mode': { type: 'string' },
+    'cache': { type: 'string' },
+    'headless': { type: 'boolean' },
+    'no-headless': { type: 'boolean' },
+    'timeout': { type: 'string' },
+    'start-url': { type: 'string' },
+    'format': { type: 'string', short: 'f' },
+    'output-dir': { type: 'string' },
+    'resume': { type: 'string' },
+    'min-quality': { type: 'string' },
+    'out': { type: 'string', short: 'o' },
+    'port': { type: 'string' },
+    'host': { type: 'string' },
+    'cron': { type: 'string' },
+    'log-level': { type: 'string' },
+    'log-format': { type: 'string' },
+    'help': { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Build the --help text
+ * @returns {string} Help text
+ */
+export function getHelpText() {
+    const commands = Object.values(COMMANDS)
+        .map(command => `  ${command.usage.padEnd(36)}${command.description}`)
+        .join('\n');
+
+    return `Usage: node src/main.js [command] [options]
+
+Commands:
+${commands}
+
+Options:
+  -p, --profile <ids>                 Comma separated profile ids, or "all" (env: CRAWLER_PROFILE)
+      --set <PATH=value>              Override any CONFIG value, e.g. --set CRAWLER.timeout=20000
+                                      (repeatable; values are parsed as JSON when possible)
+      --max-requests <n>              Override CRAWLER.maxRequestsPerCrawl
+      --mode <mode>                   Crawl with playwright, cheerio or auto (overrides CRAWLER.mode)
+      --cache <mode>                  record responses to the HTTP cache, replay a crawl from it
+                                      offline, or off (overrides CRAWLER.cache.mode)
+      --headless / --no-headless      Override CRAWLER.headless
+      --timeout <ms>                  Override CRAWLER.timeout
+      --start-url <url>               Override SITE.startUrl
+  -f, --format <formats>              Comma separated output formats: ${getRegisteredFormats().join(', ')}
+                                      (overrides OUTPUT.formats)
+      --output-dir <dir>              Override OUTPUT.directory
+      --resume <runId>                Continue an interrupted crawl run (see the runs command)
+      --min-quality <percent>         Fail the crawl below this % of valid records
+                                      (overrides VALIDATION.minQuality)
+  -o, --out <file>                    Output file for a single-format export (default: stdout)
+                                      or the JSON report of diagnose
+      --port <n>                      Port of the serve command (env: PORT, default: 3000)
+      --host <host>                   Address of the serve command (env: HOST, default: 127.0.0.1)
+      --cron <expr>                   Crawl schedule, e.g. "0 6 * * 1-5" (overrides SCHEDULE.cron)
+      --log-level <level>             ${LOG_LEVELS.join(', ')} (env: LOG_LEVEL, default: info)
+      --log-format <format>           text or json, one JSON object per line (env: LOG_FORMAT, default: text)
+  -h, --help                          Show this help
+
+Exit codes: 0 success, 1 failure, 2 invalid usage`;
+}
+
+/**
+ * Parse a --set value, falling back to a plain string when it is not JSON
+ * @param {string} raw - Raw value
+ * @returns {*} Parsed value
+ */
+function parseValue(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return raw;
+    }
+}
+
+/**
+ * Set a value on a nested object using a dotted path
+ * @param {Object} target - Object to modify
+ * @param {string} dottedPath - Path like CRAWLER.labels.DETAIL
+ * @param {*} value - Value to set
+ */
+function setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    const last = keys.pop();
+    let node = target;
+
+    for (const key of keys) {
+        if (node[key] === undefined || node[key] === null || typeof node[key] !== 'object') {
+            node[key] = {};
+        }
+        node = node[key];
+    }
+
+    node[last] = value;
+}
+
+/**
+ * Convert override flags into a nested CONFIG overrides object
+ * @param {Object} options - Parsed options
+ * @returns {Object} Nested overrides
+ */
+export function buildOverrides(options) {
+    const overrides = {};
+
+    for (const assignment of options.set || []) {
+        const separator = assignment.indexOf('=');
+        if (separator <= 0) {
+            throw new UsageError(`Invalid --set value "${assignment}", expected PATH=value`);
+        }
+        setPath(overrides, assignment.slice(0, separator), parseValue(assignment.slice(separator + 1)));
+    }
+
+    if (options['max-requests'] !== undefined) {
+        const maxRequests = Number(options['max-requests']);
+        if (!Number.isInteger(maxRequests) || maxRequests <= 0) {
+            throw new UsageError('--max-requests must be a positive integer');
+        }
+        setPath(overrides, 'CRAWLER.maxRequestsPerCrawl', maxRequests);
+    }
+
+    if (options.timeout !== undefined) {
+        const timeout = Number(options.timeout);
+        if (!Number.isFinite(timeout) || timeout <= 0) {
+            throw new UsageError('--timeout must be a positive number of milliseconds');
+        }
+        setPath(overrides, 'CRAWLER.timeout', timeout);
+    }
+
+    if (options.mode !== undefined) {
+        if (!CRAWLER_MODES.includes(options.mode)) {
+            throw new UsageError(`--mode must be one of: ${CRAWLER_MODES.join(', ')}`);
+        }
+        setPath(overrides, 'CRAWLER.mode', options.mode);
+    }
+
+    if (options.cache !== undefined) {
+        if (!CACHE_MODES.includes(options.cache)) {
+            throw new UsageError(`--cache must be one of: ${CACHE_MODES.join(', ')}`);
+        }
+        setPath(overrides, 'CRAWLER.cache.mode', options.cache);
+    }
+
+    if (options.headless && options['no-headless']) {
+        throw new UsageError('--headless and --no-headless cannot be combined');
+    }
+    if (options.headless) setPath(overrides, 'CRAWLER.headless', true);
+    if (options['no-headless']) setPath(overrides, 'CRAWLER.headless', false);
+
+    if (options['start-url'] !== undefined) {
+        setPath(overrides, 'SITE.startUrl', options['start-url']);
+    }
+
+    if (options.format !== undefined) {
+        const formats = options.format.split(',').map(format => format.trim()).filter(Boolean);
+        const available = getRegisteredFormats();
+        const unknown = formats.filter(format => !available.includes(format));
+        if (formats.length === 0 || unknown.length > 0) {
+            throw new UsageError(`--format must list formats from: ${available.join(', ')}`);
+        }
+        setPath(overrides, 'OUTPUT.formats', formats);
+    }
+
+    if (options['min-quality'] !== undefined) {
+        const minQuality = Number(options['min-quality']);
+        if (!Number.isFinite(minQuality) || minQuality < 0 || minQuality > 100) {
+            throw new UsageError('--min-quality must be a percentage between 0 and 100');
+        }
+        setPath(overrides, 'VALIDATION.minQuality', minQuality);
+    }
+
+    if (options['output-dir'] !== undefined) {
+        setPath(overrides, 'OUTPUT.directory', options['output-dir']);
+    }
+
+    if (options.cron !== undefined) {
+        try {
+            parseCron(options.cron);
+        } catch (error) {
+            throw new UsageError(`--cron: ${error.message}`);
+        }
+        setPath(overrides, 'SCHEDULE.cron', options.cron);
+    }
+
+    return overrides;
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {Object} { command, args, options, overrides }
+ */
+export function parseCliArgs(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const [command = 'crawl', ...args] = parsed.positionals;
+    if (!COMMANDS[command]) {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+
+    return {
+        command,
+        args,
+        options: parsed.values,
+        overrides: buildOverrides(parsed.values)
+    };
+}
+
+/**
+ * Configure logging from --log-level / --log-format or LOG_LEVEL / LOG_FORMAT
+ * @param {Object} options - Parsed options
+ */
+function configureLogging(options) {
+    const level = options['log-level'] ?? process.env.LOG_LEVEL ?? 'info';
+    const format = options['log-format'] ?? process.env.LOG_FORMAT ?? 'text';
+
+    if (!LOG_LEVELS.includes(level)) {
+        throw new UsageError(`--log-level must be one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    if (!LOG_FORMATS.includes(format)) {
+        throw new UsageError(`--log-format must be one of: ${LOG_FORMATS.join(', ')}`);
+    }
+
+    configureLogger({ level, format });
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runCli(argv) {
+    let cli;
+    try {
+        cli = parseCliArgs(argv);
+        configureLogging(cli.options);
+    } catch (error) {
+        console.error(`Error: ${error.message}\n`);
+        console.error(getHelpText());
+        return EXIT_CODES.USAGE;
+    }
+
+    if (cli.options.help) {
+        console.log(getHelpText());
+        return EXIT_CODES.OK;
+    }
+
+    try {
+        const profiles = await loadProfiles();
+        return await COMMANDS[cli.command].run({ ...cli, profiles });
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`Error: ${error.message}`);
+            return EXIT_CODES.USAGE;
+        }
+        log.error(`${cli.command} failed`, { error });
+        return EXIT_CODES.FAILURE;
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * `crawl` command: crawl every selected profile in turn, or resume a run
+ */
+
+import { crawlProfile } from '../../crawler.js';
+import { mergeDeep, selectProfiles } from '../../config/profileLoader.js';
+import { loadCheckpoint, RUN_STATUS } from '../../handlers/checkpointHandler.js';
+import { meetsQualityThreshold } from '../../handlers/validator.js';
+import { createLogger } from '../../utils/logger.js';
+import { EXIT_CODES, UsageError, getSelectedProfiles } from '../common.js';
+
+const log = createLogger('crawl');
+
+/**
+ * Resume an interrupted run with the profile and overrides it was started with
+ * Overrides given now are applied on top of the original ones.
+ * @param {Object} context - Command context from runCli()
+ * @returns {Promise<number>} Exit code
+ */
+async function resumeRun(context) {
+    const checkpoint = loadCheckpoint(context.options.resume);
+    if (!checkpoint) {
+        throw new UsageError(`No run found with ID "${context.options.resume}"`);
+    }
+    if (checkpoint.status === RUN_STATUS.COMPLETED) {
+        throw new UsageError(`Run "${checkpoint.runId}" already completed; nothing to resume`);
+    }
+
+    const [profile] = selectProfiles([checkpoint.profileId], context.profiles);
+    const overrides = mergeDeep(mergeDeep({}, checkpoint.overrides), context.overrides);
+
+    const result = await crawlProfile(profile, overrides, { resume: checkpoint });
+    return checkQuality(result) ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Report whether a crawl met its quality threshold
+ * @param {Object} result - Result of crawlProfile()
+ * @returns {boolean} True when the threshold is met (or not set)
+ */
+function checkQuality(result) {
+    const { qualityReport } = result;
+    if (meetsQualityThreshold(qualityReport)) {
+        return true;
+    }
+
+    log.error(`Run ${result.runId}: quality ${qualityReport.qualityScore}% is below the minimum of ${qualityReport.minQuality}%`);
+    return false;
+}
+
+/**
+ * Crawl the selected profiles
+ * A profile that fails is logged and the remaining profiles are still crawled.
+ * @param {Object} context - Command context from runCli()
+ * @returns {Promise<number>} Exit code: FAILURE when any profile failed or missed its quality threshold
+ */
+export async function crawlCommand(context) {
+    if (context.options.resume) {
+        return resumeRun(context);
+    }
+
+    const profiles = getSelectedProfiles(context);
+    const failed = [];
+    let allPassed = true;
+
+    for (const profile of profiles) {
+        try {
+            const result = await crawlProfile(profile, context.overrides);
+            allPassed = checkQuality(result) && allPassed;
+        } catch (error) {
+            log.error(`Crawl of profile "${profile.id}" failed`, { error });
+            failed.push(profile.id);
+        }
+    }
+
+    if (failed.length > 0 && profiles.length > 1) {
+        log.error(`${failed.length} of ${profiles.length} profile(s) failed: ${failed.join(', ')}`);
+    }
+    return allPassed && failed.length === 0 ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+}
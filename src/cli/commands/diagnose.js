@@ -0,0 +1,150 @@
+/**
+ * `diagnose` command: check all selectors on the start page and a sample
+ * detail page, and suggest replacements for the ones that match nothing
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { chromium } from 'playwright';
+import { CONFIG } from '../../config/config.js';
+import { applyProfile } from '../../config/profileLoader.js';
+import { fetchDom, resolveCrawlerMode } from '../../handlers/crawlerMode.js';
+import { createPlaywrightDom } from '../../handlers/domAdapter.js';
+import { diagnosePage, getSelectorChecks } from '../../handlers/selectorDiagnostics.js';
+import { isValidUrl } from '../../utils/helpers.js';
+import { EXIT_CODES, UsageError, getSelectedProfiles } from '../common.js';
+
+/**
+ * Open pages in the crawl mode of the profile
+ * @param {string} mode - 'playwright' or 'cheerio'
+ * @returns {Promise<Object>} { open(url) -> Dom, close() }
+ */
+async function createPageLoader(mode) {
+    if (mode === 'cheerio') {
+        return { open: fetchDom, close: async () => {} };
+    }
+
+    const browser = await chromium.launch({ headless: CONFIG.CRAWLER.headless });
+    return {
+        open: async (url) => {
+            const page = await browser.newPage();
+            await page.goto(url, { timeout: CONFIG.CRAWLER.timeout * 3 });
+            return createPlaywrightDom(page);
+        },
+        close: () => browser.close()
+    };
+}
+
+/**
+ * Print the results of one page
+ * @param {string} title - Page description
+ * @param {Object} pageReport - { url, results, error }
+ */
+function printPageReport(title, pageReport) {
+    console.log(`\n${title}: ${pageReport.url ?? 'not checked'}`);
+    if (pageReport.error) {
+        console.log(`❌ ${pageReport.error}`);
+        return;
+    }
+
+    for (const result of pageReport.results) {
+        const status = result.count > 0 ? '✅' : result.required ? '❌' : '⚠️ ';
+        console.log(`${status} ${result.name}: ${result.count} match(es) for "${result.selector}"`);
+        if (result.error) {
+            console.log(`   invalid selector: ${result.error}`);
+        }
+        result.samples.forEach(sample => console.log(`   - ${sample}`));
+
+        if (result.count === 0) {
+            if (result.suggestions.length === 0) {
+                console.log('   no candidate selectors found');
+            }
+            for (const suggestion of result.suggestions) {
+                console.log(`   candidate: "${suggestion.selector}" (${suggestion.count} match(es))`);
+                suggestion.samples.forEach(sample => console.log(`     - ${sample}`));
+            }
+        }
+    }
+}
+
+/**
+ * Pick the detail page to check
+ * Uses the first specialist link, or the first link of the best candidate
+ * selector when SELECTORS.specialistLinks no longer matches.
+ * @param {Object} listing - Listing page report
+ * @returns {string|null} Detail page URL
+ */
+function pickDetailUrl(listing) {
+    const links = listing.results?.find(result => result.name === 'SELECTORS.specialistLinks');
+    const [detailUrl] = links?.count > 0 ? links.samples : links?.suggestions[0]?.samples ?? [];
+    return detailUrl && isValidUrl(detailUrl) ? detailUrl : null;
+}
+
+/**
+ * Load a page and diagnose a list of selectors on it
+ * @param {Object} loader - Page loader from createPageLoader
+ * @param {string} url - Page URL
+ * @param {Array<Object>} checks - Checks from getSelectorChecks
+ * @returns {Promise<Object>} { url, results, error }
+ */
+async function diagnoseUrl(loader, url, checks) {
+    try {
+        const dom = await loader.open(url);
+        return { url, results: await diagnosePage(dom, checks), error: null };
+    } catch (error) {
+        return { url, results: [], error: `Could not load page: ${error.message}` };
+    }
+}
+
+/**
+ * Diagnose the selectors of the selected profile
+ * The detail page is taken from the listing unless given as an argument.
+ * `--out` saves the report as JSON.
+ * @param {Object} context - Command context from runCli()
+ * @returns {Promise<number>} Exit code (1 when a required selector or field matches nothing)
+ */
+export async function diagnoseCommand(context) {
+    const [detailArg] = context.args;
+    if (detailArg && !isValidUrl(detailArg)) {
+        throw new UsageError('diagnose expects a valid [detail-url] argument');
+    }
+
+    const [profile] = getSelectedProfiles(context);
+    applyProfile(profile, context.overrides);
+
+    const mode = await resolveCrawlerMode();
+    const checks = getSelectorChecks();
+    const loader = await createPageLoader(mode);
+    const report = { profileId: profile.id, mode, checkedAt: new Date().toISOString() };
+
+    try {
+        report.listing = await diagnoseUrl(loader, CONFIG.SITE.startUrl, checks.listing);
+        const detailUrl = detailArg ?? pickDetailUrl(report.listing);
+        report.detail = detailUrl
+            ? await diagnoseUrl(loader, detailUrl, checks.detail)
+            : { url: null, results: [], error: 'No detail page found - pass one as [detail-url]' };
+    } finally {
+        await loader.close();
+    }
+
+    console.log(`Diagnosing selectors of profile "${profile.id}" (${mode} mode)`);
+    printPageReport('Listing page', report.listing);
+    printPageReport('Detail page', report.detail);
+
+    const pages = [report.listing, report.detail];
+    const missing = pages.flatMap(page => page.results).filter(result => result.count === 0);
+    const healthy = pages.every(page => !page.error) && !missing.some(result => result.required);
+
+    if (missing.length > 0 && mode === 'cheerio') {
+        console.log('\nSome selectors may only match after JavaScript runs - compare with --mode playwright');
+    }
+    console.log(`\n${healthy ? '✅' : '❌'} ${missing.length} selector(s) matched nothing`);
+
+    if (context.options.out) {
+        const filepath = path.resolve(process.cwd(), context.options.out);
+        fs.writeFileSync(filepath, JSON.stringify(report, null, 2), 'utf8');
+        console.log(`Report saved to: ${filepath}`);
+    }
+
+    return healthy ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+}
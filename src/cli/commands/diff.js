@@ -0,0 +1,53 @@
+/**
+ * `diff` command: report changes between two JSON output files
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { applyProfile } from '../../config/profileLoader.js';
+import { buildDiffReport, findPreviousOutput, renderDiffMarkdown, writeDiffReport } from '../../handlers/diffHandler.js';
+import { getLatestOutputFile } from '../../handlers/outputManager.js';
+import { EXIT_CODES, UsageError, getSelectedProfiles } from '../common.js';
+
+/**
+ * Compare two output files and print the markdown summary
+ * With one argument it is compared with the previous run's output; with none,
+ * the output of the latest run of the selected profile is used. The JSON and markdown
+ * reports are written next to the current file.
+ * @param {Object} context - Command context from runCli()
+ * @returns {Promise<number>} Exit code
+ */
+export async function diffCommand(context) {
+    const [profile] = getSelectedProfiles(context);
+    applyProfile(profile, context.overrides);
+
+    let previousFile;
+    let currentFile;
+
+    if (context.args.length >= 2) {
+        [previousFile, currentFile] = context.args.map(file => path.resolve(process.cwd(), file));
+    } else {
+        currentFile = context.args[0] ? path.resolve(process.cwd(), context.args[0]) : getLatestOutputFile();
+        if (!currentFile) {
+            throw new UsageError(`No latest run found for profile "${profile.id}" - pass the output file to compare`);
+        }
+        previousFile = findPreviousOutput(currentFile);
+        if (!previousFile) {
+            throw new UsageError(`No previous output found to compare ${currentFile} with`);
+        }
+    }
+
+    for (const file of [previousFile, currentFile]) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Input file not found: ${file}`);
+        }
+    }
+
+    const report = buildDiffReport(previousFile, currentFile);
+    const reportPaths = writeDiffReport(report);
+
+    console.log(renderDiffMarkdown(report));
+    console.log(`Change report saved to: ${reportPaths.join(' and ')}`);
+
+    return EXIT_CODES.OK;
+}
@@ -0,0 +1,65 @@
+/**
+ * `export` command: convert a saved JSON output file to other formats
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../../config/config.js';
+import { applyProfile } from '../../config/profileLoader.js';
+import { buildEnvelope, getWriter, getOutputDirectory, writeEnvelope } from '../../handlers/fileHandler.js';
+import { getLatestOutputFile, readOutputFile } from '../../handlers/outputManager.js';
+import { EXIT_CODES, UsageError, getSelectedProfiles } from '../common.js';
+
+/**
+ * Write a saved output file with the selected writers (--format / OUTPUT.formats)
+ * A single format goes to --out, or to stdout for text formats; several
+ * formats are written next to each other in the output directory.
+ * Without an input argument, the JSON output of the latest run of the selected
+ * profile is used.
+ * @param {Object} context - Command context from runCli()
+ * @returns {Promise<number>} Exit code
+ */
+export async function exportCommand(context) {
+    const [profile] = getSelectedProfiles(context);
+    applyProfile(profile, context.overrides);
+
+    const inputPath = context.args[0] ? path.resolve(process.cwd(), context.args[0]) : getLatestOutputFile();
+    if (!inputPath) {
+        throw new UsageError(`No latest run found for profile "${profile.id}" - pass the file to export`);
+    }
+    if (!fs.existsSync(inputPath)) {
+        throw new Error(`Input file not found: ${inputPath}`);
+    }
+
+    const data = readOutputFile(inputPath);
+    const envelope = Array.isArray(data) ? buildEnvelope(data) : { ...data, specialists: data.specialists || [] };
+    const formats = CONFIG.OUTPUT.formats;
+
+    if (formats.length === 1 && !context.options.out) {
+        const contents = await getWriter(formats[0]).serialize(envelope);
+        if (typeof contents !== 'string') {
+            throw new UsageError(`${formats[0]} output is binary, use --out <file>`);
+        }
+        process.stdout.write(contents.endsWith('\n') ? contents : `${contents}\n`);
+        return EXIT_CODES.OK;
+    }
+
+    if (context.options.out && formats.length > 1) {
+        throw new UsageError('--out can only be used with a single --format');
+    }
+
+    const plainPath = inputPath.replace(/\.gz$/, '');
+    const basename = path.basename(plainPath, path.extname(plainPath));
+    // Exports of the latest run go to its run directory
+    const directory = context.args[0] ? getOutputDirectory() : path.dirname(inputPath);
+    for (const format of formats) {
+        const filepath = context.options.out
+            ? path.resolve(process.cwd(), context.options.out)
+            : path.join(directory, `${basename}.${getWriter(format).extension}`);
+
+        await writeEnvelope(envelope, format, filepath);
+        console.log(`Exported ${envelope.specialists.length} specialists as ${format} to ${filepath}`);
+    }
+
+    return EXIT_CODES.OK;
+}
@@ -0,0 +1,77 @@
+/**
+ * `retry-failed` command: re-run only the URLs of a dead-letter file
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { applyProfile, buildProfileConfig, mergeDeep, selectProfiles } from '../../config/profileLoader.js';
+import { crawlProfile } from '../../crawler.js';
+import { CONFIG } from '../../config/config.js';
+import { getDeadLetterPath, readDeadLetterFile } from '../../handlers/retryHandler.js';
+import { findOutputFile, getRunDirectory, listRuns } from '../../handlers/outputManager.js';
+import { createLogger } from '../../utils/logger.js';
+import { EXIT_CODES, UsageError, getSelectedProfiles } from '../common.js';
+
+const log = createLogger('retry-failed');
+
+/**
+ * Dead-letter file of the newest run of the selected profile
+ * @returns {string|null} File path (today's file in the flat layout)
+ */
+function getDefaultDeadLetterFile() {
+    if (CONFIG.OUTPUT.layout !== 'runs') {
+        return getDeadLetterPath();
+    }
+    const runId = listRuns().at(-1);
+    return runId ? findOutputFile(getRunDirectory(runId), 'dead-letter.ndjson') : null;
+}
+
+/**
+ * Crawl the dead-lettered requests again with their original labels
+ * Without an argument, the dead-letter file of the newest run of the selected
+ * profile is used. The retry is a run of its own, written with a `-retry`
+ * filename prefix, so the original run's files are left untouched.
+ * @param {Object} context - Command context from runCli()
+ * @returns {Promise<number>} Exit code
+ */
+export async function retryFailedCommand(context) {
+    const [selectedProfile] = getSelectedProfiles(context);
+    applyProfile(selectedProfile, context.overrides);
+
+    const filepath = context.args[0] ? path.resolve(process.cwd(), context.args[0]) : getDefaultDeadLetterFile();
+    if (!filepath) {
+        throw new UsageError(`No dead-letter file found for profile "${selectedProfile.id}"`);
+    }
+    if (!fs.existsSync(filepath)) {
+        throw new UsageError(`Dead-letter file not found: ${filepath}`);
+    }
+
+    const entries = readDeadLetterFile(filepath);
+    if (entries.length === 0) {
+        log.info('Dead-letter file is empty - nothing to retry');
+        return EXIT_CODES.OK;
+    }
+
+    const [profile] = entries[0].profileId ? selectProfiles([entries[0].profileId], context.profiles) : [selectedProfile];
+    const startRequests = [...new Map(entries.map(entry => [entry.url, {
+        url: entry.url,
+        ...(entry.label ? { label: entry.label } : {}),
+        // Keep the listing context, so retried records have the same fields and source
+        ...(entry.listing ? { userData: { listing: entry.listing } } : {})
+    }])).values()];
+
+    // Profiles without an OUTPUT section use the default prefix
+    const { filenamePrefix } = buildProfileConfig(profile, context.overrides).OUTPUT;
+    const overrides = mergeDeep({
+        OUTPUT: { filenamePrefix: `${filenamePrefix}-retry` },
+        DIFF: { enabled: false }
+    }, context.overrides);
+
+    log.info(`Retrying ${startRequests.length} dead-lettered request(s) from ${filepath}`);
+    await crawlProfile(profile, overrides, { startRequests });
+
+    const remaining = fs.existsSync(getDeadLetterPath()) ? readDeadLetterFile(getDeadLetterPath()).length : 0;
+    log.info(`${startRequests.length - remaining} request(s) recovered, ${remaining} still failing`);
+
+    return remaining === 0 ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+}
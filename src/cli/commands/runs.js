@@ -0,0 +1,26 @@
+/**
+ * `runs` command: list crawl runs from their checkpoints
+ */
+
+import { listCheckpoints, RUN_STATUS } from '../../handlers/checkpointHandler.js';
+import { EXIT_CODES } from '../common.js';
+
+/**
+ * Print every known run, newest first
+ * @returns {Promise<number>} Exit code
+ */
+export async function runsCommand() {
+    const checkpoints = listCheckpoints();
+
+    if (checkpoints.length === 0) {
+        console.log('No crawl runs found');
+        return EXIT_CODES.OK;
+    }
+
+    for (const checkpoint of checkpoints) {
+        const resumable = checkpoint.status !== RUN_STATUS.COMPLETED ? ' (resumable)' : '';
+        console.log(`${checkpoint.runId}  ${checkpoint.status}${resumable}  ${checkpoint.recordCount} records  started ${checkpoint.startedAt}`);
+    }
+
+    return EXIT_CODES.OK;
+}
@@ -0,0 +1,63 @@
+/**
+ * `schedule` command: crawl scheduled profiles until interrupted
+ */
+
+import { PROFILE_ENV_VAR } from '../../config/profileLoader.js';
+import { createScheduler, getProfileSchedule } from '../../scheduler/scheduler.js';
+import { createLogger } from '../../utils/logger.js';
+import { EXIT_CODES, UsageError, getSelectedProfiles } from '../common.js';
+
+const log = createLogger('schedule');
+
+/**
+ * Resolve the profiles to schedule
+ * Without --profile / CRAWLER_PROFILE every valid profile with a SCHEDULE.cron
+ * is scheduled; profiles selected explicitly must have one.
+ * @param {Object} context - Command context from runCli()
+ * @returns {Array<Object>} [{ profile, cron, catchUp }]
+ */
+function getSchedules(context) {
+    const explicit = Boolean(context.options.profile || process.env[PROFILE_ENV_VAR]);
+    const profiles = explicit
+        ? getSelectedProfiles(context)
+        : [...context.profiles.values()].filter(entry => entry.errors.length === 0).map(entry => entry.profile);
+
+    const schedules = [];
+    for (const profile of profiles) {
+        const schedule = getProfileSchedule(profile, context.overrides);
+        if (schedule) {
+            schedules.push({ profile, ...schedule });
+        } else if (explicit) {
+            throw new UsageError(`Profile "${profile.id}" has no SCHEDULE.cron; set one in the profile or with --cron`);
+        }
+    }
+
+    if (schedules.length === 0) {
+        throw new UsageError('No profile has a SCHEDULE.cron; set one in a profile or select profiles with --profile and --cron');
+    }
+    return schedules;
+}
+
+/**
+ * Run the scheduler
+ * Overrides given on the command line apply to every scheduled crawl.
+ * @param {Object} context - Command context from runCli()
+ * @returns {Promise<number>} Exit code, once the scheduler is stopped with SIGINT or SIGTERM
+ */
+export async function scheduleCommand(context) {
+    const scheduler = createScheduler({ schedules: getSchedules(context), overrides: context.overrides });
+    scheduler.start();
+
+    await new Promise((resolve) => {
+        const stop = (signal) => {
+            log.info(`${signal} received - stopping the scheduler`);
+            process.off('SIGINT', stop);
+            process.off('SIGTERM', stop);
+            scheduler.stop().then(resolve);
+        };
+        process.on('SIGINT', stop);
+        process.on('SIGTERM', stop);
+    });
+
+    return EXIT_CODES.OK;
+}
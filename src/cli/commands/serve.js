@@ -0,0 +1,48 @@
+/**
+ * `serve` command: run the local HTTP API until interrupted
+ */
+
+import { createApiServer } from '../../api/server.js';
+import { createLogger } from '../../utils/logger.js';
+import { EXIT_CODES, UsageError } from '../common.js';
+
+const log = createLogger('serve');
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+
+/**
+ * Serve the API on --host / --port (env: HOST / PORT)
+ * Overrides given on the command line apply to every crawl started through it.
+ * @param {Object} context - Command context from runCli()
+ * @returns {Promise<number>} Exit code, once the server is stopped with SIGINT or SIGTERM
+ */
+export async function serveCommand(context) {
+    const port = Number(context.options.port ?? process.env.PORT ?? DEFAULT_PORT);
+    const host = context.options.host ?? process.env.HOST ?? DEFAULT_HOST;
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new UsageError('--port must be a port number from 0 to 65535');
+    }
+
+    const server = createApiServer({ profiles: context.profiles, overrides: context.overrides });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    const address = server.address();
+    log.info(`API listening on http://${address.address}:${address.port}/api`);
+
+    await new Promise((resolve) => {
+        const stop = (signal) => {
+            log.info(`${signal} received - stopping the API server`);
+            process.off('SIGINT', stop);
+            process.off('SIGTERM', stop);
+            server.close(resolve);
+            server.closeAllConnections();
+        };
+        process.on('SIGINT', stop);
+        process.on('SIGTERM', stop);
+    });
+
+    return EXIT_CODES.OK;
+}
@@ -0,0 +1,73 @@
+/**
+ * `test-selectors` command: check every configured selector against a page
+ */
+
+import { chromium } from 'playwright';
+import { CONFIG } from '../../config/config.js';
+import { applyProfile } from '../../config/profileLoader.js';
+import { isValidUrl } from '../../utils/helpers.js';
+import { EXIT_CODES, UsageError, getSelectedProfiles } from '../common.js';
+
+/**
+ * Count matches and collect sample values for each selector on the page
+ * @param {Page} page - Playwright page object
+ * @param {Object} selectors - Map of selector name to CSS selector
+ * @returns {Promise<Array>} One result per selector
+ */
+async function inspectSelectors(page, selectors) {
+    return page.evaluate((selectorMap) => {
+        return Object.entries(selectorMap).map(([name, selector]) => {
+            try {
+                const elements = Array.from(document.querySelectorAll(selector));
+                return {
+                    name,
+                    selector,
+                    count: elements.length,
+                    samples: elements.slice(0, 3).map(element => element.textContent.trim().substring(0, 80))
+                };
+            } catch (error) {
+                return { name, selector, count: 0, samples: [], error: error.message };
+            }
+        });
+    }, selectors);
+}
+
+/**
+ * Load a URL and report how many elements each selector matches
+ * @param {Object} context - Command context from runCli()
+ * @returns {Promise<number>} Exit code (1 when any selector matches nothing)
+ */
+export async function testSelectorsCommand(context) {
+    const [url] = context.args;
+    if (!url || !isValidUrl(url)) {
+        throw new UsageError('test-selectors requires a valid <url> argument');
+    }
+
+    const [profile] = getSelectedProfiles(context);
+    applyProfile(profile, context.overrides);
+
+    const browser = await chromium.launch({ headless: CONFIG.CRAWLER.headless });
+    try {
+        const page = await browser.newPage();
+        await page.goto(url, { timeout: CONFIG.CRAWLER.timeout * 3 });
+        const selectors = { ...CONFIG.SELECTORS };
+        for (const [name, spec] of Object.entries(CONFIG.FIELDS)) {
+            selectors[`FIELDS.${name}`] = spec.selector;
+        }
+        console.log(`Testing ${Object.keys(selectors).length} selectors from profile "${profile.id}" on ${url}\n`);
+
+        const results = await inspectSelectors(page, selectors);
+        for (const result of results) {
+            const status = result.count > 0 ? '✅' : '❌';
+            console.log(`${status} ${result.name}: ${result.count} match(es) for "${result.selector}"`);
+            if (result.error) {
+                console.log(`   invalid selector: ${result.error}`);
+            }
+            result.samples.forEach(sample => console.log(`   - ${sample}`));
+        }
+
+        return results.every(result => result.count > 0) ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+    } finally {
+        await browser.close();
+    }
+}
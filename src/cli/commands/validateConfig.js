@@ -0,0 +1,44 @@
+/**
+ * `validate-config` command: validate profiles without crawling
+ */
+
+import { getRequestedProfileIds, resolveProfile } from '../../config/profileLoader.js';
+import { validateProfile } from '../../config/profileSchema.js';
+import { EXIT_CODES } from '../common.js';
+
+/**
+ * Validate the selected profiles (all profiles with --profile all)
+ * CLI overrides are merged in first so the effective settings are checked.
+ * @param {Object} context - Command context from runCli()
+ * @returns {Promise<number>} Exit code
+ */
+export async function validateConfigCommand(context) {
+    const requestedIds = getRequestedProfileIds(context.options.profile);
+    const ids = requestedIds.includes('all') ? [...context.profiles.keys()] : requestedIds;
+    let invalidCount = 0;
+
+    for (const id of ids) {
+        const entry = context.profiles.get(id);
+
+        if (!entry) {
+            console.log(`❌ ${id}: profile not found`);
+            invalidCount++;
+            continue;
+        }
+
+        const errors = entry.profile
+            ? [...entry.errors, ...validateProfile(resolveProfile(entry.profile, context.overrides))]
+            : entry.errors;
+        const uniqueErrors = [...new Set(errors)];
+
+        if (uniqueErrors.length === 0) {
+            console.log(`✅ ${id}: valid (${entry.file})`);
+        } else {
+            console.log(`❌ ${id}: ${uniqueErrors.length} problem(s) in ${entry.file}`);
+            uniqueErrors.forEach(error => console.log(`   - ${error}`));
+            invalidCount++;
+        }
+    }
+
+    return invalidCount === 0 ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+}
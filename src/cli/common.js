@@ -0,0 +1,31 @@
+/**
+ * Shared CLI helpers used by the command modules
+ */
+
+import { getRequestedProfileIds, selectProfiles } from '../config/profileLoader.js';
+
+// Exit codes returned by runCli()
+export const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1,
+    USAGE: 2
+};
+
+/**
+ * Error raised for invalid command line usage
+ */
+export class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Resolve the profiles selected by --profile / CRAWLER_PROFILE
+ * @param {Object} context - Command context from runCli()
+ * @returns {Array<Object>} Selected, validated profiles
+ */
+export function getSelectedProfiles(context) {
+    return selectProfiles(getRequestedProfileIds(context.options.profile), context.profiles);
+}
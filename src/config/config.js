@@ -1,71 +1,214 @@
 /**
- * Configuration settings for the Mount Elizabeth crawler
+ * Configuration settings for the specialist crawler
+ *
+ * Site specific values (SITE, SELECTORS, output naming) live in site profiles
+ * under ./profiles and are merged over these defaults by applyProfile().
  */
 
-export const CONFIG = {
-    // Site configuration
-    SITE: {
-        name: 'Mount Elizabeth Medical Centre',
-        baseUrl: 'https://www.mountelizabeth.com.sg/',
-        startUrl: 'https://www.mountelizabeth.com.sg/patient-services/specialists/',
-        allowedUrlPatterns: [
-            'https://www.mountelizabeth.com.sg/patient-services/specialists/',
-            'https://www.mountelizabeth.com.sg/patient-services/specialists/*'
-        ],
-        // Patterns to exclude (optional)
-        excludedUrlPatterns: [
-            'https://www.mountelizabeth.com.sg/patient-services/specialty_areas/*',
-            'https://www.mountelizabeth.com.sg/patient-services/health-screening/*',
-            'https://www.mountelizabeth.com.sg/patient-services/about/*'
-        ],
-        // Pagination configuration
-        pagination: {
-            // Type of pagination: 'query' (e.g., ?page=2) or 'path' (e.g., /page/2/)
-            // example for query
-            //type: 'query',
-            // queryPattern: 'page={page}',
-            //==============================================
-            // example for path
-            //type: 'path',
-            //pathPattern: '/page/{page}/',
-
-            type: 'query',
-            queryPattern: 'page={page}',
-            // Base URL for pagination (if different from startUrl)
-            baseUrl: null, // Uses startUrl by default
-            // Starting page number (usually 1)
-            startPage: 1
-        }
-    },
-
-    // Selectors for web scraping
-    SELECTORS: {
-        // Specialist listing page selectors
-        specialistLinks: '#gridcontent-desktop a.moe-fp-view-profile',
-        nextButton: '.page-item.next a.page-link',
-        nextButtonContainer: '.page-item.next',
-        
-        // Specialist detail page selectors
-        doctorName: '.profile-text .profile-name',
-        contactLinks: '.mp-pac .mp-pac-box a.moe-vp-pac'
-    },
-
-    // Crawler settings
-    CRAWLER: {
-        maxRequestsPerCrawl: 200,
-        headless: true, // Set to true for production
-        timeout: 10000,
-        labels: {
-            DETAIL: 'DETAIL',
-            SPECIALISTS_LIST: 'SPECIALISTS_LIST'
-        }
-    },
-
-    // File output settings
-    OUTPUT: {
-        getFilename: () => {
-            const today = new Date().toISOString().split('T')[0];
-            return `memc-specialists-${today}.json`;
-        }
-    }
-};
+import { DEFAULT_TRACKING_PARAMS } from '../utils/urlFilter.js';
+
+// Profile used when none is selected via --profile or CRAWLER_PROFILE
+export const DEFAULT_PROFILE = 'mount-elizabeth';
+
+/**
+ * Build a fresh copy of the default configuration
+ * @returns {Object} Default configuration object
+ */
+export function createBaseConfig() {
+    return {
+        // Site configuration (provided by the active profile)
+        SITE: {
+            name: '',
+            baseUrl: '',
+            startUrl: '',
+            // URL rules: globs ('**' any path, '*' one segment), 're:' regexes or
+            // RegExp objects, and query rules ('/list/**?page=*&!sort'), see helpers.js
+            allowedUrlPatterns: [],
+            // Patterns to exclude (optional)
+            excludedUrlPatterns: [],
+            // Normalization applied to every enqueued URL before dedup
+            canonicalization: {
+                // Query parameters to remove (names, * matches any characters)
+                stripParams: [...DEFAULT_TRACKING_PARAMS],
+                stripFragment: true,
+                // Turn on only for sites that serve /path and /path/ alike;
+                // many redirect one to the other
+                stripTrailingSlash: false,
+                sortQuery: true
+            },
+            // Pagination configuration
+            pagination: {
+                // Type of pagination: 'query' (e.g., ?page=2), 'path' (e.g., /page/2/),
+                // 'offset' (e.g., ?start=20), 'next-link', 'click', 'load-more'
+                // or 'infinite-scroll' (see handlers/paginationHandler.js)
+                type: 'query',
+                queryPattern: 'page={page}',
+                // Base URL for pagination (if different from startUrl)
+                baseUrl: null, // Uses startUrl by default
+                // Starting page number (usually 1)
+                startPage: 1,
+                // Offset pagination: parameter names, first offset and items per page
+                offsetParam: 'start',
+                limitParam: null,
+                startOffset: 0,
+                pageSize: 20,
+                // Stop after this many listing pages (null = no limit)
+                maxPages: null,
+                // Read the total page count on the first page (SELECTORS.pageCount or
+                // SELECTORS.resultCount) and enqueue all listing pages at once
+                fanOut: false,
+                // How long to wait for new items after a click or scroll (defaults to CRAWLER.timeout)
+                waitTimeout: null
+            }
+        },
+
+        // Selectors for web scraping (provided by the active profile)
+        SELECTORS: {},
+
+        // Fields read from the listing card of each specialist link (the closest
+        // SELECTORS.listingCard ancestor), with specs like FIELDS relative to the
+        // card; they fill fields the detail page leaves empty
+        LISTING_FIELDS: {},
+
+        // Detail page fields (provided by the active profile)
+        // Each entry maps an output field name to a field spec:
+        //   selector   - CSS selector, relative to the parent item for nested fields
+        //                (omit inside `fields` to read the item element itself)
+        //   attribute  - attribute to read instead of the text content
+        //                (href/src are resolved to absolute URLs)
+        //   multiple   - true to return a list of all matches instead of the first
+        //   required   - true to flag the record (or drop the nested item) when empty
+        //   transform  - list of transforms from utils/transforms.js, e.g.
+        //                ['trim', { regex: 'Dr\\.? (.+)' }, { split: ',' }]
+        //   fields     - nested field map, producing an object per matched element
+        FIELDS: {},
+
+        // Contact normalization
+        CONTACTS: {
+            // Field holding the { text, link } contact entries to classify
+            field: 'contactDetails',
+            // Country used for phone numbers written without a country code
+            defaultCountry: 'SG'
+        },
+
+        // Crawler settings
+        CRAWLER: {
+            // 'playwright' (headless browser), 'cheerio' (plain HTTP + HTML parsing)
+            // or 'auto' (Cheerio unless the selectors need JavaScript rendering)
+            mode: 'playwright',
+            maxRequestsPerCrawl: 200,
+            // How hard the site is crawled
+            politeness: {
+                maxConcurrency: 2,
+                maxRequestsPerMinute: 60,
+                // Random delay before each request
+                delayMs: { min: 500, max: 1500 },
+                // Skip URLs disallowed by robots.txt and honour its Crawl-delay
+                respectRobotsTxt: true,
+                // null keeps the browser / HTTP client default
+                userAgent: null
+            },
+            // Record responses to a local cache, or replay a crawl offline from it
+            // (playwright mode only, see handlers/httpCache.js)
+            cache: {
+                // 'off', 'record' or 'replay'
+                mode: 'off',
+                // Cache location (null: http-cache/ in the Crawlee storage directory)
+                directory: null,
+                // Playwright resource types recorded
+                resourceTypes: ['document', 'stylesheet', 'script', 'xhr', 'fetch']
+            },
+            headless: true, // Set to true for production
+            timeout: 10000,
+            labels: {
+                DETAIL: 'DETAIL',
+                SPECIALISTS_LIST: 'SPECIALISTS_LIST'
+            },
+            // Retry policy per label key; `default` applies to keys not listed.
+            // The delay before retry n is backoffMs * backoffFactor ^ (n - 1).
+            retries: {
+                default: { maxRetries: 3, backoffMs: 1000, backoffFactor: 2 },
+                DETAIL: { maxRetries: 3, backoffMs: 1000, backoffFactor: 2 },
+                SPECIALISTS_LIST: { maxRetries: 5, backoffMs: 2000, backoffFactor: 2 }
+            }
+        },
+
+        // File output settings
+        OUTPUT: {
+            // Prefix of the output file name, e.g. memc-specialists-YYYY-MM-DD.json
+            filenamePrefix: 'specialists',
+            // Directory for output files, relative to the working directory
+            directory: 'output',
+            // Writers to run, see handlers/fileHandler.js (json, csv, ndjson, sqlite)
+            formats: ['json'],
+            // 'runs': <directory>/<profile id>/runs/<run id>/ plus a latest.json pointer
+            // 'flat': every run writes its dated files straight into <directory>
+            layout: 'runs',
+            // Runs older than the newest keepRuns runs or keepDays days are removed
+            // (null = keep); with compress, the files of the other older runs are gzipped.
+            // The latest successful run is always kept.
+            retention: {
+                keepRuns: 10,
+                keepDays: null,
+                compress: false
+            },
+            getFilename: (extension = 'json') => {
+                const today = new Date().toISOString().split('T')[0];
+                return `${CONFIG.OUTPUT.filenamePrefix}-${today}.${extension}`;
+            }
+        },
+
+        // Record validation and quality report
+        VALIDATION: {
+            // Extra rules per field on top of FIELDS.required, e.g.
+            // { doctorName: { pattern: '^Dr', minLength: 3 }, contactDetails: { minItems: 1 } }
+            rules: {},
+            // Fail the run when fewer than this percentage of records are valid (null = never)
+            minQuality: null
+        },
+
+        // Merging of duplicate specialists before saving, see handlers/dedupHandler.js
+        DEDUP: {
+            enabled: true,
+            // Records with the same normalized value of this field that share a
+            // contact are merged too (null = merge by URL only)
+            nameField: 'doctorName',
+            // Contact types compared for those name matches
+            contactTypes: ['phone', 'email', 'whatsapp']
+        },
+
+        // Post-run hooks, see handlers/hooksHandler.js
+        HOOKS: {
+            // Each hook gets a JSON summary of the run when one of its events fires
+            // ('success', 'failure', 'recordDrop'; all of them when `events` is omitted):
+            //   { type: 'webhook', url, headers, events }   POST the summary
+            //   { type: 'command', command, events }        shell command, summary on stdin and in RUN_* variables
+            //   { type: 'module', path, events }            call the default export of a JS module
+            postRun: [],
+            // 'recordDrop' fires when a run has more than this % fewer records than the previous run
+            recordDropPercent: 20,
+            // Time limit per hook (a hook may set its own timeoutMs)
+            timeoutMs: 10000
+        },
+
+        // Runs of the `schedule` command, see scheduler/scheduler.js
+        SCHEDULE: {
+            // Cron expression in local time, e.g. '0 6 * * 1-5' or '@daily' (null = not scheduled)
+            cron: null,
+            // Crawl once on start when runs were missed while the scheduler was down
+            catchUp: true
+        },
+
+        // Change detection against the previous run's JSON output
+        DIFF: {
+            enabled: true,
+            // Fields that change every run and are never reported as modified
+            ignoreFields: ['extractedAt', 'source']
+        },
+
+        // Currently applied profile id
+        PROFILE: null
+    };
+}
+
+export const CONFIG = createBaseConfig();
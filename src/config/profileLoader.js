@@ -0,0 +1,171 @@
+/**
+ * Site profile loading, validation and selection
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { CONFIG, DEFAULT_PROFILE, createBaseConfig } from './config.js';
+import { validateProfile } from './profileSchema.js';
+
+export const PROFILES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'profiles');
+
+// Environment variable used to select profiles when no CLI flag is given
+export const PROFILE_ENV_VAR = 'CRAWLER_PROFILE';
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Recursively merge source into target, replacing arrays and primitives
+ * @param {Object} target - Object to merge into (mutated)
+ * @param {Object} source - Object with overriding values
+ * @returns {Object} The merged target
+ */
+export function mergeDeep(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+        if (isPlainObject(value) && isPlainObject(target[key])) {
+            mergeDeep(target[key], value);
+        } else if (isPlainObject(value)) {
+            target[key] = mergeDeep({}, value);
+        } else {
+            target[key] = value;
+        }
+    }
+    return target;
+}
+
+/**
+ * Load a single profile file (.js default export or .json)
+ * @param {string} filepath - Absolute path to the profile file
+ * @returns {Promise<Object>} Profile object
+ */
+export async function loadProfileFile(filepath) {
+    if (filepath.endsWith('.json')) {
+        return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    }
+
+    const module = await import(pathToFileURL(filepath).href);
+    return module.default;
+}
+
+/**
+ * Load and validate every profile in the profiles directory
+ * @param {string} dir - Directory containing profile files
+ * @returns {Promise<Map<string, Object>>} Map of profile id to { profile, file, errors }
+ */
+export async function loadProfiles(dir = PROFILES_DIR) {
+    const profiles = new Map();
+
+    if (!fs.existsSync(dir)) {
+        return profiles;
+    }
+
+    const files = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.js') || file.endsWith('.json'))
+        .sort();
+
+    for (const file of files) {
+        const filepath = path.join(dir, file);
+        let profile;
+        let errors;
+
+        try {
+            profile = await loadProfileFile(filepath);
+            errors = validateProfile(profile);
+        } catch (error) {
+            profile = null;
+            errors = [`failed to load: ${error.message}`];
+        }
+
+        const id = profile?.id || path.basename(file, path.extname(file));
+
+        if (profiles.has(id)) {
+            errors.push(`duplicate profile id "${id}" (also defined in ${profiles.get(id).file})`);
+        }
+
+        profiles.set(id, { profile, file: filepath, errors });
+    }
+
+    return profiles;
+}
+
+/**
+ * Read the requested profile ids from a CLI option value or the environment
+ * Accepts comma separated ids, e.g. `--profile a,b` or `CRAWLER_PROFILE=a,b`.
+ * @param {string|undefined} optionValue - Value of the --profile flag
+ * @param {Object} env - Environment variables
+ * @returns {Array<string>} Requested profile ids
+ */
+export function getRequestedProfileIds(optionValue, env = process.env) {
+    const value = optionValue || env[PROFILE_ENV_VAR] || DEFAULT_PROFILE;
+    return value.split(',').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve requested profile ids to validated profiles
+ * The special id `all` selects every profile in the directory.
+ * @param {Array<string>} ids - Requested profile ids
+ * @param {Map<string, Object>} profiles - Loaded profiles from loadProfiles()
+ * @returns {Array<Object>} Selected profiles
+ */
+export function selectProfiles(ids, profiles) {
+    const selectedIds = ids.includes('all') ? [...profiles.keys()] : ids;
+    const problems = [];
+
+    for (const id of selectedIds) {
+        const entry = profiles.get(id);
+        if (!entry) {
+            problems.push(`Unknown profile "${id}". Available: ${[...profiles.keys()].join(', ') || 'none'}`);
+        } else if (entry.errors.length > 0) {
+            problems.push(`Profile "${id}" (${entry.file}) is invalid:\n  - ${entry.errors.join('\n  - ')}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(problems.join('\n'));
+    }
+
+    return selectedIds.map(id => profiles.get(id).profile);
+}
+
+/**
+ * Build the configuration of a profile: defaults, profile and overrides merged
+ * @param {Object} profile - Validated site profile
+ * @param {Object} overrides - Nested CONFIG values applied on top of the profile
+ * @returns {Object} Configuration shaped like CONFIG
+ */
+export function buildProfileConfig(profile, overrides = {}) {
+    const { id, ...sections } = profile;
+    return { ...mergeDeep(mergeDeep(createBaseConfig(), sections), overrides), PROFILE: id };
+}
+
+/**
+ * Apply a profile to the shared CONFIG object
+ * Every section is reset to its default before the profile is merged in,
+ * so values never leak from one profile to the next.
+ * @param {Object} profile - Validated site profile
+ * @param {Object} overrides - Nested CONFIG values applied on top of the profile
+ * @returns {Object} The updated CONFIG
+ */
+export function applyProfile(profile, overrides = {}) {
+    Object.assign(CONFIG, buildProfileConfig(profile, overrides));
+    return CONFIG;
+}
+
+/**
+ * Build a profile as it will be run, with overrides merged in
+ * Used to validate the effective settings rather than just the file.
+ * @param {Object} profile - Site profile
+ * @param {Object} overrides - Nested CONFIG values applied on top of the profile
+ * @returns {Object} Merged profile
+ */
+export function resolveProfile(profile, overrides = {}) {
+    return mergeDeep(mergeDeep({}, profile), overrides);
+}
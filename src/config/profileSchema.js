@@ -0,0 +1,439 @@
+/**
+ * Schema describing a site profile and a minimal validator for it
+ */
+
+import { TRANSFORMS, parseTransform } from '../utils/transforms.js';
+import { COUNTRY_CALLING_CODES, CONTACT_TYPES } from '../utils/contactNormalizer.js';
+import { compileUrlRule } from '../utils/helpers.js';
+import { CRAWLER_MODES } from '../handlers/crawlerMode.js';
+import { CACHE_MODES, CACHE_RESOURCE_TYPES } from '../handlers/httpCache.js';
+import { getRegisteredFormats } from '../handlers/fileHandler.js';
+import { OUTPUT_LAYOUTS } from '../handlers/outputManager.js';
+import { HOOK_EVENTS, HOOK_TYPES } from '../handlers/hooksHandler.js';
+import { parseCron } from '../utils/cron.js';
+import { URL_PAGINATION_TYPES, IN_PAGE_PAGINATION_TYPES, FAN_OUT_PAGINATION_TYPES } from '../handlers/paginationHandler.js';
+
+/**
+ * Schema for a single entry of the FIELDS map (nested `fields` reuse it)
+ */
+const FIELD_SCHEMA = {
+    type: 'object',
+    properties: {
+        selector: { type: 'string' },
+        attribute: { type: 'string' },
+        multiple: { type: 'boolean' },
+        required: { type: 'boolean' },
+        transform: { type: 'array', items: { type: ['string', 'object'] } }
+    }
+};
+FIELD_SCHEMA.properties.fields = { type: 'object', additionalProperties: FIELD_SCHEMA };
+
+/**
+ * Site profile schema. Each node declares its `type`, whether it is
+ * `required`, and for objects the nested `properties` (fixed keys) or
+ * `additionalProperties` (schema applied to every key).
+ */
+export const PROFILE_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', required: true, pattern: /^[a-z0-9][a-z0-9-_]*$/ },
+        SITE: {
+            type: 'object',
+            required: true,
+            properties: {
+                name: { type: 'string', required: true },
+                baseUrl: { type: 'string', required: true, format: 'url' },
+                startUrl: { type: 'string', required: true, format: 'url' },
+                allowedUrlPatterns: { type: 'array', items: { type: ['string', 'object'] } },
+                excludedUrlPatterns: { type: 'array', items: { type: ['string', 'object'] } },
+                canonicalization: {
+                    type: 'object',
+                    properties: {
+                        stripParams: { type: 'array', items: { type: 'string' } },
+                        stripFragment: { type: 'boolean' },
+                        stripTrailingSlash: { type: 'boolean' },
+                        sortQuery: { type: 'boolean' }
+                    }
+                },
+                pagination: {
+                    type: 'object',
+                    properties: {
+                        type: { type: 'string', enum: [...URL_PAGINATION_TYPES, ...IN_PAGE_PAGINATION_TYPES] },
+                        queryPattern: { type: 'string', pattern: /^[^=]+=.*\{page\}/ },
+                        pathPattern: { type: 'string', pattern: /\{page\}/ },
+                        baseUrl: { type: ['string', 'null'], format: 'url' },
+                        startPage: { type: 'number' },
+                        offsetParam: { type: 'string' },
+                        limitParam: { type: ['string', 'null'] },
+                        startOffset: { type: 'number' },
+                        pageSize: { type: 'number' },
+                        maxPages: { type: ['number', 'null'] },
+                        fanOut: { type: 'boolean' },
+                        waitTimeout: { type: ['number', 'null'] }
+                    }
+                }
+            }
+        },
+        SELECTORS: {
+            type: 'object',
+            required: true,
+            properties: {
+                specialistLinks: { type: 'string', required: true },
+                nextButton: { type: 'string' },
+                nextButtonContainer: { type: 'string' },
+                loadMoreButton: { type: 'string' },
+                listingCard: { type: 'string' },
+                pageCount: { type: 'string' },
+                resultCount: { type: 'string' }
+            }
+        },
+        FIELDS: {
+            type: 'object',
+            required: true,
+            additionalProperties: FIELD_SCHEMA
+        },
+        LISTING_FIELDS: {
+            type: 'object',
+            additionalProperties: FIELD_SCHEMA
+        },
+        CONTACTS: {
+            type: 'object',
+            properties: {
+                field: { type: 'string' },
+                defaultCountry: { type: 'string', enum: Object.keys(COUNTRY_CALLING_CODES) }
+            }
+        },
+        VALIDATION: {
+            type: 'object',
+            properties: {
+                rules: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        properties: {
+                            required: { type: 'boolean' },
+                            pattern: { type: 'string' },
+                            minLength: { type: 'number' },
+                            minItems: { type: 'number' }
+                        }
+                    }
+                },
+                minQuality: { type: ['number', 'null'] }
+            }
+        },
+        DIFF: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                ignoreFields: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        CRAWLER: {
+            type: 'object',
+            properties: {
+                mode: { type: 'string', enum: CRAWLER_MODES },
+                politeness: {
+                    type: 'object',
+                    properties: {
+                        maxConcurrency: { type: ['number', 'null'] },
+                        maxRequestsPerMinute: { type: ['number', 'null'] },
+                        delayMs: {
+                            type: 'object',
+                            properties: {
+                                min: { type: 'number' },
+                                max: { type: 'number' }
+                            }
+                        },
+                        respectRobotsTxt: { type: 'boolean' },
+                        userAgent: { type: ['string', 'null'] }
+                    }
+                },
+                cache: {
+                    type: 'object',
+                    properties: {
+                        mode: { type: 'string', enum: CACHE_MODES },
+                        directory: { type: ['string', 'null'] },
+                        resourceTypes: { type: 'array', items: { type: 'string', enum: CACHE_RESOURCE_TYPES } }
+                    }
+                },
+                labels: {
+                    type: 'object',
+                    properties: {
+                        DETAIL: { type: 'string' },
+                        SPECIALISTS_LIST: { type: 'string' }
+                    }
+                },
+                retries: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        properties: {
+                            maxRetries: { type: 'number' },
+                            backoffMs: { type: 'number' },
+                            backoffFactor: { type: 'number' }
+                        }
+                    }
+                }
+            }
+        },
+        DEDUP: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                nameField: { type: ['string', 'null'] },
+                contactTypes: { type: 'array', items: { type: 'string', enum: CONTACT_TYPES } }
+            }
+        },
+        HOOKS: {
+            type: 'object',
+            properties: {
+                postRun: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            type: { type: 'string', required: true, enum: HOOK_TYPES },
+                            events: { type: 'array', items: { type: 'string', enum: HOOK_EVENTS } },
+                            url: { type: 'string', format: 'url' },
+                            headers: { type: 'object', additionalProperties: { type: 'string' } },
+                            command: { type: 'string' },
+                            path: { type: 'string' },
+                            timeoutMs: { type: 'number' }
+                        }
+                    }
+                },
+                recordDropPercent: { type: 'number' },
+                timeoutMs: { type: 'number' }
+            }
+        },
+        SCHEDULE: {
+            type: 'object',
+            properties: {
+                cron: { type: ['string', 'null'] },
+                catchUp: { type: 'boolean' }
+            }
+        },
+        OUTPUT: {
+            type: 'object',
+            properties: {
+                filenamePrefix: { type: 'string', required: true },
+                directory: { type: 'string' },
+                formats: { type: 'array', items: { type: 'string' } },
+                layout: { type: 'string', enum: OUTPUT_LAYOUTS },
+                retention: {
+                    type: 'object',
+                    properties: {
+                        keepRuns: { type: ['number', 'null'] },
+                        keepDays: { type: ['number', 'null'] },
+                        compress: { type: 'boolean' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Get the schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} One of null, array, object, string, number, boolean, function
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} path - Dotted path of the value, used in error messages
+ * @param {Array<string>} errors - Collected error messages
+ */
+function validateNode(value, schema, path, errors) {
+    const allowedTypes = [].concat(schema.type);
+    const actualType = typeOf(value);
+
+    if (!allowedTypes.includes(actualType)) {
+        errors.push(`${path || 'profile'}: expected ${allowedTypes.join(' or ')}, got ${actualType}`);
+        return;
+    }
+
+    if (actualType === 'string') {
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+        }
+        if (schema.pattern && !schema.pattern.test(value)) {
+            errors.push(`${path}: does not match ${schema.pattern}`);
+        }
+        if (schema.format === 'url') {
+            try {
+                new URL(value);
+            } catch {
+                errors.push(`${path}: is not a valid URL`);
+            }
+        }
+    }
+
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+    }
+
+    if (actualType === 'object' && schema.properties) {
+        for (const [key, propertySchema] of Object.entries(schema.properties)) {
+            const propertyPath = path ? `${path}.${key}` : key;
+            if (value[key] === undefined) {
+                if (propertySchema.required) {
+                    errors.push(`${propertyPath}: is required`);
+                }
+                continue;
+            }
+            validateNode(value[key], propertySchema, propertyPath, errors);
+        }
+    }
+
+    if (actualType === 'object' && schema.additionalProperties) {
+        for (const [key, propertyValue] of Object.entries(value)) {
+            validateNode(propertyValue, schema.additionalProperties, path ? `${path}.${key}` : key, errors);
+        }
+    }
+}
+
+/**
+ * Check field specs for semantic problems the structural schema cannot express
+ * @param {Object} fields - Field map
+ * @param {string} path - Dotted path of the field map
+ * @param {Array<string>} errors - Collected error messages
+ */
+function validateFields(fields, path, errors) {
+    for (const [name, spec] of Object.entries(fields)) {
+        const fieldPath = `${path}.${name}`;
+        if (!spec || typeof spec !== 'object') {
+            continue;
+        }
+
+        if (!spec.selector && path === 'FIELDS') {
+            errors.push(`${fieldPath}.selector: is required for top-level fields`);
+        }
+
+        for (const transform of Array.isArray(spec.transform) ? spec.transform : []) {
+            const [transformName] = parseTransform(transform);
+            if (!TRANSFORMS[transformName]) {
+                errors.push(`${fieldPath}.transform: unknown transform "${transformName}"`);
+            }
+        }
+
+        if (spec.fields && typeof spec.fields === 'object') {
+            validateFields(spec.fields, `${fieldPath}.fields`, errors);
+        }
+    }
+}
+
+/**
+ * Validate a site profile against the profile schema
+ * @param {Object} profile - Site profile
+ * @returns {Array<string>} List of validation errors (empty when valid)
+ */
+export function validateProfile(profile) {
+    const errors = [];
+    validateNode(profile, PROFILE_SCHEMA, '', errors);
+
+    const pagination = profile?.SITE?.pagination;
+    if (pagination?.type === 'path' && !pagination.pathPattern) {
+        errors.push('SITE.pagination.pathPattern: is required for path pagination');
+    }
+    if (pagination?.type === 'offset' && pagination.pageSize !== undefined && !(pagination.pageSize > 0)) {
+        errors.push('SITE.pagination.pageSize: must be greater than 0 for offset pagination');
+    }
+    if (['next-link', 'click'].includes(pagination?.type) && !profile?.SELECTORS?.nextButton) {
+        errors.push(`SELECTORS.nextButton: is required for ${pagination.type} pagination`);
+    }
+    if (pagination?.type === 'load-more' && !profile?.SELECTORS?.loadMoreButton) {
+        errors.push('SELECTORS.loadMoreButton: is required for load-more pagination');
+    }
+    const delayMs = profile?.CRAWLER?.politeness?.delayMs;
+    if (delayMs?.min !== undefined && delayMs?.max !== undefined && delayMs.max < delayMs.min) {
+        errors.push('CRAWLER.politeness.delayMs: max must not be less than min');
+    }
+    if (profile?.CRAWLER?.mode === 'cheerio' && IN_PAGE_PAGINATION_TYPES.includes(pagination?.type)) {
+        errors.push(`CRAWLER.mode: ${pagination.type} pagination needs the playwright mode`);
+    }
+    const cacheMode = profile?.CRAWLER?.cache?.mode;
+    if (cacheMode && cacheMode !== 'off' && ['cheerio', 'auto'].includes(profile?.CRAWLER?.mode)) {
+        errors.push(`CRAWLER.cache: ${cacheMode} needs the playwright mode`);
+    }
+    if (pagination?.fanOut && !FAN_OUT_PAGINATION_TYPES.includes(pagination.type ?? 'query')) {
+        errors.push(`SITE.pagination.fanOut: is only supported for ${FAN_OUT_PAGINATION_TYPES.join(', ')} pagination`);
+    }
+    if (pagination?.fanOut && !profile?.SELECTORS?.pageCount && !profile?.SELECTORS?.resultCount) {
+        errors.push('SELECTORS.pageCount: pageCount or resultCount is required for pagination.fanOut');
+    }
+
+    for (const key of ['allowedUrlPatterns', 'excludedUrlPatterns']) {
+        const rules = profile?.SITE?.[key];
+        (Array.isArray(rules) ? rules : []).forEach((rule, index) => {
+            if (typeof rule === 'object' && !(rule instanceof RegExp)) {
+                errors.push(`SITE.${key}[${index}]: must be a string or a RegExp`);
+                return;
+            }
+            try {
+                compileUrlRule(rule);
+            } catch (error) {
+                errors.push(`SITE.${key}[${index}]: invalid URL rule (${error.message})`);
+            }
+        });
+    }
+
+    if (profile?.FIELDS && typeof profile.FIELDS === 'object') {
+        validateFields(profile.FIELDS, 'FIELDS', errors);
+    }
+    if (profile?.LISTING_FIELDS && typeof profile.LISTING_FIELDS === 'object') {
+        validateFields(profile.LISTING_FIELDS, 'LISTING_FIELDS', errors);
+        if (Object.keys(profile.LISTING_FIELDS).length > 0 && !profile?.SELECTORS?.listingCard) {
+            errors.push('SELECTORS.listingCard: is required for LISTING_FIELDS');
+        }
+    }
+
+    if (Array.isArray(profile?.OUTPUT?.formats)) {
+        const formats = getRegisteredFormats();
+        profile.OUTPUT.formats
+            .filter(format => !formats.includes(format))
+            .forEach(format => errors.push(`OUTPUT.formats: unknown format "${format}" (available: ${formats.join(', ')})`));
+    }
+
+    const hooks = profile?.HOOKS?.postRun;
+    const hookTargets = { webhook: 'url', command: 'command', module: 'path' };
+    (Array.isArray(hooks) ? hooks : []).forEach((hook, index) => {
+        const target = hookTargets[hook?.type];
+        if (target && !hook[target]) {
+            errors.push(`HOOKS.postRun[${index}].${target}: is required for ${hook.type} hooks`);
+        }
+    });
+    const recordDropPercent = profile?.HOOKS?.recordDropPercent;
+    if (typeof recordDropPercent === 'number' && (recordDropPercent < 0 || recordDropPercent > 100)) {
+        errors.push('HOOKS.recordDropPercent: must be a percentage between 0 and 100');
+    }
+
+    const cron = profile?.SCHEDULE?.cron;
+    if (typeof cron === 'string') {
+        try {
+            parseCron(cron);
+        } catch (error) {
+            errors.push(`SCHEDULE.cron: ${error.message}`);
+        }
+    }
+
+    const retention = profile?.OUTPUT?.retention;
+    for (const key of ['keepRuns', 'keepDays']) {
+        if (typeof retention?.[key] === 'number' && !(Number.isInteger(retention[key]) && retention[key] >= 1)) {
+            errors.push(`OUTPUT.retention.${key}: must be a whole number of at least 1, or null to disable`);
+        }
+    }
+
+    if (profile?.FIELDS && Object.keys(profile.FIELDS).length === 0) {
+        errors.push('FIELDS: must define at least one field');
+    }
+
+    return errors;
+}
@@ -0,0 +1,87 @@
+/**
+ * Site profile for Mount Elizabeth Medical Centre
+ */
+
+export default {
+    id: 'mount-elizabeth',
+
+    SITE: {
+        name: 'Mount Elizabeth Medical Centre',
+        baseUrl: 'https://www.mountelizabeth.com.sg/',
+        startUrl: 'https://www.mountelizabeth.com.sg/patient-services/specialists/',
+        allowedUrlPatterns: [
+            'https://www.mountelizabeth.com.sg/patient-services/specialists/',
+            'https://www.mountelizabeth.com.sg/patient-services/specialists/**'
+        ],
+        // Patterns to exclude (optional)
+        excludedUrlPatterns: [
+            'https://www.mountelizabeth.com.sg/patient-services/specialty_areas/**',
+            'https://www.mountelizabeth.com.sg/patient-services/health-screening/**',
+            'https://www.mountelizabeth.com.sg/patient-services/about/**'
+        ],
+        // Pagination configuration
+        pagination: {
+            // Type of pagination: 'query' (e.g., ?page=2) or 'path' (e.g., /page/2/)
+            // example for query
+            //type: 'query',
+            // queryPattern: 'page={page}',
+            //==============================================
+            // example for path
+            //type: 'path',
+            //pathPattern: '/page/{page}/',
+
+            type: 'query',
+            queryPattern: 'page={page}',
+            // Base URL for pagination (if different from startUrl)
+            baseUrl: null, // Uses startUrl by default
+            // Starting page number (usually 1)
+            startPage: 1
+        }
+    },
+
+    // Selectors for web scraping
+    SELECTORS: {
+        // Specialist listing page selectors
+        specialistLinks: '#gridcontent-desktop a.moe-fp-view-profile',
+        nextButton: '.page-item.next a.page-link',
+        nextButtonContainer: '.page-item.next',
+        // Card around each specialist link, read for LISTING_FIELDS
+        listingCard: '#gridcontent-desktop .moe-fp-card'
+    },
+
+    // Fields read from the listing card of each specialist, e.g.
+    // specialty: { selector: '.moe-fp-specialty' },
+    // photo: { selector: 'img', attribute: 'src' }
+    LISTING_FIELDS: {},
+
+    // Fields extracted from each specialist detail page
+    FIELDS: {
+        doctorName: {
+            selector: '.profile-text .profile-name',
+            required: true,
+            transform: ['collapseWhitespace']
+        },
+        contactDetails: {
+            selector: '.mp-pac .mp-pac-box a.moe-vp-pac',
+            multiple: true,
+            fields: {
+                text: { required: true },
+                link: { attribute: 'href' }
+            }
+        }
+        // More fields only need an entry here, e.g.
+        // languages: { selector: '.profile-languages', transform: [{ split: ',' }] },
+        // qualifications: { selector: '.profile-qualifications li', multiple: true }
+    },
+
+    CRAWLER: {
+        labels: {
+            DETAIL: 'DETAIL',
+            SPECIALISTS_LIST: 'SPECIALISTS_LIST'
+        }
+    },
+
+    OUTPUT: {
+        filenamePrefix: 'memc-specialists'
+    }
+};
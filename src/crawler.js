@@ -0,0 +1,384 @@
+/**
+ * Crawler setup and execution for a single site profile
+ */
+
+import { PlaywrightCrawler, CheerioCrawler, RequestQueue, Dataset } from 'crawlee';
+import { CONFIG } from './config/config.js';
+import { applyProfile } from './config/profileLoader.js';
+import { extractSpecialistData, extractListingCards } from './handlers/dataExtractor.js';
+import { saveDataToFile } from './handlers/fileHandler.js';
+import { buildQualityReport, meetsQualityThreshold, writeQualityReport } from './handlers/validator.js';
+import { handlePagination, handleInitialPagination, resetPaginationState } from './handlers/paginationHandler.js';
+import { generateDiffReport } from './handlers/diffHandler.js';
+import { createErrorHandler, createFailedRequestHandler, getMaxRetries, resetDeadLetterFile } from './handlers/retryHandler.js';
+import { createRunId, createCheckpoint, markVisited, setRunStatus, RUN_STATUS } from './handlers/checkpointHandler.js';
+import { createPlaywrightDom, createCheerioDom } from './handlers/domAdapter.js';
+import { resolveCrawlerMode } from './handlers/crawlerMode.js';
+import { resolvePoliteness, getPolitenessCrawlerOptions, describePoliteness, summarizePoliteness } from './handlers/politenessHandler.js';
+import { createRunMetrics, writeRunStats } from './handlers/metricsHandler.js';
+import { startOutputRun, markLatestRun, applyRetention } from './handlers/outputManager.js';
+import { openHttpCache, getHttpCacheHooks, logHttpCacheSummary } from './handlers/httpCache.js';
+import { buildRunSummary, runPostRunHooks } from './handlers/hooksHandler.js';
+import { dedupeRecords, writeDedupReport } from './handlers/dedupHandler.js';
+import { acquireRunLock } from './handlers/runLock.js';
+import { createUrlFilter, canonicalizeUrl } from './utils/urlFilter.js';
+import { createLogger, withLogContext } from './utils/logger.js';
+
+const log = createLogger('crawler');
+
+/**
+ * Open a named Crawlee storage, discarding anything left from a previous run
+ * @param {Function} StorageClass - RequestQueue or Dataset
+ * @param {string} name - Storage name
+ * @returns {Promise<Object>} Empty storage
+ */
+async function openFreshStorage(StorageClass, name) {
+    const storage = await StorageClass.open(name);
+    await storage.drop();
+    return StorageClass.open(name);
+}
+
+/**
+ * Log context of the request being handled
+ * @param {Object} context - Crawling context
+ * @returns {Object} { url, label, retryCount }
+ */
+function getRequestLogContext({ request }) {
+    return { url: request.url, label: request.label ?? 'START', retryCount: request.retryCount };
+}
+
+/**
+ * Start a new run, or reopen the run to resume, with its queue and dataset
+ * @param {Object} profile - Validated site profile
+ * @param {Object} overrides - CONFIG values overriding the profile for this run
+ * @param {Object} options - { resume, startRequests }, see crawlProfile()
+ * @returns {Promise<Object>} { checkpoint, requestQueue, dataset, startRequests }
+ */
+async function openRun(profile, overrides, { resume, startRequests }) {
+    let checkpoint;
+    let requestQueue;
+    let dataset;
+
+    if (resume) {
+        // Reopen the run's queue and dataset as they were left
+        checkpoint = resume;
+        startRequests = checkpoint.startRequests;
+        requestQueue = await RequestQueue.open(checkpoint.runId);
+        dataset = await Dataset.open(checkpoint.runId);
+        setRunStatus(checkpoint, RUN_STATUS.RUNNING);
+        startOutputRun(checkpoint.runId);
+        log.info(`Resuming run ${checkpoint.runId}: ${checkpoint.visitedUrls.length} detail pages already extracted`);
+    } else {
+        checkpoint = createCheckpoint(createRunId(profile.id), profile.id, overrides, startRequests);
+
+        // Output files go to the run's own directory (OUTPUT.layout 'runs')
+        startOutputRun(checkpoint.runId);
+        resetDeadLetterFile();
+
+        // Queue and dataset are named after the run, so runs never share handled
+        // requests, and records are persisted as soon as each detail page is
+        // extracted so a crash mid-crawl keeps everything extracted so far
+        requestQueue = await openFreshStorage(RequestQueue, checkpoint.runId);
+        dataset = await openFreshStorage(Dataset, checkpoint.runId);
+        log.info(`Run ID: ${checkpoint.runId} (continue an interrupted run with --resume ${checkpoint.runId})`);
+    }
+
+    return { checkpoint, requestQueue, dataset, startRequests };
+}
+
+/**
+ * Crawl an opened run and save its output
+ * @param {Object} profile - Validated site profile
+ * @param {Object} run - Run from openRun()
+ * @param {Object} options - { signal, onProgress }, see crawlProfile()
+ * @returns {Promise<Object>} { runId, outputFiles, qualityReport, diffReport, runStats }
+ */
+async function runCrawl(profile, { checkpoint, requestQueue, dataset, startRequests }, { signal, onProgress }) {
+    // Detail pages already extracted by this run are never fetched twice
+    const visitedUrls = new Set(checkpoint.visitedUrls);
+    resetPaginationState();
+
+    // Rate limits, User-Agent and robots.txt rules for this site
+    const politeness = await resolvePoliteness();
+    const initialRequests = startRequests || [CONFIG.SITE.startUrl];
+    if (politeness.robots && !politeness.robots.isAllowed(CONFIG.SITE.startUrl) && !startRequests) {
+        throw new Error(`Start URL is disallowed by ${politeness.robots.url}: ${CONFIG.SITE.startUrl}`);
+    }
+
+    // Every enqueued URL is canonicalized and checked against the URL patterns
+    // and robots.txt
+    const urlFilter = createUrlFilter(CONFIG.SITE, { robots: politeness.robots });
+
+    // Playwright, Cheerio, or whichever the auto probe picked
+    const mode = await resolveCrawlerMode(politeness);
+    const CrawlerClass = mode === 'cheerio' ? CheerioCrawler : PlaywrightCrawler;
+    log.info(`Crawler mode: ${mode}`);
+
+    // Record responses to, or replay them from, the local HTTP cache
+    const cacheMode = CONFIG.CRAWLER.cache.mode;
+    let httpCache = null;
+    if (cacheMode !== 'off') {
+        if (mode !== 'playwright') {
+            throw new Error(`The HTTP cache (${cacheMode}) needs the playwright mode, not ${mode}`);
+        }
+        httpCache = openHttpCache(profile.id, cacheMode);
+        log.info(`HTTP cache: ${cacheMode} (${httpCache.directory})`);
+    }
+
+    // Pages per label, outcomes and timings for run-stats.json
+    const metrics = createRunMetrics();
+    const reportProgress = () => onProgress?.({
+        runId: checkpoint.runId,
+        records: visitedUrls.size,
+        pages: metrics.getPageTotals()
+    });
+    reportProgress();
+    const politenessOptions = getPolitenessCrawlerOptions(politeness, mode);
+    const retryErrorHandler = createErrorHandler();
+    const deadLetterHandler = createFailedRequestHandler(checkpoint);
+
+    // Handles listing and detail pages in both modes; they only see the Dom abstraction
+    const handleRequest = async ({ page, $, request, enqueueLinks }) => {
+        log.info('Processing page');
+        const dom = page ? createPlaywrightDom(page) : createCheerioDom($, request.loadedUrl ?? request.url);
+
+        // Enqueue the specialist profile links currently on the page, each with
+        // its listing card values and provenance for the detail handler
+        const enqueueDetailLinks = async () => {
+            const cards = new Map();
+            for (const { url, listing } of await extractListingCards(dom)) {
+                const key = canonicalizeUrl(url, CONFIG.SITE.canonicalization);
+                if (!cards.has(key)) cards.set(key, listing);
+            }
+            return enqueueLinks({
+                selector: CONFIG.SELECTORS.specialistLinks,
+                label: CONFIG.CRAWLER.labels.DETAIL,
+                transformRequestFunction: (options) => {
+                    const filtered = urlFilter.transformRequest(options);
+                    if (filtered && cards.has(filtered.url)) {
+                        filtered.userData = { ...filtered.userData, listing: cards.get(filtered.url) };
+                    }
+                    return filtered;
+                },
+            });
+        };
+
+        // Listing pages go through the same URL filter
+        const enqueueListingLinks = (options) => enqueueLinks({
+            ...options,
+            transformRequestFunction: urlFilter.transformRequest,
+        });
+
+        if (request.label === CONFIG.CRAWLER.labels.DETAIL) {
+            if (visitedUrls.has(request.url)) {
+                log.info('Already extracted in this run, skipping');
+                return;
+            }
+
+            // Extract specialist data from detail page
+            const specialistData = await extractSpecialistData(dom, request.url, request.userData.listing);
+            await dataset.pushData(specialistData);
+            visitedUrls.add(request.url);
+            markVisited(checkpoint, request.url);
+        
+        } else if (request.label === CONFIG.CRAWLER.labels.SPECIALISTS_LIST) {
+            // We are on a specialists listing page (page 2, 3, etc.)
+            // Wait for the specialists content to load. Without a next button
+            // the page after the last one is enqueued and comes back empty;
+            // broken selectors already fail on the first page.
+            if (!(await dom.waitFor(CONFIG.SELECTORS.specialistLinks, CONFIG.CRAWLER.timeout))) {
+                log.info('No specialists on this listing page - reached the end of the listing');
+                return;
+            }
+        
+            // Enqueue all specialist profile links
+            await enqueueDetailLinks();
+        
+            // Handle pagination to next page
+            await handlePagination(dom, request.url, enqueueListingLinks, enqueueDetailLinks);
+        
+        } else {
+            // This is the initial page load
+            log.debug('Starting on specialists page', { selector: CONFIG.SELECTORS.specialistLinks });
+        
+            // Wait for the specialists content to load
+            if (await dom.waitFor(CONFIG.SELECTORS.specialistLinks, CONFIG.CRAWLER.timeout)) {
+                log.debug('Specialist links selector found');
+            } else {
+                const [title = ''] = await dom.texts('title');
+                log.error(`Specialist links selector not found - run "node src/main.js diagnose --profile ${profile.id}" ` +
+                    'to check every selector and get candidate replacements', {
+                    selector: CONFIG.SELECTORS.specialistLinks,
+                    title
+                });
+                throw new Error(`Specialist links not found: ${CONFIG.SELECTORS.specialistLinks}`);
+            }
+        
+            // Enqueue all specialist profile links from the first page
+            await enqueueDetailLinks();
+        
+            // Handle pagination for the first page
+            await handleInitialPagination(dom, enqueueListingLinks, enqueueDetailLinks);
+        }
+    };
+
+    const crawler = new CrawlerClass({
+        requestQueue,
+        requestHandler: (context) => withLogContext(getRequestLogContext(context), async () => {
+            await handleRequest(context);
+            metrics.endPage(context.request, 'succeeded');
+            reportProgress();
+        }),
+        // Per-label retry limits and backoff; exhausted requests go to the dead-letter file
+        maxRequestRetries: getMaxRetries(),
+        errorHandler: (context, error) => withLogContext(getRequestLogContext(context), async () => {
+            await retryErrorHandler(context, error);
+            if (!context.request.noRetry) {
+                metrics.endPage(context.request, 'retried');
+                reportProgress();
+            }
+        }),
+        failedRequestHandler: (context, error) => withLogContext(getRequestLogContext(context), async () => {
+            metrics.endPage(context.request, 'failed');
+            await deadLetterHandler(context, error);
+            reportProgress();
+        }),
+        maxRequestsPerCrawl: CONFIG.CRAWLER.maxRequestsPerCrawl,
+        ...politenessOptions,
+        // Page time is measured from navigation, after the politeness delay
+        preNavigationHooks: [
+            ...politenessOptions.preNavigationHooks,
+            ...(httpCache ? getHttpCacheHooks(httpCache) : []),
+            ({ request }) => metrics.startPage(request)
+        ],
+        ...(mode === 'playwright' ? { headless: CONFIG.CRAWLER.headless } : {}),
+    });
+
+    // Pages in progress finish; the queue is kept so the run can be resumed
+    const stopCrawler = () => crawler.stop(`Run ${checkpoint.runId} cancelled`);
+    signal?.addEventListener('abort', stopCrawler, { once: true });
+    try {
+        if (!signal?.aborted) {
+            await crawler.run(initialRequests);
+        }
+    } finally {
+        signal?.removeEventListener('abort', stopCrawler);
+    }
+    if (signal?.aborted) {
+        setRunStatus(checkpoint, RUN_STATUS.CANCELLED);
+        log.warn(`Run ${checkpoint.runId} cancelled (continue it with --resume ${checkpoint.runId})`);
+        throw new Error(`Run ${checkpoint.runId} was cancelled`);
+    }
+    urlFilter.logSummary();
+    if (httpCache) {
+        logHttpCacheSummary(httpCache);
+    }
+
+    // Merge duplicate specialists, then assemble the output files
+    const { items } = await dataset.getData();
+    const { records, report: dedupReport } = dedupeRecords(items);
+    writeDedupReport(dedupReport);
+    const outputFiles = await saveDataToFile(records);
+
+    // Summarise validation failures and field completeness
+    const qualityReport = buildQualityReport(records);
+    writeQualityReport(qualityReport);
+    setRunStatus(checkpoint, RUN_STATUS.COMPLETED, {
+        outputFiles,
+        qualityScore: qualityReport.qualityScore,
+        mode,
+        cache: cacheMode,
+        urlFilter: urlFilter.stats,
+        politeness: summarizePoliteness(politeness)
+    });
+
+    // Pages per label, outcomes and timings
+    const runStats = metrics.buildRunStats({
+        runId: checkpoint.runId,
+        profileId: profile.id,
+        mode,
+        records,
+        urlFilter: urlFilter.stats,
+        politeness: summarizePoliteness(politeness)
+    });
+    writeRunStats(runStats);
+
+    // Report what changed since the previous run
+    const jsonOutput = outputFiles.find(file => file.endsWith('.json'));
+    const diffReport = CONFIG.DIFF.enabled && jsonOutput ? generateDiffReport(jsonOutput) : null;
+
+    // Only full runs that pass the quality threshold become the latest run;
+    // runs of specific requests (retry-failed) hold a partial data set
+    if (!meetsQualityThreshold(qualityReport)) {
+        log.warn(`Quality ${qualityReport.qualityScore}% is below ${qualityReport.minQuality}% - latest run not updated`);
+    } else if (!startRequests) {
+        markLatestRun(checkpoint.runId, outputFiles);
+    }
+    applyRetention();
+
+    // Nothing left to resume once the output is written
+    await requestQueue.drop();
+    await dataset.drop();
+
+    log.info(`Run summary: ${checkpoint.runId}`);
+    log.info(`Mode: ${mode}`);
+    log.info(`Records: ${qualityReport.totalRecords} (${qualityReport.validRecords} valid, ${dedupReport.mergedRecords} duplicates merged)`);
+    describePoliteness(politeness, urlFilter.stats).forEach(line => log.info(line));
+
+    return { runId: checkpoint.runId, outputFiles, qualityReport, diffReport, runStats };
+}
+
+/**
+ * Send a finished run to the post-run hooks
+ * Errors building the summary or calling hooks are only logged: they never
+ * fail a completed run or replace the error of a failed one.
+ * @param {Object} run - { checkpoint, result, error }, see buildRunSummary()
+ */
+async function reportToHooks(run) {
+    try {
+        await runPostRunHooks(buildRunSummary(run));
+    } catch (error) {
+        log.error('Post-run hooks failed', { error });
+    }
+}
+
+/**
+ * Crawl a single site profile and save its data
+ * Pass a checkpoint from loadCheckpoint() as `resume` to continue an
+ * interrupted run instead of starting a new one, and `startRequests` to crawl
+ * specific requests (e.g. dead-lettered URLs) instead of SITE.startUrl.
+ * Aborting `signal` stops the crawl after the pages in progress; the run is
+ * marked cancelled, can be resumed, and the promise rejects. `onProgress` is
+ * called with { runId, records, pages } when the run starts and after every page.
+ * Completed and failed runs are reported to the post-run hooks (CONFIG.HOOKS).
+ * Throws a RunLockError when the profile is already being crawled.
+ * @param {Object} profile - Validated site profile
+ * @param {Object} overrides - CONFIG values overriding the profile for this run
+ * @param {Object} options - { resume: checkpoint of the run to resume, startRequests: [{ url, label }], signal, onProgress }
+ * @returns {Promise<Object>} { runId, outputFiles, qualityReport, diffReport, runStats }
+ */
+export async function crawlProfile(profile, overrides = {}, { resume = null, startRequests = null, signal = null, onProgress = null } = {}) {
+    applyProfile(profile, overrides);
+    log.info(`Crawling profile "${profile.id}" (${CONFIG.SITE.name})`, { profileId: profile.id });
+
+    // Overlapping runs of a site would write the same output files
+    const lock = acquireRunLock(profile.id);
+    try {
+        const run = await openRun(profile, overrides, { resume, startRequests });
+        let result;
+        try {
+            result = await runCrawl(profile, run, { signal, onProgress });
+        } catch (error) {
+            if (run.checkpoint.status !== RUN_STATUS.CANCELLED) {
+                setRunStatus(run.checkpoint, RUN_STATUS.FAILED, { error: error.message });
+                await reportToHooks({ checkpoint: run.checkpoint, error });
+            }
+            throw error;
+        }
+
+        await reportToHooks({ checkpoint: run.checkpoint, result });
+        return result;
+    } finally {
+        lock.release();
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * Run checkpoints for resumable crawls
+ *
+ * Every crawl gets a run ID. Its request queue and record dataset are named
+ * after the run ID, and a checkpoint file records the profile, overrides,
+ * status and visited URLs so an interrupted run can be resumed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const RUN_STATUS = {
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Directory holding checkpoint files (inside the Crawlee storage directory)
+ * @returns {string} Absolute checkpoint directory
+ */
+export function getCheckpointDirectory() {
+    const storageDir = process.env.CRAWLEE_STORAGE_DIR || './storage';
+    return path.resolve(process.cwd(), storageDir, 'checkpoints');
+}
+
+/**
+ * Create a run ID for a profile, e.g. mount-elizabeth-20240131-083000
+ * @param {string} profileId - Profile id
+ * @param {Date} date - Start time
+ * @returns {string} Run ID
+ */
+export function createRunId(profileId, date = new Date()) {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${profileId}-${stamp}`;
+}
+
+/**
+ * Start time encoded in a run ID
+ * @param {string} runId - Run ID from createRunId
+ * @returns {Date|null} Start time, or null if the run ID has no timestamp
+ */
+export function getRunDate(runId) {
+    const match = /-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})$/.exec(runId);
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+}
+
+/**
+ * Path of the checkpoint file for a run
+ * @param {string} runId - Run ID
+ * @returns {string} Checkpoint file path
+ */
+function getCheckpointPath(runId) {
+    return path.join(getCheckpointDirectory(), `${runId}.json`);
+}
+
+/**
+ * Create and persist a checkpoint for a new run
+ * @param {string} runId - Run ID
+ * @param {string} profileId - Profile id
+ * @param {Object} overrides - CLI overrides used for the run
+ * @param {Array<Object>|null} startRequests - Requests the run started from, when not SITE.startUrl
+ * @returns {Object} Checkpoint
+ */
+export function createCheckpoint(runId, profileId, overrides = {}, startRequests = null) {
+    const now = new Date().toISOString();
+    const checkpoint = {
+        runId,
+        profileId,
+        overrides,
+        startRequests,
+        status: RUN_STATUS.RUNNING,
+        startedAt: now,
+        updatedAt: now,
+        recordCount: 0,
+        visitedUrls: []
+    };
+    saveCheckpoint(checkpoint);
+    return checkpoint;
+}
+
+/**
+ * Load the checkpoint of a run
+ * @param {string} runId - Run ID
+ * @returns {Object|null} Checkpoint, or null if there is none
+ */
+export function loadCheckpoint(runId) {
+    const filepath = getCheckpointPath(runId);
+    if (!fs.existsSync(filepath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+}
+
+/**
+ * Persist a checkpoint
+ * Written to a temporary file first so a crash never leaves a truncated checkpoint.
+ * @param {Object} checkpoint - Checkpoint to save
+ */
+export function saveCheckpoint(checkpoint) {
+    const filepath = getCheckpointPath(checkpoint.runId);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+
+    checkpoint.updatedAt = new Date().toISOString();
+    fs.writeFileSync(`${filepath}.tmp`, JSON.stringify(checkpoint, null, 2), 'utf8');
+    fs.renameSync(`${filepath}.tmp`, filepath);
+}
+
+/**
+ * Record a completed detail page in the checkpoint
+ * @param {Object} checkpoint - Checkpoint of the current run
+ * @param {string} url - Detail page URL
+ */
+export function markVisited(checkpoint, url) {
+    checkpoint.visitedUrls.push(url);
+    checkpoint.recordCount = checkpoint.visitedUrls.length;
+    saveCheckpoint(checkpoint);
+}
+
+/**
+ * Update the status of a run
+ * @param {Object} checkpoint - Checkpoint of the current run
+ * @param {string} status - One of RUN_STATUS
+ * @param {Object} details - Extra fields to store (e.g. error, outputFiles)
+ */
+export function setRunStatus(checkpoint, status, details = {}) {
+    Object.assign(checkpoint, details, { status });
+    saveCheckpoint(checkpoint);
+}
+
+/**
+ * List all run checkpoints, newest first
+ * @returns {Array<Object>} Checkpoints without their visited URL lists
+ */
+export function listCheckpoints() {
+    const directory = getCheckpointDirectory();
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+
+    return fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            const { visitedUrls, ...checkpoint } = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+            return checkpoint;
+        })
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
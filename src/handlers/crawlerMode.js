@@ -0,0 +1,125 @@
+/**
+ * Crawl mode selection (CONFIG.CRAWLER.mode)
+ *
+ * - 'playwright' render every page in a headless browser
+ * - 'cheerio'    fetch plain HTML over HTTP and parse it with Cheerio
+ * - 'auto'       probe the start page and one detail page over HTTP and use
+ *                Cheerio unless the selectors only match after JavaScript runs
+ *
+ * The probe requests follow the same politeness settings as the crawl: they
+ * send the configured User-Agent, wait the configured delay first and skip
+ * URLs disallowed by robots.txt.
+ */
+
+import { gotScraping } from 'crawlee';
+import { load } from 'cheerio';
+import { CONFIG } from '../config/config.js';
+import { createCheerioDom } from './domAdapter.js';
+import { extractFields } from './dataExtractor.js';
+import { IN_PAGE_PAGINATION_TYPES } from './paginationHandler.js';
+import { getRandomDelay, resolvePoliteness } from './politenessHandler.js';
+import { sleep } from '../utils/helpers.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('mode');
+
+export const CRAWLER_MODES = ['playwright', 'cheerio', 'auto'];
+
+/**
+ * Fetch a page over HTTP and parse it
+ * @param {string} url - Page URL
+ * @param {string|null} [userAgent] - User-Agent header, CONFIG.CRAWLER.politeness.userAgent by default
+ * @returns {Promise<Object>} Dom of the server-rendered HTML
+ * @throws {Error} If the server responds with an error status
+ */
+export async function fetchDom(url, userAgent = CONFIG.CRAWLER.politeness.userAgent) {
+    const response = await gotScraping({
+        url,
+        headers: userAgent ? { 'user-agent': userAgent } : {},
+        timeout: { request: CONFIG.CRAWLER.timeout }
+    });
+    if (response.statusCode >= 400) {
+        throw new Error(`HTTP ${response.statusCode}`);
+    }
+    return createCheerioDom(load(response.body), response.url);
+}
+
+/**
+ * Fetch a page for the probe, within the politeness settings
+ * @param {string} url - Page URL
+ * @param {Object} politeness - Settings from resolvePoliteness
+ * @returns {Promise<Object>} Dom of the server-rendered HTML
+ * @throws {Error} If robots.txt disallows the URL or the server responds with an error status
+ */
+async function fetchPolitely(url, politeness) {
+    const { robots, delayMs } = politeness;
+    if (robots && !robots.isAllowed(url)) {
+        throw new Error(`${url} is disallowed by ${robots.url}`);
+    }
+    const delay = getRandomDelay(delayMs);
+    if (delay > 0) {
+        await sleep(delay);
+    }
+    return fetchDom(url, politeness.userAgent);
+}
+
+/**
+ * Check whether the configured selectors need a browser to match
+ * @param {Object} politeness - Settings from resolvePoliteness
+ * @returns {Promise<string|null>} Why a browser is needed, or null if plain HTML is enough
+ */
+export async function probeNeedsBrowser(politeness) {
+    const { startUrl, pagination } = CONFIG.SITE;
+
+    if (IN_PAGE_PAGINATION_TYPES.includes(pagination.type)) {
+        return `${pagination.type} pagination runs in the browser`;
+    }
+
+    try {
+        const listing = await fetchPolitely(startUrl, politeness);
+        const detailUrls = await listing.attrs(CONFIG.SELECTORS.specialistLinks, 'href');
+        if (detailUrls.length === 0) {
+            return `no specialist links (${CONFIG.SELECTORS.specialistLinks}) in the HTML of ${startUrl}`;
+        }
+        const detailUrl = detailUrls.find(url => !politeness.robots || politeness.robots.isAllowed(url));
+        if (!detailUrl) {
+            return `every specialist link of ${startUrl} is disallowed by ${politeness.robots.url}`;
+        }
+
+        const detail = await fetchPolitely(detailUrl, politeness);
+        const { values, missing } = await extractFields(detail);
+        if (missing.length > 0) {
+            return `required fields missing from the HTML of ${detailUrl}: ${missing.join(', ')}`;
+        }
+        if (Object.values(values).every(value => value === null || (Array.isArray(value) && value.length === 0))) {
+            return `no fields found in the HTML of ${detailUrl}`;
+        }
+
+        return null;
+    } catch (error) {
+        return `HTTP probe failed (${error.message})`;
+    }
+}
+
+/**
+ * Resolve the crawl mode for the active profile
+ * @param {Object|null} [politeness] - Settings from resolvePoliteness, resolved here when not given
+ * @returns {Promise<string>} 'playwright' or 'cheerio'
+ */
+export async function resolveCrawlerMode(politeness = null) {
+    const { mode } = CONFIG.CRAWLER;
+
+    if (mode !== 'auto') {
+        return mode;
+    }
+
+    log.info('Crawler mode auto: probing whether pages need JavaScript rendering');
+    const reason = await probeNeedsBrowser(politeness ?? await resolvePoliteness());
+    if (reason) {
+        log.info(`Using Playwright: ${reason}`);
+        return 'playwright';
+    }
+
+    log.info('Using Cheerio: listing and detail selectors match the server-rendered HTML');
+    return 'cheerio';
+}
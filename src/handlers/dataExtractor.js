@@ -1,96 +1,255 @@
 /**
  * Data extraction utilities for specialist information
+ *
+ * Fields are described declaratively in CONFIG.FIELDS (see config.js) and
+ * interpreted generically, so new fields only need a config entry.
  */
 
 import { CONFIG } from '../config/config.js';
+import { applyTransforms } from '../utils/transforms.js';
+import { normalizeContacts } from '../utils/contactNormalizer.js';
+import { validateRecord, createRecordError, ERROR_CODES } from './validator.js';
+import { getCurrentPageNumber } from './paginationHandler.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('extractor');
 
 /**
- * Extract doctor name from specialist page
- * @param {Page} page - Playwright page object
- * @returns {Promise<string>} Doctor name
+ * Collect raw field values from the DOM
+ * @param {Object} root - Dom or DomNode the selectors are resolved against (see domAdapter.js)
+ * @param {Object} fields - Field map (name -> field spec)
+ * @returns {Promise<Object>} Raw values (strings, lists and nested objects)
  */
-export async function extractDoctorName(page) {
-    try {
-        await page.waitForSelector(CONFIG.SELECTORS.doctorName, { timeout: CONFIG.CRAWLER.timeout });
-        
-        const doctorName = await page.evaluate((selector) => {
-            const nameElement = document.querySelector(selector);
-            return nameElement ? nameElement.textContent.trim() : 'Name not found';
-        }, CONFIG.SELECTORS.doctorName);
-        
-        return doctorName;
-    } catch (error) {
-        console.error('Error extracting doctor name:', error);
-        return 'Name extraction failed';
+async function collectRawFields(root, fields) {
+    const result = {};
+
+    for (const [name, spec] of Object.entries(fields)) {
+        const elements = spec.selector ? await root.queryAll(spec.selector) : [root];
+        const values = [];
+        for (const element of elements) {
+            if (spec.fields) {
+                values.push(await collectRawFields(element, spec.fields));
+            } else {
+                values.push(spec.attribute ? await element.attr(spec.attribute) : await element.text());
+            }
+        }
+        result[name] = spec.multiple ? values : (values.length > 0 ? values[0] : null);
     }
+
+    return result;
 }
 
 /**
- * Extract contact details from specialist page
- * @param {Page} page - Playwright page object
- * @returns {Promise<Array>} Array of contact details
+ * Check if an extracted value is empty
+ * @param {*} value - Extracted value
+ * @returns {boolean} True for null, empty strings and empty lists
  */
-export async function extractContactDetails(page) {
-    try {
-        const contactDetails = await page.evaluate((selector) => {
-            const contactElements = document.querySelectorAll(selector);
-            const contacts = [];
-            
-            contactElements.forEach(element => {
-                const text = element.textContent.trim();
-                const href = element.href || '';
-                if (text) {
-                    contacts.push({
-                        text: text,
-                        link: href
-                    });
-                }
-            });
-            
-            return contacts;
-        }, CONFIG.SELECTORS.contactLinks);
-        
-        return contactDetails;
-    } catch (error) {
-        console.error('Error extracting contact details:', error);
-        return [];
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Apply transforms and required checks to raw field values
+ * Nested list items missing a required sub-field are dropped rather than
+ * failing the whole record.
+ * @param {Object} raw - Raw values from collectRawFields
+ * @param {Object} fields - Field map (name -> field spec)
+ * @param {Array<string>} missing - Collects names of missing required fields
+ * @returns {Object} Processed values
+ */
+export function processFields(raw, fields, missing = []) {
+    const result = {};
+
+    for (const [name, spec] of Object.entries(fields)) {
+        let value = raw[name];
+
+        if (spec.fields) {
+            const items = (spec.multiple ? value || [] : [value])
+                .filter(item => item !== null && item !== undefined)
+                .map(item => {
+                    const itemMissing = [];
+                    const processed = processFields(item, spec.fields, itemMissing);
+                    const hasContent = Object.values(processed).some(itemValue => !isEmpty(itemValue));
+                    return itemMissing.length === 0 && hasContent ? processed : null;
+                })
+                .filter(Boolean);
+            value = spec.multiple ? items : (items[0] ?? null);
+        } else {
+            value = applyTransforms(value, spec.transform);
+            if (spec.multiple && !Array.isArray(value)) {
+                value = isEmpty(value) ? [] : [value];
+            }
+        }
+
+        if (isEmpty(value)) {
+            if (spec.required) {
+                missing.push(name);
+            }
+            value = spec.multiple ? [] : null;
+        }
+
+        result[name] = value;
+    }
+
+    return result;
+}
+
+/**
+ * Extract every configured field from a page
+ * @param {Object} dom - Page DOM (see domAdapter.js)
+ * @param {Object} fields - Field map (name -> field spec), defaults to CONFIG.FIELDS
+ * @returns {Promise<Object>} { values, missing } with processed values and missing required fields
+ */
+export async function extractFields(dom, fields = CONFIG.FIELDS) {
+    const raw = await collectRawFields(dom, fields);
+    const missing = [];
+    const values = processFields(raw, fields, missing);
+
+    return { values, missing };
+}
+
+/**
+ * Extract the listing-page context of every specialist link on a listing page
+ * CONFIG.LISTING_FIELDS are read from the link's card (the closest
+ * SELECTORS.listingCard ancestor); the provenance - listing URL, page number
+ * and 1-based position of the link on the page - is recorded for every link.
+ * @param {Object} dom - Listing page DOM (see domAdapter.js)
+ * @returns {Promise<Array<Object>>} [{ url, listing: { listingUrl, page, position, fields } }]
+ */
+export async function extractListingCards(dom) {
+    const listingUrl = dom.url();
+    const page = getCurrentPageNumber(listingUrl);
+    const cardSelector = CONFIG.SELECTORS.listingCard;
+    const links = await dom.queryAll(CONFIG.SELECTORS.specialistLinks);
+    const cards = [];
+
+    for (const [index, link] of links.entries()) {
+        const url = await link.attr('href');
+        if (!url) continue;
+
+        const card = cardSelector ? await link.closest(cardSelector) : null;
+        const fields = card ? (await extractFields(card, CONFIG.LISTING_FIELDS)).values : processFields({}, CONFIG.LISTING_FIELDS);
+        cards.push({ url, listing: { listingUrl, page, position: index + 1, fields } });
+    }
+
+    return cards;
+}
+
+/**
+ * Provenance of a record
+ * @param {Object|null} listing - Listing context of the page
+ * @returns {Object|null} { listingUrl, page, position }
+ */
+function getSource(listing) {
+    return listing ? { listingUrl: listing.listingUrl, page: listing.page, position: listing.position } : null;
+}
+
+/**
+ * Name of a record for log lines
+ * Uses DEDUP.nameField, or the first required text field when the profile
+ * has none, so profiles without a doctorName field still log a name.
+ * @param {Object} values - Extracted values
+ * @param {string} url - Page URL, used when no name was found
+ * @returns {string} Record name or URL
+ */
+function getRecordName(values, url) {
+    const field = CONFIG.DEDUP.nameField
+        ?? Object.keys(CONFIG.FIELDS).find(name => CONFIG.FIELDS[name].required && !CONFIG.FIELDS[name].multiple);
+    const name = field ? values[field] : null;
+    return typeof name === 'string' && name ? name : url;
+}
+
+/**
+ * Merge the listing-card values of a specialist into its detail record
+ * Values found on the detail page win; listing values only fill fields the
+ * detail page left empty or does not have. Without a listing context the
+ * listing fields are empty, so every record has the same fields.
+ * @param {Object} values - Detail page values
+ * @param {Object} [fields] - Listing card values
+ * @returns {Object} Merged values
+ */
+function mergeListingFields(values, fields = processFields({}, CONFIG.LISTING_FIELDS)) {
+    const merged = { ...values };
+    for (const [name, value] of Object.entries(fields)) {
+        if (!(name in merged) || (isEmpty(merged[name]) && !isEmpty(value))) {
+            merged[name] = value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Wait for the first required field to render before extracting
+ * @param {Object} dom - Page DOM (see domAdapter.js)
+ */
+async function waitForRequiredField(dom) {
+    const requiredField = Object.values(CONFIG.FIELDS).find(spec => spec.required && spec.selector);
+    if (!requiredField) {
+        return;
+    }
+
+    if (!(await dom.waitFor(requiredField.selector, CONFIG.CRAWLER.timeout))) {
+        log.warn('Required field selector not found', { selector: requiredField.selector });
     }
 }
 
 /**
  * Extract all specialist data from a detail page
- * @param {Page} page - Playwright page object
+ * The record is validated and carries `valid` plus structured `errors`
+ * ({ code, field, message }) instead of placeholder values. The listing
+ * context the page was found with (request.userData.listing, see
+ * extractListingCards) fills in its fields, and its provenance is kept as
+ * `source`: { listingUrl, page, position }, or null without one.
+ * @param {Object} dom - Page DOM (see domAdapter.js)
  * @param {string} url - Current page URL
+ * @param {Object|null} listing - Listing context of the page
  * @returns {Promise<Object>} Specialist data object
  */
-export async function extractSpecialistData(page, url) {
-    console.log(`Extracting data from specialist page: ${url}`);
-    
+export async function extractSpecialistData(dom, url, listing = null) {
+    log.debug('Extracting data from specialist page');
+
+    let specialistData;
+
     try {
-        const doctorName = await extractDoctorName(page);
-        const contactDetails = await extractContactDetails(page);
-        
-        const specialistData = {
+        await waitForRequiredField(dom);
+        const { values } = await extractFields(dom);
+
+        // Classify and normalize contact entries (phone, email, address, ...)
+        const contactField = CONFIG.CONTACTS.field;
+        if (Array.isArray(values[contactField])) {
+            values[contactField] = normalizeContacts(values[contactField], {
+                defaultCountry: CONFIG.CONTACTS.defaultCountry
+            });
+        }
+
+        specialistData = {
             url: url,
-            doctorName: doctorName,
-            contactDetails: contactDetails,
+            ...mergeListingFields(values, listing?.fields),
+            source: getSource(listing),
             extractedAt: new Date().toISOString()
         };
-        
-        console.log(`Extracted data for: ${doctorName}`);
-        console.log(`Contact details found: ${contactDetails.length}`);
-        
-        return specialistData;
-        
+        specialistData.errors = validateRecord(specialistData);
+
+        log.info(`Extracted data for: ${getRecordName(values, url)}`, {
+            fields: Object.keys(values).filter(name => !isEmpty(values[name]))
+        });
+
     } catch (error) {
-        console.error(`Error extracting data from ${url}:`, error);
-        
-        return {
+        log.error('Error extracting data', { error });
+
+        specialistData = {
             url: url,
-            doctorName: 'Extraction failed',
-            contactDetails: [],
-            error: error.message,
-            extractedAt: new Date().toISOString()
+            ...mergeListingFields(processFields({}, CONFIG.FIELDS), listing?.fields),
+            source: getSource(listing),
+            extractedAt: new Date().toISOString(),
+            errors: [createRecordError(ERROR_CODES.EXTRACTION_FAILED, null, error.message)]
         };
     }
+
+    specialistData.valid = specialistData.errors.length === 0;
+    if (!specialistData.valid) {
+        log.warn('Validation failed', { codes: specialistData.errors.map(error => error.code) });
+    }
+
+    return specialistData;
 }
@@ -0,0 +1,267 @@
+/**
+ * Deduplication of specialist records before the output is saved
+ *
+ * The same specialist can be extracted more than once: from profile URLs that
+ * differ only in case or in query parameters the enqueue filter keeps, or
+ * from two profile pages of one doctor. Records are merged when their URLs
+ * are the same after canonicalization (path compared case-insensitively), or
+ * when their normalized names (CONFIG.DEDUP.nameField) are equal and they
+ * share a phone number, email or other contact of CONFIG.DEDUP.contactTypes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../config/config.js';
+import { getOutputDirectory } from './fileHandler.js';
+import { ERROR_CODES, validateRecord } from './validator.js';
+import { getContactKey, mergeContacts } from '../utils/contactNormalizer.js';
+import { canonicalizeUrl } from '../utils/urlFilter.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('dedup');
+
+export const MERGE_REASONS = {
+    URL: 'url',
+    NAME_AND_CONTACT: 'name+contact'
+};
+
+// Leading titles ignored when comparing names ("A/Prof" becomes "a prof")
+const NAME_TITLES = new Set(['dr', 'doctor', 'prof', 'professor', 'a', 'assoc', 'associate', 'adj', 'adjunct',
+    'asst', 'assistant', 'clin', 'clinical', 'mr', 'mrs', 'ms', 'miss', 'mdm', 'madam']);
+
+// Record fields that are never merged from duplicates
+const OWN_FIELDS = ['url', 'extractedAt', 'errors', 'valid'];
+
+/**
+ * Check if a field value is empty
+ * @param {*} value - Field value
+ * @returns {boolean} True for null, empty strings and empty lists
+ */
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Key identifying the page of a record
+ * @param {string} url - Record URL
+ * @returns {string} Canonical URL with a lowercase path
+ */
+export function getRecordUrlKey(url) {
+    const canonical = canonicalizeUrl(url, CONFIG.SITE.canonicalization);
+    try {
+        const parsed = new URL(canonical);
+        parsed.pathname = parsed.pathname.toLowerCase();
+        return parsed.toString();
+    } catch {
+        return canonical;
+    }
+}
+
+/**
+ * Normalize a person's name for comparison
+ * Accents, punctuation, case and leading titles are ignored.
+ * @param {string|null} name - Name, e.g. "A/Prof. Tan  Wei-Ming"
+ * @returns {string} Normalized name, e.g. "tan wei ming" (empty when there is none)
+ */
+export function normalizeName(name) {
+    if (typeof name !== 'string') {
+        return '';
+    }
+
+    const words = name.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .split(/[^a-z0-9]+/).filter(Boolean);
+    while (words.length > 1 && NAME_TITLES.has(words[0])) {
+        words.shift();
+    }
+    return words.join(' ');
+}
+
+/**
+ * Contact keys of a record compared for name matches
+ * @param {Object} record - Specialist record
+ * @param {Array<string>} contactTypes - Contact types to compare
+ * @returns {Set<string>} Contact keys
+ */
+function getIdentifyingContacts(record, contactTypes) {
+    const contacts = record[CONFIG.CONTACTS.field];
+    return new Set((Array.isArray(contacts) ? contacts : [])
+        .filter(contact => contactTypes.includes(contact.type) && contact.value)
+        .map(getContactKey));
+}
+
+/**
+ * Check whether a record could not be extracted at all
+ * @param {Object} record - Specialist record
+ * @returns {boolean} True when extraction failed
+ */
+function hasFailedExtraction(record) {
+    return (record.errors || []).some(error => error.code === ERROR_CODES.EXTRACTION_FAILED);
+}
+
+/**
+ * Order records by how good a base for the merged record they are: valid
+ * first, then the most filled fields, then the order they were extracted in
+ * @param {Array<Object>} records - Records of one group
+ * @returns {Array<Object>} Sorted records
+ */
+function rankRecords(records) {
+    const filled = record => Object.values(record).filter(value => !isEmpty(value)).length;
+    return records
+        .map((record, index) => ({ record, index }))
+        .sort((a, b) => Number(b.record.valid) - Number(a.record.valid)
+            || filled(b.record) - filled(a.record)
+            || a.index - b.index)
+        .map(({ record }) => record);
+}
+
+/**
+ * Merge the records of one specialist
+ * The best record is kept; its empty fields are filled from the others,
+ * list fields are combined and the contact lists merged. The result is
+ * validated again.
+ * @param {Array<Object>} records - Records of one specialist
+ * @returns {Object} Merged record
+ */
+export function mergeRecords(records) {
+    const [primary, ...others] = rankRecords(records);
+    const usable = others.filter(record => !hasFailedExtraction(record));
+    if (hasFailedExtraction(primary) || usable.length === 0) {
+        return primary;
+    }
+
+    const merged = { ...primary };
+    const contactField = CONFIG.CONTACTS.field;
+    for (const record of usable) {
+        for (const [field, value] of Object.entries(record)) {
+            if (OWN_FIELDS.includes(field) || field === contactField || isEmpty(value)) continue;
+
+            if (isEmpty(merged[field])) {
+                merged[field] = value;
+            } else if (Array.isArray(merged[field]) && Array.isArray(value)) {
+                const seen = new Set(merged[field].map(item => JSON.stringify(item)));
+                merged[field] = [...merged[field], ...value.filter(item => !seen.has(JSON.stringify(item)))];
+            }
+        }
+    }
+    if ([primary, ...usable].some(record => Array.isArray(record[contactField]))) {
+        merged[contactField] = mergeContacts(...[primary, ...usable].map(record => record[contactField] || []));
+    }
+
+    merged.errors = validateRecord(merged);
+    merged.valid = merged.errors.length === 0;
+    return merged;
+}
+
+/**
+ * Merge duplicate specialist records (CONFIG.DEDUP)
+ * Records keep the position of the first record of their group.
+ * @param {Array<Object>} records - Extracted records
+ * @returns {Object} { records: deduplicated records, report: dedup report }
+ */
+export function dedupeRecords(records) {
+    const { enabled, nameField, contactTypes } = CONFIG.DEDUP;
+    const report = {
+        siteName: CONFIG.SITE.name,
+        generatedAt: new Date().toISOString(),
+        inputRecords: records.length,
+        outputRecords: records.length,
+        mergedRecords: 0,
+        merges: []
+    };
+    if (!enabled) {
+        return { records, report };
+    }
+
+    // Groups of duplicates as a union-find forest over record indexes
+    const parent = records.map((record, index) => index);
+    const reasons = records.map(() => new Set());
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const union = (a, b, reason) => {
+        const [rootA, rootB] = [find(a), find(b)].sort((x, y) => x - y);
+        if (rootA !== rootB) {
+            parent[rootB] = rootA;
+            reasons[rootB].forEach(existing => reasons[rootA].add(existing));
+        }
+        reasons[rootA].add(reason);
+    };
+
+    const byUrl = new Map();
+    records.forEach((record, index) => {
+        const key = getRecordUrlKey(record.url);
+        if (byUrl.has(key)) {
+            union(byUrl.get(key), index, MERGE_REASONS.URL);
+        } else {
+            byUrl.set(key, index);
+        }
+    });
+
+    if (nameField) {
+        const byName = new Map();
+        records.forEach((record, index) => {
+            const name = normalizeName(record[nameField]);
+            if (name) {
+                byName.set(name, [...(byName.get(name) || []), index]);
+            }
+        });
+
+        for (const indexes of [...byName.values()].filter(group => group.length > 1)) {
+            const contacts = indexes.map(index => getIdentifyingContacts(records[index], contactTypes));
+            for (let i = 0; i < indexes.length; i++) {
+                for (let j = i + 1; j < indexes.length; j++) {
+                    if ([...contacts[i]].some(key => contacts[j].has(key))) {
+                        union(indexes[i], indexes[j], MERGE_REASONS.NAME_AND_CONTACT);
+                    }
+                }
+            }
+        }
+    }
+
+    const groups = new Map();
+    records.forEach((record, index) => {
+        const root = find(index);
+        groups.set(root, [...(groups.get(root) || []), record]);
+    });
+
+    const deduplicated = [];
+    for (const [root, group] of groups) {
+        if (group.length === 1) {
+            deduplicated.push(group[0]);
+            continue;
+        }
+
+        const merged = mergeRecords(group);
+        deduplicated.push(merged);
+        report.merges.push({
+            url: merged.url,
+            name: nameField ? merged[nameField] ?? null : null,
+            reasons: [...reasons[root]],
+            mergedUrls: group.map(record => record.url).filter(url => url !== merged.url),
+            records: group.length
+        });
+    }
+
+    report.outputRecords = deduplicated.length;
+    report.mergedRecords = records.length - deduplicated.length;
+    return { records: deduplicated, report };
+}
+
+/**
+ * Write the dedup report next to the output files
+ * @param {Object} report - Report from dedupeRecords
+ * @returns {string} Report file path
+ */
+export function writeDedupReport(report) {
+    const filepath = path.join(getOutputDirectory(), CONFIG.OUTPUT.getFilename('dedup.json'));
+    fs.writeFileSync(filepath, JSON.stringify(report, null, 2), 'utf8');
+
+    if (report.mergedRecords > 0) {
+        log.info(`Merged ${report.inputRecords} records into ${report.outputRecords} (${report.merges.length} specialists had duplicates)`, {
+            merges: report.merges.map(merge => ({ url: merge.url, mergedUrls: merge.mergedUrls, reasons: merge.reasons }))
+        });
+    } else {
+        log.info('No duplicate records');
+    }
+    log.info(`Dedup report saved to: ${filepath}`);
+
+    return filepath;
+}
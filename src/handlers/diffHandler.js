@@ -0,0 +1,282 @@
+/**
+ * Change detection between crawl runs
+ *
+ * Compares the specialists of two JSON output files keyed by specialist URL
+ * and reports added, removed and modified specialists with field-level changes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../config/config.js';
+import { findOutputFile, getRunDirectory, listLatestRuns, listRuns, readOutputFile } from './outputManager.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('diff');
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the output file of the previous run for the current profile
+ * In the runs layout this is the JSON output of the newest earlier run that
+ * became the latest run, so partial retry-failed runs and runs below the
+ * quality threshold are never the baseline.
+ * Otherwise it is the newest dated JSON file older than the current one, or,
+ * when the current file overwrote an earlier run of the same day, its newest
+ * backup.
+ * @param {string} currentPath - Path of the current JSON output file
+ * @returns {string|null} Path of the previous output file
+ */
+export function findPreviousOutput(currentPath) {
+    const directory = path.dirname(currentPath);
+    const runs = listRuns();
+    const currentRun = path.basename(directory);
+
+    if (runs.includes(currentRun) && directory === getRunDirectory(currentRun)) {
+        const previous = listLatestRuns().filter(runId => runId < currentRun).reverse()
+            .map(runId => findOutputFile(getRunDirectory(runId), 'json'))
+            .find(Boolean);
+        return previous ?? null;
+    }
+
+    const currentName = path.basename(currentPath);
+    const prefix = escapeRegex(CONFIG.OUTPUT.filenamePrefix);
+    const datedPattern = new RegExp(`^${prefix}-\\d{4}-\\d{2}-\\d{2}\\.json$`);
+    const backupPattern = new RegExp(`^${escapeRegex(path.basename(currentName, '.json'))}_backup_.+\\.json$`);
+
+    const backupDirectory = path.join(directory, 'backups');
+    const backups = fs.existsSync(backupDirectory)
+        ? fs.readdirSync(backupDirectory).filter(file => backupPattern.test(file)).sort()
+        : [];
+    if (backups.length > 0) {
+        return path.join(backupDirectory, backups[backups.length - 1]);
+    }
+
+    const files = fs.existsSync(directory) ? fs.readdirSync(directory) : [];
+    const earlier = files.filter(file => datedPattern.test(file) && file < currentName).sort();
+    return earlier.length > 0 ? path.join(directory, earlier[earlier.length - 1]) : null;
+}
+
+/**
+ * Read the specialists of a JSON output file (gzipped files of compressed runs too)
+ * @param {string} filepath - Output file path
+ * @returns {Array<Object>} Specialist records
+ */
+export function readSpecialists(filepath) {
+    const data = readOutputFile(filepath);
+    return Array.isArray(data) ? data : data.specialists || [];
+}
+
+/**
+ * Stable key of a list item, used to compare list fields such as contacts
+ * @param {*} item - List item
+ * @returns {string} Key
+ */
+function itemKey(item) {
+    if (item && typeof item === 'object' && 'type' in item && 'value' in item) {
+        return `${item.type}:${item.value ?? item.link ?? item.text}`;
+    }
+    return JSON.stringify(item);
+}
+
+/**
+ * Compute field-level changes between two versions of a record
+ * @param {Object} before - Previous record
+ * @param {Object} after - Current record
+ * @param {Array<string>} ignoreFields - Fields never reported as changed
+ * @returns {Array<Object>} Changes: { field, before, after } or { field, added, removed } for lists
+ */
+export function diffRecord(before, after, ignoreFields = CONFIG.DIFF.ignoreFields) {
+    const changes = [];
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const field of fields) {
+        if (ignoreFields.includes(field)) continue;
+
+        const oldValue = before[field];
+        const newValue = after[field];
+
+        if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+            const oldItems = new Map((oldValue || []).map(item => [itemKey(item), item]));
+            const newItems = new Map((newValue || []).map(item => [itemKey(item), item]));
+            const added = [...newItems].filter(([key]) => !oldItems.has(key)).map(([, item]) => item);
+            const removed = [...oldItems].filter(([key]) => !newItems.has(key)).map(([, item]) => item);
+
+            if (added.length > 0 || removed.length > 0) {
+                changes.push({ field, added, removed });
+            }
+        } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes.push({ field, before: oldValue ?? null, after: newValue ?? null });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Field naming a specialist in the report
+ * Uses DEDUP.nameField, or the first required text field when the profile
+ * has none, like the extractor's log lines.
+ * @returns {string|null} Field name
+ */
+function getNameField() {
+    return CONFIG.DEDUP.nameField
+        ?? Object.keys(CONFIG.FIELDS).find(name => CONFIG.FIELDS[name].required && !CONFIG.FIELDS[name].multiple)
+        ?? null;
+}
+
+/**
+ * Compare two sets of specialist records keyed by URL
+ * Added, removed and modified specialists are listed with their URL and name.
+ * @param {Array<Object>} previous - Records of the previous run
+ * @param {Array<Object>} current - Records of the current run
+ * @returns {Object} { summary, added, removed, modified }
+ */
+export function diffSpecialists(previous, current) {
+    const previousByUrl = new Map(previous.map(record => [record.url, record]));
+    const currentByUrl = new Map(current.map(record => [record.url, record]));
+    const nameField = getNameField();
+    const describe = record => ({ url: record.url, name: nameField ? record[nameField] ?? null : null });
+
+    const added = current.filter(record => !previousByUrl.has(record.url)).map(describe);
+    const removed = previous.filter(record => !currentByUrl.has(record.url)).map(describe);
+    const modified = [];
+    let unchanged = 0;
+
+    for (const record of current) {
+        const before = previousByUrl.get(record.url);
+        if (!before) continue;
+
+        const changes = diffRecord(before, record);
+        if (changes.length > 0) {
+            modified.push({ ...describe(record), changes });
+        } else {
+            unchanged++;
+        }
+    }
+
+    return {
+        summary: { added: added.length, removed: removed.length, modified: modified.length, unchanged },
+        added,
+        removed,
+        modified
+    };
+}
+
+/**
+ * Format a value for the markdown report
+ * @param {*} value - Field value or list item
+ * @returns {string} Inline markdown
+ */
+function formatValue(value) {
+    if (value === null || value === undefined) return '_empty_';
+    if (typeof value === 'object' && 'type' in value && 'value' in value) {
+        return `${value.type} \`${value.value ?? value.text}\``;
+    }
+    return `\`${typeof value === 'object' ? JSON.stringify(value) : value}\``;
+}
+
+/**
+ * Render a diff report as a human-readable markdown summary
+ * @param {Object} report - Report from buildDiffReport
+ * @returns {string} Markdown
+ */
+export function renderDiffMarkdown(report) {
+    const { summary } = report;
+    const label = record => `[${record.name || record.url}](${record.url})`;
+    const lines = [
+        `# Specialist changes: ${report.siteName}`,
+        '',
+        `Compared \`${path.basename(report.currentFile)}\` with \`${path.basename(report.previousFile)}\`.`,
+        '',
+        `- Added: ${summary.added}`,
+        `- Removed: ${summary.removed}`,
+        `- Modified: ${summary.modified}`,
+        `- Unchanged: ${summary.unchanged}`
+    ];
+
+    if (report.added.length > 0) {
+        lines.push('', '## Added', '', ...report.added.map(record => `- ${label(record)}`));
+    }
+
+    if (report.removed.length > 0) {
+        lines.push('', '## Removed', '', ...report.removed.map(record => `- ${label(record)}`));
+    }
+
+    if (report.modified.length > 0) {
+        lines.push('', '## Modified');
+        for (const record of report.modified) {
+            lines.push('', `### ${label(record)}`, '');
+            for (const change of record.changes) {
+                if (change.added || change.removed) {
+                    change.added.forEach(item => lines.push(`- ${change.field}: added ${formatValue(item)}`));
+                    change.removed.forEach(item => lines.push(`- ${change.field}: removed ${formatValue(item)}`));
+                } else {
+                    lines.push(`- ${change.field}: ${formatValue(change.before)} → ${formatValue(change.after)}`);
+                }
+            }
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a diff report between two JSON output files
+ * @param {string} previousFile - Previous output file
+ * @param {string} currentFile - Current output file
+ * @returns {Object} Diff report
+ */
+export function buildDiffReport(previousFile, currentFile) {
+    return {
+        siteName: CONFIG.SITE.name,
+        generatedAt: new Date().toISOString(),
+        previousFile,
+        currentFile,
+        ...diffSpecialists(readSpecialists(previousFile), readSpecialists(currentFile))
+    };
+}
+
+/**
+ * Write a diff report as JSON and markdown next to the current output file
+ * @param {Object} report - Report from buildDiffReport
+ * @returns {Array<string>} Paths of the JSON and markdown reports
+ */
+export function writeDiffReport(report) {
+    const base = report.currentFile.replace(/\.json(\.gz)?$/, '');
+    const jsonPath = `${base}.diff.json`;
+    const markdownPath = `${base}.diff.md`;
+
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2), 'utf8');
+    fs.writeFileSync(markdownPath, renderDiffMarkdown(report), 'utf8');
+
+    return [jsonPath, markdownPath];
+}
+
+/**
+ * Compare a freshly written output file with the previous run and save the report
+ * @param {string} currentFile - JSON output file of the current run
+ * @returns {Object|null} Diff report, or null when there is no previous output
+ */
+export function generateDiffReport(currentFile) {
+    const previousFile = findPreviousOutput(currentFile);
+    if (!previousFile) {
+        log.info('No previous output found - skipping change report');
+        return null;
+    }
+
+    const report = buildDiffReport(previousFile, currentFile);
+    const [jsonPath, markdownPath] = writeDiffReport(report);
+    const { summary } = report;
+
+    log.info(`Changes since ${path.basename(previousFile)}: ${summary.added} added, ${summary.removed} removed, ${summary.modified} modified`);
+    log.info(`Change report saved to: ${jsonPath} and ${markdownPath}`);
+
+    return report;
+}
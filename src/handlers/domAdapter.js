@@ -0,0 +1,133 @@
+/**
+ * DOM abstraction shared by the Playwright and Cheerio crawl modes
+ *
+ * Listing and detail handlers only talk to this interface, so the same code
+ * runs on a rendered browser page and on server-rendered HTML.
+ *
+ * Dom:
+ * - url()                      current page URL
+ * - queryAll(selector)         matching DomNodes
+ * - count(selector)            number of matches
+ * - texts(selector)            trimmed textContent of every match
+ * - attrs(selector, name)      attribute of every match (href/src absolute)
+ * - waitFor(selector, timeout) true once the selector matches
+ * - html()                     page HTML
+ * - page                       Playwright page, null in Cheerio mode
+ *
+ * DomNode: queryAll(selector), text(), attr(name), hasClass(name),
+ *          closest(selector) (nearest matching ancestor or itself, or null)
+ */
+
+// Attributes returned as absolute URLs, like the DOM href/src properties
+const URL_ATTRIBUTES = ['href', 'src'];
+
+/**
+ * Resolve a URL attribute against the document URL
+ * @param {string} value - Attribute value
+ * @param {string} baseUrl - Document base URL
+ * @returns {string} Absolute URL, or the value if it cannot be resolved
+ */
+function resolveUrl(value, baseUrl) {
+    try {
+        return new URL(value, baseUrl).toString();
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Wrap a Playwright element handle
+ * @param {ElementHandle} handle - Playwright element handle
+ * @returns {Object} DomNode
+ */
+function createPlaywrightNode(handle) {
+    return {
+        queryAll: async (selector) => (await handle.$$(selector)).map(createPlaywrightNode),
+        text: () => handle.evaluate(element => element.textContent.trim()),
+        attr: (name) => handle.evaluate((element, { name, urlAttributes }) => {
+            // href/src properties are already resolved to absolute URLs
+            if (urlAttributes.includes(name) && typeof element[name] === 'string') {
+                return element[name];
+            }
+            return element.getAttribute(name);
+        }, { name, urlAttributes: URL_ATTRIBUTES }),
+        hasClass: (name) => handle.evaluate((element, name) => element.classList.contains(name), name),
+        closest: async (selector) => {
+            const ancestor = (await handle.evaluateHandle((element, selector) => element.closest(selector), selector)).asElement();
+            return ancestor ? createPlaywrightNode(ancestor) : null;
+        }
+    };
+}
+
+/**
+ * Create a Dom for a Playwright page
+ * @param {Page} page - Playwright page object
+ * @returns {Object} Dom
+ */
+export function createPlaywrightDom(page) {
+    return {
+        page,
+        url: () => page.url(),
+        queryAll: async (selector) => (await page.$$(selector)).map(createPlaywrightNode),
+        count: (selector) => page.$$eval(selector, elements => elements.length),
+        texts: (selector) => page.$$eval(selector, elements => elements.map(element => element.textContent.trim())),
+        attrs: (selector, name) => page.$$eval(selector, (elements, { name, urlAttributes }) => elements.map(element => {
+            if (urlAttributes.includes(name) && typeof element[name] === 'string') {
+                return element[name];
+            }
+            return element.getAttribute(name);
+        }), { name, urlAttributes: URL_ATTRIBUTES }),
+        waitFor: async (selector, timeout) => {
+            try {
+                await page.waitForSelector(selector, { timeout });
+                return true;
+            } catch {
+                return false;
+            }
+        },
+        html: () => page.content()
+    };
+}
+
+/**
+ * Create a Dom for HTML parsed with Cheerio
+ * @param {CheerioAPI} $ - Cheerio document
+ * @param {string} url - URL the HTML was loaded from
+ * @returns {Object} Dom
+ */
+export function createCheerioDom($, url) {
+    // <base href> changes how relative links resolve, as in the browser
+    const baseHref = $('base[href]').first().attr('href');
+    const baseUrl = baseHref ? resolveUrl(baseHref, url) : url;
+
+    const readAttr = (element, name) => {
+        const value = $(element).attr(name);
+        if (value === undefined) {
+            return null;
+        }
+        return URL_ATTRIBUTES.includes(name) ? resolveUrl(value, baseUrl) : value;
+    };
+
+    const createNode = (element) => ({
+        queryAll: async (selector) => $(element).find(selector).toArray().map(createNode),
+        text: async () => $(element).text().trim(),
+        attr: async (name) => readAttr(element, name),
+        hasClass: async (name) => $(element).hasClass(name),
+        closest: async (selector) => {
+            const ancestor = $(element).closest(selector).get(0);
+            return ancestor ? createNode(ancestor) : null;
+        }
+    });
+
+    return {
+        page: null,
+        url: () => url,
+        queryAll: async (selector) => $(selector).toArray().map(createNode),
+        count: async (selector) => $(selector).length,
+        texts: async (selector) => $(selector).toArray().map(element => $(element).text().trim()),
+        attrs: async (selector, name) => $(selector).toArray().map(element => readAttr(element, name)),
+        // Server-rendered HTML does not change, so waiting cannot help
+        waitFor: async (selector) => $(selector).length > 0,
+        html: async () => $.html()
+    };
+}
@@ -1,23 +1,80 @@
 /**
  * File handling utilities for saving extracted data
+ *
+ * Output formats are provided by writers registered by name. A writer is an
+ * object with an `extension` and a `serialize(envelope)` method returning the
+ * file contents (string or bytes, optionally as a Promise).
  */
 
 import fs from 'fs';
 import path from 'path';
 import { CONFIG } from '../config/config.js';
+import { jsonWriter } from './writers/jsonWriter.js';
+import { csvWriter } from './writers/csvWriter.js';
+import { ndjsonWriter } from './writers/ndjsonWriter.js';
+import { sqliteWriter } from './writers/sqliteWriter.js';
+import { backupBeforeOverwrite, resolveOutputDirectory } from './outputManager.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('output');
+
+const writers = new Map();
+
+/**
+ * Register an output writer
+ * @param {string} format - Format name used in OUTPUT.formats / --format
+ * @param {Object} writer - Writer with `extension` and `serialize(envelope)`
+ */
+export function registerWriter(format, writer) {
+    if (!writer || typeof writer.serialize !== 'function' || !writer.extension) {
+        throw new Error(`Writer "${format}" must have an extension and a serialize() method`);
+    }
+    writers.set(format, writer);
+}
+
+/**
+ * Get a registered writer
+ * @param {string} format - Format name
+ * @returns {Object} Writer
+ */
+export function getWriter(format) {
+    const writer = writers.get(format);
+    if (!writer) {
+        throw new Error(`Unknown output format "${format}". Available: ${getRegisteredFormats().join(', ')}`);
+    }
+    return writer;
+}
+
+/**
+ * List registered format names
+ * @returns {Array<string>} Format names
+ */
+export function getRegisteredFormats() {
+    return [...writers.keys()];
+}
+
+registerWriter('json', jsonWriter);
+registerWriter('csv', csvWriter);
+registerWriter('ndjson', ndjsonWriter);
+registerWriter('sqlite', sqliteWriter);
 
 /**
- * Save extracted data to JSON file
+ * Resolve the output directory of the current run, creating it if needed
+ * @returns {string} Absolute output directory, see handlers/outputManager.js
+ */
+export function getOutputDirectory() {
+    const directory = resolveOutputDirectory();
+    fs.mkdirSync(directory, { recursive: true });
+    return directory;
+}
+
+/**
+ * Build the output envelope written by every writer
  * @param {Array} extractedData - Array of specialist data
- * @returns {Promise<string>} File path where data was saved
+ * @returns {Object} Envelope with site metadata and the specialists
  */
-export async function saveDataToFile(extractedData) {
-    const filename = CONFIG.OUTPUT.getFilename();
-    const filepath = path.join(process.cwd(), filename);
-    
-    console.log(`\nCrawling completed! Saving ${extractedData.length} records to ${filename}`);
-    
-    const jsonData = {
+export function buildEnvelope(extractedData) {
+    return {
         siteName: CONFIG.SITE.name,
         extractedDate: new Date().toISOString().split('T')[0],
         totalRecords: extractedData.length,
@@ -27,34 +84,46 @@ export async function saveDataToFile(extractedData) {
             sourceUrl: CONFIG.SITE.startUrl
         }
     };
-    
-    try {
-        fs.writeFileSync(filepath, JSON.stringify(jsonData, null, 2), 'utf8');
-        console.log(`Data successfully saved to: ${filepath}`);
-        return filepath;
-    } catch (error) {
-        console.error('Error saving data to file:', error);
-        throw error;
-    }
 }
 
 /**
- * Create backup of existing file if it exists
- * @param {string} filename - Name of the file to backup
+ * Serialize an envelope with one writer and write it to a file
+ * @param {Object} envelope - Output envelope
+ * @param {string} format - Format name
+ * @param {string} filepath - Destination file
+ * @returns {Promise<string>} File path written
+ */
+export async function writeEnvelope(envelope, format, filepath) {
+    const contents = await getWriter(format).serialize(envelope);
+    fs.writeFileSync(filepath, contents, typeof contents === 'string' ? 'utf8' : undefined);
+    return filepath;
+}
+
+/**
+ * Save extracted data with every configured writer (CONFIG.OUTPUT.formats)
+ * @param {Array} extractedData - Array of specialist data
+ * @returns {Promise<Array<string>>} File paths where data was saved
  */
-export function createBackupIfExists(filename) {
-    const filepath = path.join(process.cwd(), filename);
-    
-    if (fs.existsSync(filepath)) {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const backupFilename = filename.replace('.json', `_backup_${timestamp}.json`);
-        const backupPath = path.join(process.cwd(), backupFilename);
-        
+export async function saveDataToFile(extractedData) {
+    const directory = getOutputDirectory();
+    const envelope = buildEnvelope(extractedData);
+    const filepaths = [];
+
+    log.info(`Crawling completed - saving ${extractedData.length} records as ${CONFIG.OUTPUT.formats.join(', ')}`);
+
+    for (const format of CONFIG.OUTPUT.formats) {
+        const filepath = path.join(directory, CONFIG.OUTPUT.getFilename(getWriter(format).extension));
+
         try {
-            fs.copyFileSync(filepath, backupPath);
-            console.log(`Created backup: ${backupFilename}`);
+            backupBeforeOverwrite(filepath);
+            await writeEnvelope(envelope, format, filepath);
+            log.info(`Data saved to: ${filepath}`);
+            filepaths.push(filepath);
         } catch (error) {
-            console.error('Error creating backup:', error);
+            log.error(`Error saving ${format} data to file`, { error });
+            throw error;
         }
     }
+
+    return filepaths;
 }
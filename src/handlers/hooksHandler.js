@@ -0,0 +1,248 @@
+/**
+ * Post-run hooks (CONFIG.HOOKS)
+ *
+ * When a crawl finishes, a JSON summary of the run is sent to every hook whose
+ * events match what happened:
+ *
+ * - 'success': the run completed and met VALIDATION.minQuality
+ * - 'failure': the run failed, or its quality is below VALIDATION.minQuality
+ * - 'recordDrop': a full run has more than HOOKS.recordDropPercent fewer records
+ *   than the previous latest run
+ *
+ * A hook POSTs the summary to a webhook URL, runs a shell command (summary on
+ * stdin and as RUN_* environment variables) or calls the default export of a
+ * JS module. Hook failures are logged and never fail the run.
+ */
+
+import { spawn } from 'child_process';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { CONFIG } from '../config/config.js';
+import { findPreviousOutput, readSpecialists } from './diffHandler.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('hooks');
+
+export const HOOK_TYPES = ['webhook', 'command', 'module'];
+export const HOOK_EVENTS = ['success', 'failure', 'recordDrop'];
+
+/**
+ * Record count of the previous latest run
+ * Taken from the change report when there is one, otherwise read from the
+ * JSON output findPreviousOutput() picks, which in the runs layout is the run
+ * latest.json pointed to before.
+ * @param {Array<string>} outputFiles - Output files of the run
+ * @param {Object|null} diffReport - Change report of the run
+ * @returns {number|null} Record count, or null when there is no previous run
+ */
+function getPreviousRecordCount(outputFiles, diffReport) {
+    if (diffReport) {
+        const { removed, modified, unchanged } = diffReport.summary;
+        return removed + modified + unchanged;
+    }
+
+    const jsonOutput = outputFiles.find(file => file.endsWith('.json'));
+    const previousFile = jsonOutput ? findPreviousOutput(jsonOutput) : null;
+    return previousFile ? readSpecialists(previousFile).length : null;
+}
+
+/**
+ * Build the summary sent to the hooks
+ * @param {Object} run - { checkpoint, result: result of crawlProfile() (when completed), error (when failed) }
+ * @returns {Object} Run summary with the events that fired
+ */
+export function buildRunSummary({ checkpoint, result = null, error = null }) {
+    const summary = {
+        runId: checkpoint.runId,
+        profileId: checkpoint.profileId,
+        siteName: CONFIG.SITE.name,
+        status: checkpoint.status,
+        partial: Boolean(checkpoint.startRequests),
+        events: [],
+        startedAt: checkpoint.startedAt,
+        finishedAt: new Date().toISOString(),
+        records: { total: checkpoint.visitedUrls.length, valid: null, previous: null, changePercent: null },
+        failedRequests: null,
+        qualityScore: null,
+        minQuality: CONFIG.VALIDATION.minQuality,
+        outputFiles: [],
+        outputDirectory: null,
+        changes: null,
+        error: error?.message ?? null,
+        text: ''
+    };
+
+    if (result) {
+        const { qualityReport, runStats, diffReport, outputFiles } = result;
+        // Runs of specific requests (retry-failed) hold a few records by design
+        const previous = summary.partial ? null : getPreviousRecordCount(outputFiles, diffReport);
+
+        Object.assign(summary.records, {
+            total: qualityReport.totalRecords,
+            valid: qualityReport.validRecords,
+            previous,
+            changePercent: previous ? Math.round(((qualityReport.totalRecords - previous) / previous) * 10000) / 100 : null
+        });
+        Object.assign(summary, {
+            failedRequests: runStats.totals.failed,
+            qualityScore: qualityReport.qualityScore,
+            outputFiles,
+            outputDirectory: outputFiles.length > 0 ? path.dirname(outputFiles[0]) : null,
+            changes: diffReport?.summary ?? null
+        });
+
+        const meetsQuality = summary.minQuality === null || summary.qualityScore >= summary.minQuality;
+        summary.events.push(meetsQuality ? 'success' : 'failure');
+        if (summary.records.changePercent !== null && -summary.records.changePercent > CONFIG.HOOKS.recordDropPercent) {
+            summary.events.push('recordDrop');
+        }
+    } else {
+        summary.events.push('failure');
+    }
+
+    summary.text = describeRun(summary);
+    return summary;
+}
+
+/**
+ * One-line description of a run, e.g. for chat webhooks
+ * @param {Object} summary - Run summary
+ * @returns {string} Description
+ */
+function describeRun(summary) {
+    const { records } = summary;
+    if (summary.error) {
+        return `FAILED ${summary.siteName}: run ${summary.runId} failed after ${records.total} records - ${summary.error}`;
+    }
+
+    const parts = [`${records.total} records (${records.valid} valid, quality ${summary.qualityScore}%)`];
+    if (summary.failedRequests > 0) {
+        parts.push(`${summary.failedRequests} failed requests`);
+    }
+    if (records.previous !== null) {
+        parts.push(`${records.changePercent > 0 ? '+' : ''}${records.changePercent}% vs previous run`);
+    }
+    const status = summary.events.includes('failure') || summary.events.includes('recordDrop') ? 'WARNING' : 'OK';
+    return `${status} ${summary.siteName}: run ${summary.runId} completed - ${parts.join(', ')}`;
+}
+
+/**
+ * POST the summary to a webhook
+ * @param {Object} hook - { url, headers }
+ * @param {Object} summary - Run summary
+ * @param {number} timeoutMs - Time limit
+ */
+async function callWebhook(hook, summary, timeoutMs) {
+    const response = await fetch(hook.url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...hook.headers },
+        body: JSON.stringify(summary),
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) {
+        throw new Error(`${hook.url} answered ${response.status} ${response.statusText}`);
+    }
+}
+
+/**
+ * Run a shell command with the summary on stdin and as RUN_* variables
+ * @param {Object} hook - { command }
+ * @param {Object} summary - Run summary
+ * @param {number} timeoutMs - Time limit
+ */
+function runCommand(hook, summary, timeoutMs) {
+    const env = {
+        ...process.env,
+        RUN_ID: summary.runId,
+        RUN_PROFILE: summary.profileId,
+        RUN_STATUS: summary.status,
+        RUN_EVENTS: summary.events.join(','),
+        RUN_RECORDS: String(summary.records.total),
+        RUN_OUTPUT: summary.outputFiles[0] ?? ''
+    };
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(hook.command, { shell: true, env, timeout: timeoutMs, stdio: ['pipe', 'pipe', 'pipe'] });
+        let output = '';
+        child.stdout.on('data', chunk => { output += chunk; });
+        child.stderr.on('data', chunk => { output += chunk; });
+        // The command may exit without reading its input
+        child.stdin.on('error', () => {});
+        child.stdin.end(JSON.stringify(summary));
+
+        child.on('error', reject);
+        child.on('close', (code, signal) => {
+            if (output.trim()) {
+                log.debug(`Output of "${hook.command}"`, { output: output.trim() });
+            }
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`"${hook.command}" ${signal ? `was stopped (${signal})` : `exited with ${code}`}: ${output.trim().slice(-500)}`));
+            }
+        });
+    });
+}
+
+/**
+ * Call the default export of a JS module with the summary
+ * @param {Object} hook - { path }, relative to the working directory
+ * @param {Object} summary - Run summary
+ * @param {number} timeoutMs - Time limit
+ */
+async function callModule(hook, summary, timeoutMs) {
+    const module = await import(pathToFileURL(path.resolve(process.cwd(), hook.path)).href);
+    if (typeof module.default !== 'function') {
+        throw new Error(`${hook.path} has no default export function`);
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${hook.path} did not finish within ${timeoutMs} ms`)), timeoutMs);
+    });
+    try {
+        await Promise.race([module.default(summary), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+const RUNNERS = {
+    webhook: callWebhook,
+    command: runCommand,
+    module: callModule
+};
+
+/**
+ * Describe a hook for log messages
+ * @param {Object} hook - Hook
+ * @returns {string} Description
+ */
+function describeHook(hook) {
+    return `${hook.type} ${hook.url ?? hook.command ?? hook.path}`;
+}
+
+/**
+ * Run the hooks of CONFIG.HOOKS.postRun that match the events of a run
+ * Hooks run one after another; a failing hook is logged and skipped.
+ * @param {Object} summary - Summary from buildRunSummary
+ * @returns {Promise<Object>} { called, failed }: numbers of hooks
+ */
+export async function runPostRunHooks(summary) {
+    const { postRun, timeoutMs } = CONFIG.HOOKS;
+    const hooks = postRun.filter(hook => (hook.events ?? HOOK_EVENTS).some(event => summary.events.includes(event)));
+    const outcome = { called: 0, failed: 0 };
+
+    for (const hook of hooks) {
+        outcome.called++;
+        try {
+            await RUNNERS[hook.type](hook, summary, hook.timeoutMs ?? timeoutMs);
+            log.info(`Hook ${describeHook(hook)} called (${summary.events.join(', ')})`);
+        } catch (error) {
+            outcome.failed++;
+            log.warn(`Hook ${describeHook(hook)} failed`, { error });
+        }
+    }
+
+    return outcome;
+}
@@ -0,0 +1,182 @@
+/**
+ * Record-and-replay HTTP cache (CONFIG.CRAWLER.cache)
+ *
+ * - 'record' stores every response the browser receives for the configured
+ *   resource types (the page HTML plus key assets) while crawling the live site
+ * - 'replay' serves requests from the cache through Playwright request
+ *   interception; anything not cached is aborted, so no request reaches the
+ *   network and reruns see exactly the recorded pages
+ *
+ * Entries are keyed by URL and stored per profile as <sha1>.json (status and
+ * headers) plus <sha1>.body under CRAWLER.cache.directory.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../config/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('cache');
+
+export const CACHE_MODES = ['off', 'record', 'replay'];
+
+// Playwright resource types that can be recorded
+export const CACHE_RESOURCE_TYPES = [
+    'document', 'stylesheet', 'script', 'xhr', 'fetch', 'image', 'font', 'media', 'other'
+];
+
+// Describe the stored (decoded) body, not the original transfer
+const DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+/**
+ * Directory holding the cache of a profile
+ * Defaults to http-cache/ inside the Crawlee storage directory.
+ * @param {string} profileId - Profile id
+ * @returns {string} Absolute directory
+ */
+export function getCacheDirectory(profileId) {
+    const directory = CONFIG.CRAWLER.cache.directory
+        ?? path.join(process.env.CRAWLEE_STORAGE_DIR || './storage', 'http-cache');
+    return path.resolve(process.cwd(), directory, profileId);
+}
+
+/**
+ * Cache key of a URL
+ * @param {string} url - Request URL
+ * @returns {string} Hex digest
+ */
+function getCacheKey(url) {
+    return crypto.createHash('sha1').update(url).digest('hex');
+}
+
+/**
+ * Open the HTTP cache of a profile
+ * @param {string} profileId - Profile id
+ * @param {string} mode - 'record' or 'replay'
+ * @returns {Object} { mode, directory, get(url), put(entry, body), stats }
+ */
+export function openHttpCache(profileId, mode) {
+    const directory = getCacheDirectory(profileId);
+    const stats = { recorded: 0, served: 0, missed: 0 };
+
+    if (mode === 'replay' && !fs.existsSync(directory)) {
+        throw new Error(`No HTTP cache at ${directory} - run a crawl with --cache record first`);
+    }
+    fs.mkdirSync(directory, { recursive: true });
+
+    /**
+     * Read a cached response
+     * @param {string} url - Request URL
+     * @returns {Object|null} { url, status, headers, resourceType, recordedAt, body }
+     */
+    const get = (url) => {
+        const file = path.join(directory, getCacheKey(url));
+        if (!fs.existsSync(`${file}.json`)) {
+            return null;
+        }
+        const entry = JSON.parse(fs.readFileSync(`${file}.json`, 'utf8'));
+        return { ...entry, body: fs.readFileSync(`${file}.body`) };
+    };
+
+    /**
+     * Store a response, replacing an earlier recording of the URL
+     * @param {Object} entry - { url, status, headers, resourceType }
+     * @param {Buffer} body - Decoded response body
+     */
+    const put = (entry, body) => {
+        const file = path.join(directory, getCacheKey(entry.url));
+        const headers = Object.fromEntries(Object.entries(entry.headers)
+            .filter(([name]) => !DROPPED_HEADERS.includes(name.toLowerCase())));
+        fs.writeFileSync(`${file}.body`, body);
+        fs.writeFileSync(`${file}.json`, JSON.stringify({ ...entry, headers, recordedAt: new Date().toISOString() }, null, 2));
+        stats.recorded++;
+    };
+
+    return { mode, directory, get, put, stats };
+}
+
+/**
+ * Save a browser response to the cache
+ * Redirects are stored without a body; responses whose body is no longer
+ * available (e.g. the page was closed first) are skipped.
+ * @param {Object} cache - Cache from openHttpCache
+ * @param {Response} response - Playwright response
+ */
+async function recordResponse(cache, response) {
+    const request = response.request();
+    if (request.method() !== 'GET' || !CONFIG.CRAWLER.cache.resourceTypes.includes(request.resourceType())) {
+        return;
+    }
+
+    const status = response.status();
+    let body = Buffer.alloc(0);
+    if (status < 300 || status >= 400) {
+        try {
+            body = await response.body();
+        } catch (error) {
+            log.debug(`Response body unavailable, not recorded: ${response.url()}`, { error });
+            return;
+        }
+    }
+
+    cache.put({
+        url: response.url(),
+        status,
+        headers: await response.allHeaders(),
+        resourceType: request.resourceType()
+    }, body);
+}
+
+/**
+ * Answer an intercepted request from the cache
+ * @param {Object} cache - Cache from openHttpCache
+ * @param {Route} route - Playwright route
+ */
+async function replayRequest(cache, route) {
+    const request = route.request();
+    const entry = request.method() === 'GET' ? cache.get(request.url()) : null;
+
+    if (!entry) {
+        cache.stats.missed++;
+        // A missing page fails the request; missing assets are expected
+        if (request.resourceType() === 'document') {
+            log.warn(`Not in the HTTP cache: ${request.url()}`);
+        }
+        await route.abort('internetdisconnected');
+        return;
+    }
+
+    cache.stats.served++;
+    await route.fulfill({ status: entry.status, headers: entry.headers, body: entry.body });
+}
+
+/**
+ * Build the PlaywrightCrawler hooks that record to or replay from the cache
+ * @param {Object} cache - Cache from openHttpCache
+ * @returns {Array<Function>} preNavigationHooks
+ */
+export function getHttpCacheHooks(cache) {
+    if (cache.mode === 'record') {
+        return [({ page }) => {
+            page.on('response', response => recordResponse(cache, response));
+        }];
+    }
+
+    return [async ({ page }) => {
+        await page.route('**/*', route => replayRequest(cache, route));
+    }];
+}
+
+/**
+ * Log what the cache did during the run
+ * @param {Object} cache - Cache from openHttpCache
+ */
+export function logHttpCacheSummary(cache) {
+    const { recorded, served, missed } = cache.stats;
+    if (cache.mode === 'record') {
+        log.info(`HTTP cache: recorded ${recorded} responses in ${cache.directory}`);
+    } else {
+        log.info(`HTTP cache: served ${served} responses from ${cache.directory}, ${missed} requests not cached`);
+    }
+}
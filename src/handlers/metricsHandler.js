@@ -0,0 +1,134 @@
+/**
+ * Run metrics: page counts per label, outcomes and timings
+ *
+ * Collected while crawling and written next to the output files as
+ * `<prefix>-YYYY-MM-DD.run-stats.json` at the end of the run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../config/config.js';
+import { getOutputDirectory } from './fileHandler.js';
+import { getLabelKey } from './retryHandler.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('metrics');
+
+/**
+ * Average of a total over a count, rounded to whole milliseconds
+ * @param {number} total - Sum of durations
+ * @param {number} count - Number of durations
+ * @returns {number|null} Average, or null without data
+ */
+function average(total, count) {
+    return count > 0 ? Math.round(total / count) : null;
+}
+
+/**
+ * Create the metrics collector for one run
+ * Call startPage() when a request is navigated to and endPage() with its
+ * outcome: 'succeeded', 'retried' (will be attempted again) or 'failed'.
+ * @returns {Object} { startPage, endPage, getPageTotals, buildRunStats }
+ */
+export function createRunMetrics() {
+    const startedAt = new Date();
+    const pageStarts = new Map();
+    const labels = {};
+
+    const getLabelStats = (label) => {
+        const key = getLabelKey(label);
+        labels[key] ??= { succeeded: 0, failed: 0, retried: 0, totalPageMs: 0, timedPages: 0 };
+        return labels[key];
+    };
+
+    const startPage = (request) => {
+        pageStarts.set(request.uniqueKey, Date.now());
+    };
+
+    const endPage = (request, outcome) => {
+        const stats = getLabelStats(request.label);
+        stats[outcome]++;
+
+        const start = pageStarts.get(request.uniqueKey);
+        pageStarts.delete(request.uniqueKey);
+        if (start !== undefined && outcome === 'succeeded') {
+            stats.totalPageMs += Date.now() - start;
+            stats.timedPages++;
+        }
+    };
+
+    /**
+     * Page outcomes so far over all labels, for progress reporting
+     * @returns {Object} { succeeded, failed, retried }
+     */
+    const getPageTotals = () => {
+        const totals = { succeeded: 0, failed: 0, retried: 0 };
+        for (const stats of Object.values(labels)) {
+            totals.succeeded += stats.succeeded;
+            totals.failed += stats.failed;
+            totals.retried += stats.retried;
+        }
+        return totals;
+    };
+
+    /**
+     * Summarise the run
+     * @param {Object} details - { runId, profileId, mode, records, urlFilter, politeness }
+     * @returns {Object} Run stats
+     */
+    const buildRunStats = ({ runId, profileId, mode, records, urlFilter, politeness }) => {
+        const finishedAt = new Date();
+        const pages = {};
+        const totals = { succeeded: 0, failed: 0, retried: 0 };
+        let totalPageMs = 0;
+        let timedPages = 0;
+
+        for (const [label, stats] of Object.entries(labels)) {
+            pages[label] = {
+                succeeded: stats.succeeded,
+                failed: stats.failed,
+                retried: stats.retried,
+                averagePageMs: average(stats.totalPageMs, stats.timedPages)
+            };
+            totals.succeeded += stats.succeeded;
+            totals.failed += stats.failed;
+            totals.retried += stats.retried;
+            totalPageMs += stats.totalPageMs;
+            timedPages += stats.timedPages;
+        }
+
+        return {
+            runId,
+            profileId,
+            mode,
+            startedAt: startedAt.toISOString(),
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - startedAt,
+            pages,
+            totals,
+            averagePageMs: average(totalPageMs, timedPages),
+            recordsExtracted: records.length,
+            validRecords: records.filter(record => record.valid).length,
+            urlFilter,
+            politeness
+        };
+    };
+
+    return { startPage, endPage, getPageTotals, buildRunStats };
+}
+
+/**
+ * Write the run stats next to the output files and log a summary
+ * @param {Object} stats - Run stats from buildRunStats
+ * @returns {string} Stats file path
+ */
+export function writeRunStats(stats) {
+    const filepath = path.join(getOutputDirectory(), CONFIG.OUTPUT.getFilename('run-stats.json'));
+    fs.writeFileSync(filepath, JSON.stringify(stats, null, 2), 'utf8');
+
+    log.info(`Pages: ${stats.totals.succeeded} succeeded, ${stats.totals.failed} failed, ${stats.totals.retried} retried; ` +
+        `${stats.recordsExtracted} records extracted`, { pages: stats.pages, averagePageMs: stats.averagePageMs });
+    log.info(`Run stats saved to: ${filepath}`);
+
+    return filepath;
+}
@@ -0,0 +1,284 @@
+/**
+ * Output directory layout, latest-run pointer and retention (CONFIG.OUTPUT)
+ *
+ * With the default 'runs' layout every run writes into its own directory:
+ *
+ *   <OUTPUT.directory>/<profile id>/
+ *     latest.json                  pointer to the latest successful run, and the
+ *                                  earlier runs it pointed to
+ *     runs/<run id>/               output, quality, run stats, diff and dead-letter files
+ *
+ * and older runs are removed or gzipped according to OUTPUT.retention. The
+ * 'flat' layout writes the dated files of every run straight into
+ * OUTPUT.directory, without pointer or retention.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { CONFIG } from '../config/config.js';
+import { RUN_STATUS, getRunDate, loadCheckpoint } from './checkpointHandler.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('output');
+
+export const OUTPUT_LAYOUTS = ['runs', 'flat'];
+
+const LATEST_POINTER = 'latest.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Earlier latest runs kept in the pointer, the baselines of change reports
+const LATEST_HISTORY_SIZE = 50;
+
+// Run whose files are being written, set by the crawler
+let activeRunId = null;
+
+/**
+ * Configured output directory
+ * @returns {string} Absolute OUTPUT.directory
+ */
+export function getBaseDirectory() {
+    return path.resolve(process.cwd(), CONFIG.OUTPUT.directory);
+}
+
+/**
+ * Directory holding the runs and the latest pointer of the active profile
+ * @returns {string} Absolute directory
+ */
+export function getSiteDirectory() {
+    return path.join(getBaseDirectory(), CONFIG.PROFILE ?? 'default');
+}
+
+/**
+ * Directory of one run in the runs layout
+ * @param {string} runId - Run ID
+ * @returns {string} Absolute directory
+ */
+export function getRunDirectory(runId) {
+    return path.join(getSiteDirectory(), 'runs', runId);
+}
+
+/**
+ * Start writing the files of a run
+ * @param {string} runId - Run ID
+ */
+export function startOutputRun(runId) {
+    activeRunId = runId;
+}
+
+/**
+ * Directory the files of the current run go to
+ * @returns {string} The run directory during a run in the runs layout, otherwise OUTPUT.directory
+ */
+export function resolveOutputDirectory() {
+    return CONFIG.OUTPUT.layout === 'runs' && activeRunId ? getRunDirectory(activeRunId) : getBaseDirectory();
+}
+
+/**
+ * Run IDs with an output directory, oldest first
+ * @returns {Array<string>} Run IDs
+ */
+export function listRuns() {
+    const directory = path.join(getSiteDirectory(), 'runs');
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+}
+
+/**
+ * Find a dated output file in a directory, e.g. <prefix>-YYYY-MM-DD.json
+ * Gzipped files of compressed runs are found as well.
+ * @param {string} directory - Directory to search
+ * @param {string} extension - File extension, e.g. 'json' or 'dead-letter.ndjson'
+ * @returns {string|null} Newest matching file
+ */
+export function findOutputFile(directory, extension = 'json') {
+    if (!fs.existsSync(directory)) {
+        return null;
+    }
+    const pattern = new RegExp(`-\\d{4}-\\d{2}-\\d{2}\\.${extension.replace(/\./g, '\\.')}(\\.gz)?$`);
+    const [file] = fs.readdirSync(directory).filter(name => pattern.test(name)).sort().reverse();
+    return file ? path.join(directory, file) : null;
+}
+
+/**
+ * Read a JSON output file, gzipped or not
+ * @param {string} filepath - File path
+ * @returns {*} Parsed JSON
+ */
+export function readOutputFile(filepath) {
+    const contents = fs.readFileSync(filepath);
+    return JSON.parse((filepath.endsWith('.gz') ? zlib.gunzipSync(contents) : contents).toString('utf8'));
+}
+
+/**
+ * Read the latest-run pointer of a profile
+ * @param {string} siteDirectory - Site directory of the profile (default: the active profile)
+ * @returns {Object|null} { runId, directory, files, completedAt, history: run IDs that were latest, oldest first }
+ */
+export function readLatestPointer(siteDirectory = getSiteDirectory()) {
+    const filepath = path.join(siteDirectory, LATEST_POINTER);
+    return fs.existsSync(filepath) ? JSON.parse(fs.readFileSync(filepath, 'utf8')) : null;
+}
+
+/**
+ * Point latest.json at a run that completed successfully
+ * @param {string} runId - Run ID
+ * @param {Array<string>} outputFiles - Output files of the run
+ */
+export function markLatestRun(runId, outputFiles) {
+    if (CONFIG.OUTPUT.layout !== 'runs') {
+        return;
+    }
+
+    const siteDirectory = getSiteDirectory();
+    const previous = readLatestPointer(siteDirectory);
+    const history = previous ? previous.history ?? [previous.runId] : [];
+    const pointer = {
+        runId,
+        directory: path.relative(siteDirectory, getRunDirectory(runId)),
+        files: outputFiles.map(file => path.basename(file)),
+        completedAt: new Date().toISOString(),
+        history: [...history.filter(id => id !== runId), runId].slice(-LATEST_HISTORY_SIZE)
+    };
+    const filepath = path.join(siteDirectory, LATEST_POINTER);
+    // Replace atomically so readers never see a partial pointer
+    fs.writeFileSync(`${filepath}.tmp`, JSON.stringify(pointer, null, 2), 'utf8');
+    fs.renameSync(`${filepath}.tmp`, filepath);
+    log.info(`Latest run: ${runId}`);
+}
+
+/**
+ * Runs of the active profile that became the latest run, oldest first
+ * Partial runs (retry-failed) and runs below VALIDATION.minQuality never do,
+ * so these are the runs later runs are compared with.
+ * @returns {Array<string>} Run IDs
+ */
+export function listLatestRuns() {
+    const pointer = readLatestPointer();
+    return pointer ? pointer.history ?? [pointer.runId] : [];
+}
+
+/**
+ * Find the latest output file of any profile without applying it to CONFIG
+ * The API server uses this to answer queries while a crawl holds CONFIG.
+ * @param {string} profileId - Profile id
+ * @param {Object} output - OUTPUT settings of the profile
+ * @param {string} extension - File extension, e.g. 'json'
+ * @returns {string|null} The file of the latest run, or the newest dated file in the flat layout
+ */
+export function findLatestOutput(profileId, output, extension = 'json') {
+    const baseDirectory = path.resolve(process.cwd(), output.directory);
+
+    if (output.layout !== 'runs') {
+        const prefix = output.filenamePrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`^${prefix}-\\d{4}-\\d{2}-\\d{2}\\.${extension.replace(/\./g, '\\.')}$`);
+        const files = fs.existsSync(baseDirectory) ? fs.readdirSync(baseDirectory) : [];
+        const [file] = files.filter(name => pattern.test(name)).sort().reverse();
+        return file ? path.join(baseDirectory, file) : null;
+    }
+
+    const siteDirectory = path.join(baseDirectory, profileId);
+    const latest = readLatestPointer(siteDirectory);
+    return latest ? findOutputFile(path.join(siteDirectory, latest.directory), extension) : null;
+}
+
+/**
+ * Default input for commands working on saved output (export, diff)
+ * @param {string} extension - File extension, e.g. 'json'
+ * @returns {string|null} The file of the latest run of the active profile
+ */
+export function getLatestOutputFile(extension = 'json') {
+    return findLatestOutput(CONFIG.PROFILE, CONFIG.OUTPUT, extension);
+}
+
+/**
+ * Copy a file to backups/ next to it before it is overwritten
+ * @param {string} filepath - File about to be written
+ * @returns {string|null} Backup path, or null when there was nothing to overwrite
+ */
+export function backupBeforeOverwrite(filepath) {
+    if (!fs.existsSync(filepath)) {
+        return null;
+    }
+
+    const directory = path.join(path.dirname(filepath), 'backups');
+    const extension = path.extname(filepath);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(directory, `${path.basename(filepath, extension)}_backup_${timestamp}${extension}`);
+
+    fs.mkdirSync(directory, { recursive: true });
+    fs.copyFileSync(filepath, backupPath);
+    log.info(`Overwriting ${path.basename(filepath)} - previous version backed up to ${backupPath}`);
+    return backupPath;
+}
+
+/**
+ * Gzip every file in a directory tree that is not compressed yet
+ * Dead-letter files stay plain text for retry-failed.
+ * @param {string} directory - Directory
+ * @returns {number} Number of files compressed
+ */
+function gzipDirectory(directory) {
+    let count = 0;
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        const filepath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            count += gzipDirectory(filepath);
+        } else if (!entry.name.endsWith('.gz') && !entry.name.endsWith('.dead-letter.ndjson')) {
+            fs.writeFileSync(`${filepath}.gz`, zlib.gzipSync(fs.readFileSync(filepath)));
+            fs.unlinkSync(filepath);
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Remove and compress old runs according to OUTPUT.retention
+ * The active run, the run latest.json points to and runs that can still be
+ * resumed (cancelled, failed or interrupted) are never touched.
+ * @returns {Object} { removed, compressed }: run IDs
+ */
+export function applyRetention() {
+    const removed = [];
+    const compressed = [];
+    if (CONFIG.OUTPUT.layout !== 'runs') {
+        return { removed, compressed };
+    }
+
+    const { keepRuns, keepDays, compress } = CONFIG.OUTPUT.retention;
+    const keep = new Set([activeRunId, readLatestPointer()?.runId].filter(Boolean));
+    const cutoff = keepDays ? Date.now() - keepDays * DAY_MS : null;
+
+    listRuns().reverse().forEach((runId, index) => {
+        if (keep.has(runId)) {
+            return;
+        }
+        const checkpoint = loadCheckpoint(runId);
+        if (checkpoint && checkpoint.status !== RUN_STATUS.COMPLETED) {
+            return;
+        }
+
+        const directory = getRunDirectory(runId);
+        const runDate = getRunDate(runId);
+        const tooMany = keepRuns && index >= keepRuns;
+        const tooOld = cutoff !== null && runDate !== null && runDate.getTime() < cutoff;
+
+        if (tooMany || tooOld) {
+            fs.rmSync(directory, { recursive: true, force: true });
+            removed.push(runId);
+        } else if (compress && gzipDirectory(directory) > 0) {
+            compressed.push(runId);
+        }
+    });
+
+    if (removed.length > 0 || compressed.length > 0) {
+        log.info(`Retention: removed ${removed.length} old run(s), compressed ${compressed.length}`, { removed, compressed });
+    }
+    return { removed, compressed };
+}
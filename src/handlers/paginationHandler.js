@@ -1,39 +1,230 @@
 /**
  * Pagination handling utilities
+ *
+ * Pagination types (CONFIG.SITE.pagination.type):
+ * - 'query'           URL template with a query parameter, e.g. ?page=2
+ * - 'path'            URL template in the path, e.g. /page/2/
+ * - 'offset'          offset/limit query parameters, e.g. ?start=20
+ * - 'next-link'       follow the href of the next link (SELECTORS.nextButton)
+ * - 'click'           click the next button; results are replaced in place
+ * - 'load-more'       click a "Load more" button (SELECTORS.loadMoreButton) until done
+ * - 'infinite-scroll' scroll to the bottom until no new items load
+ *
+ * The first four enqueue a new listing request per page and work in both
+ * crawl modes; the last three expand the current page in the browser and
+ * need Playwright. Pages are accessed through the Dom interface (domAdapter.js).
+ *
+ * With pagination.fanOut, URL template types ('query', 'path', 'offset') read
+ * the total page count on the first page and enqueue every listing page at
+ * once so they crawl concurrently; otherwise each page enqueues its successor.
  */
 
+import crypto from 'crypto';
 import { CONFIG } from '../config/config.js';
-import { shouldCrawlUrl } from '../utils/helpers.js';
+import { stripTrailingSlash } from '../utils/helpers.js';
+import { canonicalizeUrl } from '../utils/urlFilter.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('pagination');
+
+export const URL_PAGINATION_TYPES = ['query', 'path', 'offset', 'next-link'];
+export const IN_PAGE_PAGINATION_TYPES = ['click', 'load-more', 'infinite-scroll'];
+export const FAN_OUT_PAGINATION_TYPES = ['query', 'path', 'offset'];
+
+// Per-crawl state for stop conditions, reset by resetPaginationState()
+const state = {
+    pagesSeen: 0,
+    seenUrls: new Set(),
+    // Item signature -> key of the page it was first seen on
+    seenSignatures: new Map(),
+    fannedOut: false
+};
+
+/**
+ * Reset the pagination stop-condition state at the start of a crawl
+ */
+export function resetPaginationState() {
+    state.pagesSeen = 0;
+    state.seenUrls.clear();
+    state.seenSignatures.clear();
+    state.fannedOut = false;
+}
+
+/**
+ * Check whether the configured maximum number of listing pages was reached
+ * @param {number} pageCount - Listing pages loaded so far
+ * @returns {boolean} True if no more pages should be loaded
+ */
+function reachedMaxPages(pageCount) {
+    const { maxPages } = CONFIG.SITE.pagination;
+    if (maxPages && pageCount >= maxPages) {
+        log.info(`Reached pagination.maxPages (${maxPages}) - stopping pagination`);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Count the specialist items currently on the page
+ * @param {Object} dom - Page DOM
+ * @returns {Promise<number>} Number of specialist links
+ */
+async function countItems(dom) {
+    return dom.count(CONFIG.SELECTORS.specialistLinks);
+}
+
+/**
+ * Signature of the items on the page, used to detect repeated pages
+ * @param {Object} dom - Page DOM
+ * @returns {Promise<string>} Hash of the specialist link URLs
+ */
+async function getItemSignature(dom) {
+    const hrefs = await dom.attrs(CONFIG.SELECTORS.specialistLinks, 'href');
+    return crypto.createHash('sha1').update(hrefs.join('\n')).digest('hex');
+}
+
+/**
+ * Record the current page and check it does not repeat another page
+ * Guards against sites that serve the last page again for any page number,
+ * or next links pointing back to an earlier page. Signatures are keyed by
+ * page, so a retried listing page is not mistaken for a repeat of itself.
+ * @param {Object} dom - Page DOM
+ * @param {string} currentUrl - Current page URL
+ * @param {string} pageKey - Identifies the page (default: its canonical URL)
+ * @returns {Promise<boolean>} True if the page is new or seen again on a retry
+ */
+async function registerPage(dom, currentUrl, pageKey = null) {
+    const signature = await getItemSignature(dom);
+    const canonicalUrl = canonicalizeUrl(currentUrl, CONFIG.SITE.canonicalization);
+    pageKey ??= canonicalUrl;
+    state.seenUrls.add(canonicalUrl);
+
+    const firstSeenOn = state.seenSignatures.get(signature);
+    if (firstSeenOn === pageKey) {
+        return true;
+    }
+    if (firstSeenOn !== undefined) {
+        log.info('Page repeats the items of an earlier page - stopping pagination', { pageUrl: currentUrl });
+        return false;
+    }
+
+    state.seenSignatures.set(signature, pageKey);
+    state.pagesSeen++;
+    return true;
+}
 
 /**
  * Check if next button exists and is not disabled
- * @param {Page} page - Playwright page object
+ * Without a configured next button, a page that still lists items is assumed
+ * to have a successor; the first empty page ends the pagination.
+ * @param {Object} dom - Page DOM
  * @returns {Promise<boolean>} True if next page is available
  */
-export async function hasNextPage(page) {
+export async function hasNextPage(dom) {
     try {
-        const nextButton = await page.$(CONFIG.SELECTORS.nextButton);
-        if (!nextButton) {
-            console.log('No next button found on this page');
+        if (!CONFIG.SELECTORS.nextButton) {
+            const itemCount = await countItems(dom);
+            if (itemCount === 0) {
+                log.info('No items on this page - reached last page');
+            }
+            return itemCount > 0;
+        }
+
+        if ((await dom.count(CONFIG.SELECTORS.nextButton)) === 0) {
+            log.debug('No next button found on this page');
             return false;
         }
-        
-        console.log('Next button found on page');
-        
-        const isDisabled = await page.evaluate((selector) => {
-            const nextBtn = document.querySelector(selector);
-            return nextBtn ? nextBtn.classList.contains('disabled') : true;
-        }, CONFIG.SELECTORS.nextButtonContainer);
-        
-        console.log(`Next button disabled status: ${isDisabled}`);
-        
+
+        // Without a container selector the button is assumed enabled
+        let isDisabled = false;
+        if (CONFIG.SELECTORS.nextButtonContainer) {
+            const [container] = await dom.queryAll(CONFIG.SELECTORS.nextButtonContainer);
+            isDisabled = !container || await container.hasClass('disabled');
+        }
+
+        log.debug('Next button found', { disabled: isDisabled });
+
         return !isDisabled;
     } catch (error) {
-        console.error('Error checking next page:', error);
+        log.error('Error checking next page', { error });
         return false;
     }
 }
 
+/**
+ * Parse the integers in a text, ignoring thousands separators
+ * @param {string} text - Text such as "1,234 results" or "Page 1 of 12"
+ * @returns {number[]} Numbers found in the text
+ */
+function parseNumbers(text) {
+    return (text.match(/\d[\d,.]*/g) || [])
+        .map(token => parseInt(token.replace(/[,.]/g, ''), 10))
+        .filter(Number.isFinite);
+}
+
+/**
+ * Read the total number of listing pages from the first page
+ * Uses SELECTORS.pageCount (the highest number in the pagination widget) or
+ * SELECTORS.resultCount (total results divided by pagination.pageSize).
+ * @param {Object} dom - Page DOM
+ * @returns {Promise<number|null>} Total page count, or null if it cannot be determined
+ */
+export async function getTotalPageCount(dom) {
+    const { pageCount, resultCount } = CONFIG.SELECTORS;
+
+    try {
+        if (pageCount) {
+            const texts = await dom.texts(pageCount);
+            const numbers = texts.flatMap(parseNumbers);
+            if (numbers.length > 0) {
+                return Math.max(...numbers);
+            }
+        }
+
+        if (resultCount) {
+            const [text = ''] = await dom.texts(resultCount);
+            const [total] = parseNumbers(text);
+            const { pageSize } = CONFIG.SITE.pagination;
+            if (total !== undefined && pageSize > 0) {
+                return Math.max(1, Math.ceil(total / pageSize));
+            }
+        }
+    } catch (error) {
+        log.error('Error reading total page count', { error });
+    }
+
+    return null;
+}
+
+/**
+ * Enqueue every remaining listing page at once from the total page count
+ * @param {Object} dom - Page DOM
+ * @param {Function} enqueueLinks - Crawlee enqueueLinks function
+ * @returns {Promise<boolean>} True if the pages were fanned out; false to fall back to the sequential chain
+ */
+async function fanOutPages(dom, enqueueLinks) {
+    const { startPage, maxPages } = CONFIG.SITE.pagination;
+    const totalPages = await getTotalPageCount(dom);
+
+    if (!totalPages) {
+        log.warn('Could not determine the total page count - falling back to sequential pagination');
+        return false;
+    }
+
+    const pageCount = maxPages ? Math.min(totalPages, maxPages) : totalPages;
+    log.info(`Found ${totalPages} listing pages - enqueuing pages ${startPage + 1} to ${startPage + pageCount - 1}`);
+    state.fannedOut = true;
+
+    for (let pageNumber = startPage + 1; pageNumber < startPage + pageCount; pageNumber++) {
+        const pageUrl = getPageUrl(pageNumber);
+        if (pageUrl) {
+            await enqueueListingPage(pageUrl, enqueueLinks, `page ${pageNumber}`);
+        }
+    }
+
+    return true;
+}
+
 /**
  * Extract current page number from URL based on pagination configuration
  * @param {string} currentUrl - Current page URL
@@ -42,7 +233,7 @@ export async function hasNextPage(page) {
 export function getCurrentPageNumber(currentUrl) {
     try {
         const paginationConfig = CONFIG.SITE.pagination;
-        
+
         if (paginationConfig.type === 'query') {
             // Extract page from query parameters
             const url = new URL(currentUrl);
@@ -50,15 +241,21 @@ export function getCurrentPageNumber(currentUrl) {
             return parseInt(url.searchParams.get(pageParam) || paginationConfig.startPage);
         } else if (paginationConfig.type === 'path') {
             // Extract page from URL path
-            const pathPattern = paginationConfig.pathPattern.replace('{page}', '(\\d+)');
+            // Trailing slash is optional, canonical URLs drop it
+            const pathPattern = stripTrailingSlash(paginationConfig.pathPattern).replace('{page}', '(\\d+)');
             const regex = new RegExp(pathPattern);
             const match = currentUrl.match(regex);
             return match ? parseInt(match[1]) : paginationConfig.startPage;
+        } else if (paginationConfig.type === 'offset') {
+            // Derive page from the offset parameter
+            const url = new URL(currentUrl);
+            const offset = parseInt(url.searchParams.get(paginationConfig.offsetParam) ?? paginationConfig.startOffset);
+            return paginationConfig.startPage + Math.floor((offset - paginationConfig.startOffset) / paginationConfig.pageSize);
         }
-        
+
         return paginationConfig.startPage;
     } catch (error) {
-        console.error('Error extracting current page number:', error);
+        log.error('Error extracting current page number', { error });
         return CONFIG.SITE.pagination.startPage;
     }
 }
@@ -69,69 +266,175 @@ export function getCurrentPageNumber(currentUrl) {
  * @returns {string} Next page URL
  */
 export function getNextPageUrl(currentUrl) {
+    const currentPage = getCurrentPageNumber(currentUrl);
+    const nextPageUrl = getPageUrl(currentPage + 1);
+
+    if (nextPageUrl) {
+        log.debug('Next page URL', { currentPage, nextPageUrl });
+    }
+    return nextPageUrl;
+}
+
+/**
+ * Read the next page URL from the href of the next link
+ * @param {Object} dom - Page DOM
+ * @returns {Promise<string|null>} Next page URL
+ */
+export async function getNextLinkUrl(dom) {
+    const [href] = await dom.attrs(CONFIG.SELECTORS.nextButton, 'href');
+    return href || null;
+}
+
+/**
+ * Enqueue a listing page if it passes the URL filters and was not seen yet
+ * @param {string} pageUrl - Listing page URL
+ * @param {Function} enqueueLinks - Crawlee enqueueLinks function
+ * @param {string} description - Page description for logging
+ * @returns {Promise<boolean>} True if the page was enqueued
+ */
+async function enqueueListingPage(pageUrl, enqueueLinks, description) {
+    // Compare in canonical form, as enqueued request URLs are canonicalized
+    pageUrl = canonicalizeUrl(pageUrl, CONFIG.SITE.canonicalization);
+
+    if (state.seenUrls.has(pageUrl)) {
+        log.info(`${description} was already visited - stopping pagination`, { pageUrl });
+        return false;
+    }
+
+    const result = await enqueueLinks({
+        urls: [pageUrl],
+        label: CONFIG.CRAWLER.labels.SPECIALISTS_LIST,
+    });
+    // Only once enqueued, so a retry of a page that failed here enqueues it again
+    state.seenUrls.add(pageUrl);
+
+    // The URL filter drops pages outside the allowed patterns
+    if (result?.processedRequests?.length === 0) {
+        log.info(`${description} URL filtered out`, { pageUrl });
+        return false;
+    }
+
+    log.info(`Enqueued ${description}`, { pageUrl });
+    return true;
+}
+
+/**
+ * Run an action (click, scroll) and wait until the page shows a different set of items
+ * @param {Object} dom - Page DOM (Playwright)
+ * @param {Function} action - Triggers loading of more items
+ * @returns {Promise<boolean>} True if new content appeared before the timeout
+ */
+async function waitForNewItems(dom, action) {
+    const countBefore = await countItems(dom);
+    const signatureBefore = await getItemSignature(dom);
+
+    await action();
+
     try {
-        const paginationConfig = CONFIG.SITE.pagination;
-        const currentPage = getCurrentPageNumber(currentUrl);
-        const nextPage = currentPage + 1;
-        
-        let nextPageUrl;
-        const baseUrl = paginationConfig.baseUrl || CONFIG.SITE.startUrl;
-        
-        if (paginationConfig.type === 'query') {
-            // Generate query-based pagination URL
-            const url = new URL(baseUrl);
-            const queryPattern = paginationConfig.queryPattern.replace('{page}', nextPage);
-            const [param, value] = queryPattern.split('=');
-            url.searchParams.set(param, value);
-            nextPageUrl = url.toString();
-        } else if (paginationConfig.type === 'path') {
-            // Generate path-based pagination URL
-            const pathPattern = paginationConfig.pathPattern.replace('{page}', nextPage);
-            
-            // Remove trailing slash from base URL if it exists
-            const cleanBaseUrl = baseUrl.replace(/\/$/, '');
-            nextPageUrl = cleanBaseUrl + pathPattern;
+        await dom.page.waitForFunction(({ selector, countBefore }) => {
+            return document.querySelectorAll(selector).length !== countBefore;
+        }, { selector: CONFIG.SELECTORS.specialistLinks, countBefore }, {
+            timeout: CONFIG.SITE.pagination.waitTimeout || CONFIG.CRAWLER.timeout
+        });
+        return true;
+    } catch {
+        // Same number of items may still be a new set (click pagination)
+        return (await getItemSignature(dom)) !== signatureBefore;
+    }
+}
+
+/**
+ * Expand the current page in the browser for click, load-more and infinite-scroll pagination
+ * Detail links are enqueued after every step, so items replaced by click
+ * pagination are not lost.
+ * @param {Object} dom - Page DOM (Playwright)
+ * @param {Function} enqueueDetailLinks - Enqueues the specialist links currently on the page
+ * @returns {Promise<number>} Number of additional pages loaded
+ */
+export async function expandPageInBrowser(dom, enqueueDetailLinks) {
+    const { type } = CONFIG.SITE.pagination;
+    const { page } = dom;
+    let pagesLoaded = 1;
+
+    if (!page) {
+        throw new Error(`${type} pagination needs a browser - set CRAWLER.mode to "playwright"`);
+    }
+
+    while (!reachedMaxPages(pagesLoaded)) {
+        let action;
+
+        if (type === 'load-more') {
+            const button = await page.$(CONFIG.SELECTORS.loadMoreButton);
+            if (!button || !(await button.isVisible()) || !(await button.isEnabled())) {
+                log.info('No load more button - all items loaded');
+                break;
+            }
+            action = () => button.click();
+        } else if (type === 'infinite-scroll') {
+            action = () => page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
         } else {
-            throw new Error(`Unsupported pagination type: ${paginationConfig.type}`);
+            if (!(await hasNextPage(dom))) {
+                log.info('Next button is disabled - reached last page');
+                break;
+            }
+            action = () => page.click(CONFIG.SELECTORS.nextButton);
         }
-        
-        console.log(`Current page: ${currentPage}, next page URL: ${nextPageUrl}`);
-        return nextPageUrl;
-    } catch (error) {
-        console.error('Error generating next page URL:', error);
-        return null;
+
+        if (!(await waitForNewItems(dom, action))) {
+            log.info('No new items loaded - stopping pagination');
+            break;
+        }
+
+        // Click pagination keeps the URL, so pages are told apart by number
+        if (type === 'click' && !(await registerPage(dom, dom.url(), `${dom.url()}#${pagesLoaded + 1}`))) {
+            break;
+        }
+
+        pagesLoaded++;
+        log.info(`Loaded page ${pagesLoaded} in the browser`, { items: await countItems(dom) });
+        await enqueueDetailLinks();
     }
+
+    return pagesLoaded - 1;
 }
 
 /**
  * Handle pagination for specialist listing pages
- * @param {Page} page - Playwright page object
+ * @param {Object} dom - Page DOM
  * @param {string} currentUrl - Current page URL
  * @param {Function} enqueueLinks - Crawlee enqueueLinks function
+ * @param {Function} enqueueDetailLinks - Enqueues the specialist links currently on the page
  * @returns {Promise<boolean>} True if next page was enqueued
  */
-export async function handlePagination(page, currentUrl, enqueueLinks) {
-    const hasNext = await hasNextPage(page);
-    
+export async function handlePagination(dom, currentUrl, enqueueLinks, enqueueDetailLinks) {
+    const { type } = CONFIG.SITE.pagination;
+
+    if (IN_PAGE_PAGINATION_TYPES.includes(type)) {
+        return (await expandPageInBrowser(dom, enqueueDetailLinks)) > 0;
+    }
+
+    if (!(await registerPage(dom, currentUrl)) || reachedMaxPages(state.pagesSeen)) {
+        return false;
+    }
+
+    if (state.fannedOut) {
+        // All listing pages were enqueued from the first page
+        return false;
+    }
+
+    const hasNext = await hasNextPage(dom);
+
     if (hasNext) {
-        const nextPageUrl = getNextPageUrl(currentUrl);
-        
-        if (nextPageUrl && shouldCrawlUrl(nextPageUrl, CONFIG.SITE)) {
-            console.log(`Enqueuing next page: ${nextPageUrl}`);
-            
-            await enqueueLinks({
-                urls: [nextPageUrl],
-                label: CONFIG.CRAWLER.labels.SPECIALISTS_LIST,
-            });
-            
-            return true;
-        } else if (nextPageUrl) {
-            console.log(`Next page URL filtered out: ${nextPageUrl}`);
+        const nextPageUrl = type === 'next-link' ? await getNextLinkUrl(dom) : getNextPageUrl(currentUrl);
+
+        if (nextPageUrl) {
+            return enqueueListingPage(nextPageUrl, enqueueLinks, 'next page');
         }
+        log.warn('Could not determine the next page URL');
     } else {
-        console.log('Next button is disabled - reached last page');
+        log.info('Next button is disabled - reached last page');
     }
-    
+
     return false;
 }
 
@@ -144,7 +447,7 @@ export function getPageUrl(pageNumber) {
     try {
         const paginationConfig = CONFIG.SITE.pagination;
         const baseUrl = paginationConfig.baseUrl || CONFIG.SITE.startUrl;
-        
+
         if (paginationConfig.type === 'query') {
             // Generate query-based pagination URL
             const url = new URL(baseUrl);
@@ -155,47 +458,64 @@ export function getPageUrl(pageNumber) {
         } else if (paginationConfig.type === 'path') {
             // Generate path-based pagination URL
             const pathPattern = paginationConfig.pathPattern.replace('{page}', pageNumber);
-            
+
             // Remove trailing slash from base URL if it exists
             const cleanBaseUrl = baseUrl.replace(/\/$/, '');
             return cleanBaseUrl + pathPattern;
+        } else if (paginationConfig.type === 'offset') {
+            // Generate offset/limit pagination URL
+            const url = new URL(baseUrl);
+            const offset = paginationConfig.startOffset + (pageNumber - paginationConfig.startPage) * paginationConfig.pageSize;
+            url.searchParams.set(paginationConfig.offsetParam, offset);
+            if (paginationConfig.limitParam) {
+                url.searchParams.set(paginationConfig.limitParam, paginationConfig.pageSize);
+            }
+            return url.toString();
         } else {
-            throw new Error(`Unsupported pagination type: ${paginationConfig.type}`);
+            throw new Error(`Pagination type "${paginationConfig.type}" has no page URL template`);
         }
     } catch (error) {
-        console.error('Error generating page URL:', error);
+        log.error('Error generating page URL', { error });
         return null;
     }
 }
 
 /**
- * Handle initial page pagination (page 1 to page 2)
- * @param {Page} page - Playwright page object
+ * Handle initial page pagination (page 1 to page 2, or every page with fanOut)
+ * @param {Object} dom - Page DOM
  * @param {Function} enqueueLinks - Crawlee enqueueLinks function
- * @returns {Promise<boolean>} True if page 2 was enqueued
+ * @param {Function} enqueueDetailLinks - Enqueues the specialist links currently on the page
+ * @returns {Promise<boolean>} True if further listing pages were enqueued
  */
-export async function handleInitialPagination(page, enqueueLinks) {
-    const hasNext = await hasNextPage(page);
-    
+export async function handleInitialPagination(dom, enqueueLinks, enqueueDetailLinks) {
+    const { type, startPage, fanOut } = CONFIG.SITE.pagination;
+
+    if (IN_PAGE_PAGINATION_TYPES.includes(type)) {
+        await registerPage(dom, dom.url());
+        return (await expandPageInBrowser(dom, enqueueDetailLinks)) > 0;
+    }
+
+    if (!(await registerPage(dom, dom.url())) || reachedMaxPages(state.pagesSeen)) {
+        return false;
+    }
+
+    if (fanOut && FAN_OUT_PAGINATION_TYPES.includes(type) && (await fanOutPages(dom, enqueueLinks))) {
+        return true;
+    }
+
+    const hasNext = await hasNextPage(dom);
+
     if (hasNext) {
-        const nextPageNumber = CONFIG.SITE.pagination.startPage + 1;
-        const nextPageUrl = getPageUrl(nextPageNumber);
-        
-        if (nextPageUrl && shouldCrawlUrl(nextPageUrl, CONFIG.SITE)) {
-            console.log(`Enqueuing page ${nextPageNumber}: ${nextPageUrl}`);
-            
-            await enqueueLinks({
-                urls: [nextPageUrl],
-                label: CONFIG.CRAWLER.labels.SPECIALISTS_LIST,
-            });
-            
-            return true;
-        } else if (nextPageUrl) {
-            console.log(`Page ${nextPageNumber} URL filtered out: ${nextPageUrl}`);
+        const nextPageNumber = startPage + 1;
+        const nextPageUrl = type === 'next-link' ? await getNextLinkUrl(dom) : getPageUrl(nextPageNumber);
+
+        if (nextPageUrl) {
+            return enqueueListingPage(nextPageUrl, enqueueLinks, `page ${nextPageNumber}`);
         }
+        log.warn('Could not determine the next page URL');
     } else {
-        console.log('Next button is disabled - no more pages to crawl');
+        log.info('Next button is disabled - no more pages to crawl');
     }
-    
+
     return false;
 }
@@ -0,0 +1,147 @@
+/**
+ * Politeness settings (CONFIG.CRAWLER.politeness)
+ *
+ * Limits how hard a site is crawled: concurrency, requests per minute, a
+ * random delay before each request, robots.txt rules with crawl-delay, and
+ * the User-Agent sent with every request.
+ */
+
+import { CONFIG } from '../config/config.js';
+import { sleep } from '../utils/helpers.js';
+import { loadRobotsTxt } from './robotsHandler.js';
+
+// Crawlee's default requestHandlerTimeoutSecs
+const REQUEST_HANDLER_TIMEOUT_SECS = 60;
+
+/**
+ * Pick a random delay in a range
+ * @param {Object} delayMs - { min, max } in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+export function getRandomDelay({ min = 0, max = min } = {}) {
+    return Math.round(min + Math.random() * Math.max(0, max - min));
+}
+
+/**
+ * Resolve the politeness settings for the active profile
+ * A robots.txt crawl-delay tightens the configured limits: requests are made
+ * one at a time, at least crawl-delay seconds apart. Replaying from the HTTP
+ * cache never reaches the site, so delays, rate limit and robots.txt are skipped.
+ * @returns {Promise<Object>} { maxConcurrency, maxRequestsPerMinute, delayMs, userAgent, robots }
+ */
+export async function resolvePoliteness() {
+    const { maxConcurrency, maxRequestsPerMinute, delayMs, respectRobotsTxt, userAgent } = CONFIG.CRAWLER.politeness;
+    const politeness = {
+        maxConcurrency,
+        maxRequestsPerMinute,
+        delayMs: { ...delayMs },
+        userAgent,
+        robots: null
+    };
+
+    if (CONFIG.CRAWLER.cache.mode === 'replay') {
+        politeness.maxRequestsPerMinute = null;
+        politeness.delayMs = { min: 0, max: 0 };
+        return politeness;
+    }
+
+    if (!respectRobotsTxt) {
+        return politeness;
+    }
+
+    politeness.robots = await loadRobotsTxt(CONFIG.SITE.startUrl, userAgent);
+
+    const { crawlDelay } = politeness.robots;
+    if (crawlDelay) {
+        const crawlDelayMs = crawlDelay * 1000;
+        politeness.maxConcurrency = 1;
+        politeness.delayMs.min = Math.max(politeness.delayMs.min ?? 0, crawlDelayMs);
+        politeness.delayMs.max = Math.max(politeness.delayMs.max ?? 0, politeness.delayMs.min);
+        politeness.maxRequestsPerMinute = Math.max(1, Math.min(
+            maxRequestsPerMinute ?? Infinity,
+            Math.floor(60 / crawlDelay)
+        ));
+    }
+
+    return politeness;
+}
+
+/**
+ * Build the crawler options that enforce the politeness settings
+ * The delay runs in a pre-navigation hook, which counts against Crawlee's
+ * request timeout, so the timeout is raised by the longest delay.
+ * @param {Object} politeness - Settings from resolvePoliteness
+ * @param {string} mode - Crawl mode, 'playwright' or 'cheerio'
+ * @returns {Object} Options for PlaywrightCrawler / CheerioCrawler
+ */
+export function getPolitenessCrawlerOptions(politeness, mode) {
+    const { maxConcurrency, maxRequestsPerMinute, delayMs, userAgent } = politeness;
+    const options = {
+        preNavigationHooks: [
+            async (crawlingContext, requestOptions) => {
+                if (userAgent && mode === 'cheerio') {
+                    requestOptions.headers = { ...requestOptions.headers, 'user-agent': userAgent };
+                }
+                const delay = getRandomDelay(delayMs);
+                if (delay > 0) {
+                    await sleep(delay);
+                }
+            }
+        ]
+    };
+
+    if (maxConcurrency) options.maxConcurrency = maxConcurrency;
+    if (maxRequestsPerMinute) options.maxRequestsPerMinute = maxRequestsPerMinute;
+    const longestDelayMs = delayMs.max ?? delayMs.min ?? 0;
+    if (longestDelayMs > 0) {
+        options.requestHandlerTimeoutSecs = REQUEST_HANDLER_TIMEOUT_SECS + Math.ceil(longestDelayMs / 1000);
+    }
+
+    if (userAgent && mode === 'playwright') {
+        // Generated fingerprints would replace the configured User-Agent
+        options.launchContext = { userAgent };
+        options.browserPoolOptions = { useFingerprints: false };
+    }
+
+    return options;
+}
+
+/**
+ * Serializable copy of the politeness settings for checkpoints and run stats
+ * @param {Object} politeness - Settings from resolvePoliteness
+ * @returns {Object} Settings with the robots.txt URL, presence and crawl-delay
+ */
+export function summarizePoliteness(politeness) {
+    const { robots, ...settings } = politeness;
+    return {
+        ...settings,
+        robotsTxt: robots ? { url: robots.url, found: robots.found, crawlDelay: robots.crawlDelay } : null
+    };
+}
+
+/**
+ * Describe the politeness settings for the run summary
+ * @param {Object} politeness - Settings from resolvePoliteness
+ * @param {Object} urlStats - URL filter stats (for the robots.txt count)
+ * @returns {Array<string>} Summary lines
+ */
+export function describePoliteness(politeness, urlStats) {
+    const { maxConcurrency, maxRequestsPerMinute, delayMs, userAgent, robots } = politeness;
+    const lines = [
+        `Politeness: max concurrency ${maxConcurrency ?? 'default'}, ` +
+        `${maxRequestsPerMinute ? `${maxRequestsPerMinute} requests/minute` : 'no rate limit'}, ` +
+        `delay ${delayMs.min ?? 0}-${delayMs.max ?? delayMs.min ?? 0} ms`,
+        `User-Agent: ${userAgent ?? 'default'}`
+    ];
+
+    if (!robots) {
+        lines.push('robots.txt: not checked');
+    } else if (!robots.found) {
+        lines.push(`robots.txt: none at ${robots.url}`);
+    } else {
+        lines.push(`robots.txt: ${robots.url} (crawl-delay ${robots.crawlDelay ?? 'none'}, ` +
+            `${urlStats.disallowedByRobots} URLs disallowed)`);
+    }
+
+    return lines;
+}
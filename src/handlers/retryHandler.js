@@ -0,0 +1,180 @@
+/**
+ * Retry policies and dead-letter handling for failed requests
+ *
+ * Retries are configured per label in CONFIG.CRAWLER.retries. Requests that
+ * exhaust their retries are appended to a dead-letter NDJSON file together
+ * with a screenshot and HTML snapshot, and can be re-run with `retry-failed`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { CONFIG } from '../config/config.js';
+import { getOutputDirectory } from './fileHandler.js';
+import { sleep } from '../utils/helpers.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('retry');
+
+/**
+ * Get the label key (DETAIL, SPECIALISTS_LIST) for a request label
+ * The start page has no label and is treated as a listing page.
+ * @param {string|undefined} label - Request label
+ * @returns {string} Label key
+ */
+export function getLabelKey(label) {
+    if (!label) {
+        return 'SPECIALISTS_LIST';
+    }
+    const entry = Object.entries(CONFIG.CRAWLER.labels).find(([, value]) => value === label);
+    return entry ? entry[0] : label;
+}
+
+/**
+ * Get the retry policy for a request label
+ * @param {string|undefined} label - Request label
+ * @returns {Object} { maxRetries, backoffMs, backoffFactor }
+ */
+export function getRetryPolicy(label) {
+    const { retries } = CONFIG.CRAWLER;
+    return { ...retries.default, ...retries[getLabelKey(label)] };
+}
+
+/**
+ * Highest retry count of any policy, used as the crawler-wide limit
+ * @returns {number} Maximum retries
+ */
+export function getMaxRetries() {
+    return Math.max(...Object.values(CONFIG.CRAWLER.retries).map(policy => policy.maxRetries ?? 0));
+}
+
+/**
+ * Delay before the next attempt: backoffMs * backoffFactor ^ retryCount
+ * @param {Object} policy - Retry policy
+ * @param {number} retryCount - Retries already made
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(policy, retryCount) {
+    return Math.round(policy.backoffMs * Math.pow(policy.backoffFactor, retryCount));
+}
+
+/**
+ * Create the crawler errorHandler applying per-label retry limits and backoff
+ * Crawlee calls it before each retry; setting `noRetry` turns the error into a
+ * final failure handled by the failedRequestHandler.
+ * @returns {Function} errorHandler
+ */
+export function createErrorHandler() {
+    return async ({ request }, error) => {
+        const policy = getRetryPolicy(request.label);
+
+        if (request.retryCount >= policy.maxRetries) {
+            request.noRetry = true;
+            return;
+        }
+
+        const delay = getBackoffDelay(policy, request.retryCount);
+        log.warn(`Retry ${request.retryCount + 1}/${policy.maxRetries} in ${delay}ms`, { error });
+        await sleep(delay);
+    };
+}
+
+/**
+ * Path of the dead-letter file for the current profile and day
+ * @returns {string} Dead-letter file path
+ */
+export function getDeadLetterPath() {
+    return path.join(getOutputDirectory(), CONFIG.OUTPUT.getFilename('dead-letter.ndjson'));
+}
+
+/**
+ * Start an empty dead-letter file for a new run
+ */
+export function resetDeadLetterFile() {
+    const filepath = getDeadLetterPath();
+    if (fs.existsSync(filepath)) {
+        fs.unlinkSync(filepath);
+    }
+}
+
+/**
+ * Save a screenshot and the HTML of the failed page, when a page is available
+ * In Cheerio mode only the HTML of the response body is saved.
+ * @param {Object} context - Crawling context ({ page } in Playwright, { body } in Cheerio mode)
+ * @param {string} url - Request URL
+ * @param {string} runId - Run ID, used as snapshot folder
+ * @returns {Promise<Object>} { screenshotPath, htmlPath } (null when not captured)
+ */
+async function saveSnapshot({ page, body }, url, runId) {
+    const snapshot = { screenshotPath: null, htmlPath: null };
+    const hasPage = page && !page.isClosed();
+    if (!hasPage && !body) {
+        return snapshot;
+    }
+
+    const directory = path.join(getOutputDirectory(), 'snapshots', runId);
+    const name = crypto.createHash('sha1').update(url).digest('hex').slice(0, 12);
+    fs.mkdirSync(directory, { recursive: true });
+
+    try {
+        snapshot.htmlPath = path.join(directory, `${name}.html`);
+        fs.writeFileSync(snapshot.htmlPath, hasPage ? await page.content() : body.toString(), 'utf8');
+    } catch (error) {
+        snapshot.htmlPath = null;
+        log.error('Could not save HTML snapshot', { error });
+    }
+
+    if (!hasPage) {
+        return snapshot;
+    }
+
+    try {
+        snapshot.screenshotPath = path.join(directory, `${name}.png`);
+        await page.screenshot({ path: snapshot.screenshotPath, fullPage: true });
+    } catch (error) {
+        snapshot.screenshotPath = null;
+        log.error('Could not save screenshot', { error });
+    }
+
+    return snapshot;
+}
+
+/**
+ * Create the crawler failedRequestHandler writing dead-letter entries
+ * @param {Object} checkpoint - Checkpoint of the current run
+ * @returns {Function} failedRequestHandler
+ */
+export function createFailedRequestHandler(checkpoint) {
+    return async (context, error) => {
+        const { request } = context;
+        const snapshot = await saveSnapshot(context, request.url, checkpoint.runId);
+        const entry = {
+            url: request.url,
+            label: request.label ?? null,
+            listing: request.userData.listing ?? null,
+            error: error.message,
+            attempts: request.retryCount + 1,
+            failedAt: new Date().toISOString(),
+            runId: checkpoint.runId,
+            profileId: checkpoint.profileId,
+            ...snapshot
+        };
+
+        fs.appendFileSync(getDeadLetterPath(), `${JSON.stringify(entry)}\n`, 'utf8');
+        log.error(`Request failed after ${entry.attempts} attempt(s), added to dead-letter file`, { error });
+    };
+}
+
+/**
+ * Read the entries of a dead-letter file, gzipped or not
+ * @param {string} filepath - Dead-letter file path
+ * @returns {Array<Object>} Dead-letter entries
+ */
+export function readDeadLetterFile(filepath) {
+    const contents = fs.readFileSync(filepath);
+    return (filepath.endsWith('.gz') ? zlib.gunzipSync(contents) : contents).toString('utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+}
@@ -0,0 +1,167 @@
+/**
+ * robots.txt loading and matching
+ *
+ * Rules follow RFC 9309: the group for the most specific matching user agent
+ * applies (or `*`), the longest matching path wins, Allow wins ties, and `*`
+ * and `$` work as wildcards. Crawl-delay is read as well, although it is not
+ * part of the RFC.
+ */
+
+import { gotScraping } from 'crawlee';
+import { CONFIG } from '../config/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('robots');
+
+/**
+ * Parse a robots.txt file into groups
+ * @param {string} text - robots.txt content
+ * @returns {Array<Object>} Groups of { agents, rules: [{ allow, path }], crawlDelay }
+ */
+export function parseRobotsTxt(text) {
+    const groups = [];
+    let group = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            continue;
+        }
+
+        const key = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (key === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!lastWasAgent) {
+                group = { agents: [], rules: [], crawlDelay: null };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+        if (!group) {
+            continue;
+        }
+
+        if ((key === 'allow' || key === 'disallow') && value) {
+            group.rules.push({ allow: key === 'allow', path: value });
+        } else if (key === 'crawl-delay') {
+            const delay = Number(value);
+            if (Number.isFinite(delay) && delay >= 0) {
+                group.crawlDelay = delay;
+            }
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Pick the group that applies to a user agent
+ * @param {Array<Object>} groups - Groups from parseRobotsTxt
+ * @param {string|null} userAgent - User-Agent header (null: only `*` applies)
+ * @returns {Object|null} Matching group
+ */
+export function selectRobotsGroup(groups, userAgent) {
+    // Match on the product token, e.g. "sge-crawler" in "sge-crawler/1.0 (+url)"
+    const product = (userAgent ?? '').split(/[\s/]/)[0].toLowerCase();
+    let best = null;
+
+    for (const group of groups) {
+        for (const agent of group.agents) {
+            const matches = agent === '*' || (product && product.includes(agent));
+            const specificity = agent === '*' ? 0 : agent.length;
+            if (matches && (!best || specificity > best.specificity)) {
+                best = { group, specificity };
+            }
+        }
+    }
+
+    return best?.group ?? null;
+}
+
+/**
+ * Convert a robots.txt path rule into a regular expression
+ * @param {string} path - Rule path with optional `*` and trailing `$`
+ * @returns {RegExp} Expression matched against path + query
+ */
+function ruleToRegex(path) {
+    const anchored = path.endsWith('$');
+    const source = (anchored ? path.slice(0, -1) : path)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Check a URL against the rules of a group
+ * @param {string} url - URL to check
+ * @param {Object|null} group - Group from selectRobotsGroup
+ * @returns {boolean} True if the URL may be crawled
+ */
+export function isAllowedByRobots(url, group) {
+    if (!group) {
+        return true;
+    }
+
+    const { pathname, search } = new URL(url);
+    const target = pathname + search;
+    let match = null;
+
+    for (const rule of group.rules) {
+        if (!ruleToRegex(rule.path).test(target)) {
+            continue;
+        }
+        const longer = !match || rule.path.length > match.path.length;
+        const allowWinsTie = match && rule.path.length === match.path.length && rule.allow;
+        if (longer || allowWinsTie) {
+            match = rule;
+        }
+    }
+
+    return !match || match.allow;
+}
+
+/**
+ * Load the robots.txt of the site that serves a URL
+ * A missing robots.txt allows everything; when it cannot be fetched a warning
+ * is printed and crawling continues without rules.
+ * @param {string} siteUrl - Any URL on the site (usually SITE.startUrl)
+ * @param {string|null} userAgent - User-Agent sent with requests
+ * @returns {Promise<Object>} { url, found, crawlDelay, isAllowed(url) }
+ */
+export async function loadRobotsTxt(siteUrl, userAgent) {
+    const { origin } = new URL(siteUrl);
+    const robotsUrl = `${origin}/robots.txt`;
+    let group = null;
+    let found = false;
+
+    try {
+        const response = await gotScraping({
+            url: robotsUrl,
+            headers: userAgent ? { 'user-agent': userAgent } : {},
+            timeout: { request: CONFIG.CRAWLER.timeout }
+        });
+        if (response.statusCode < 400) {
+            group = selectRobotsGroup(parseRobotsTxt(response.body), userAgent);
+            found = true;
+        }
+    } catch (error) {
+        log.warn(`Could not fetch ${robotsUrl} - crawling without robots.txt rules`, { error });
+    }
+
+    return {
+        url: robotsUrl,
+        found,
+        crawlDelay: group?.crawlDelay ?? null,
+        // Rules only cover the origin they were served from
+        isAllowed: (url) => new URL(url).origin !== origin || isAllowedByRobots(url, group)
+    };
+}
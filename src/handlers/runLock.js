@@ -0,0 +1,228 @@
+/**
+ * Per-site run locks
+ *
+ * Only one crawl of a profile may run at a time, whether it was started from
+ * the CLI, the API or the scheduler: overlapping runs would write the same
+ * output files. A lock is a file created exclusively in the storage directory
+ * and holding the owner's process; it is linked into place with its contents,
+ * so it is never seen empty. The owner refreshes its heartbeat while it
+ * runs; locks whose heartbeat is older than LOCK_TTL_MS, of processes that no
+ * longer exist on this host, or carrying this process's pid without being held
+ * by it (a restarted container reusing pid 1) are taken over.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('lock');
+
+// How often a held lock is refreshed, and when an unrefreshed lock is stale
+export const LOCK_HEARTBEAT_MS = 30 * 1000;
+export const LOCK_TTL_MS = 2 * 60 * 1000;
+
+// Lock files held by this process
+const heldLocks = new Set();
+
+/**
+ * Error raised when a profile is already being crawled
+ */
+export class RunLockError extends Error {
+    constructor(message, owner) {
+        super(message);
+        this.name = 'RunLockError';
+        this.owner = owner;
+    }
+}
+
+/**
+ * Directory holding lock files (inside the Crawlee storage directory)
+ * @returns {string} Absolute lock directory
+ */
+export function getLockDirectory() {
+    const storageDir = process.env.CRAWLEE_STORAGE_DIR || './storage';
+    return path.resolve(process.cwd(), storageDir, 'locks');
+}
+
+/**
+ * Check whether a lock owner is still running
+ * Owners on other hosts cannot be checked and count as running until their
+ * heartbeat expires.
+ * @param {Object} owner - Lock file contents
+ * @param {string} filepath - Lock file
+ * @returns {boolean} True when the owner may still hold the lock
+ */
+function isOwnerAlive(owner, filepath) {
+    const heartbeat = Date.parse(owner.heartbeatAt ?? owner.lockedAt);
+    if (Number.isNaN(heartbeat) || Date.now() - heartbeat > LOCK_TTL_MS) {
+        return false;
+    }
+    if (owner.hostname !== os.hostname()) {
+        return true;
+    }
+    if (owner.pid === process.pid) {
+        return heldLocks.has(filepath);
+    }
+    try {
+        process.kill(owner.pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Read a lock file
+ * @param {string} filepath - Lock file
+ * @returns {Object|null} Owner, or null when the file is gone or unreadable
+ */
+function readOwner(filepath) {
+    try {
+        return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check whether a lock file is still held by an owner
+ * @param {Object|null} current - Lock file contents
+ * @param {Object} owner - Owner that took the lock
+ * @returns {boolean} True when the lock file still belongs to the owner
+ */
+function isHeldBy(current, owner) {
+    return current?.pid === owner.pid && current?.lockedAt === owner.lockedAt;
+}
+
+/**
+ * Check whether an unreadable lock file may still be held
+ * Without an owner to check, it counts as held until it is older than
+ * LOCK_TTL_MS.
+ * @param {string} filepath - Lock file
+ * @returns {boolean} True when the lock file exists and is recent
+ */
+function isRecentLockFile(filepath) {
+    try {
+        return Date.now() - fs.statSync(filepath).mtimeMs <= LOCK_TTL_MS;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Create a lock file with its owner, unless it already exists
+ * The owner is written to a file of its own and hard-linked to the lock file,
+ * so the lock file appears with its complete contents.
+ * @param {string} filepath - Lock file
+ * @param {Object} owner - Lock file contents
+ * @throws {Error} With code EEXIST when the lock file exists
+ */
+function createLockFile(filepath, owner) {
+    const tempFile = `${filepath}.${crypto.randomUUID()}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(owner, null, 2), 'utf8');
+    try {
+        fs.linkSync(tempFile, filepath);
+    } finally {
+        fs.rmSync(tempFile, { force: true });
+    }
+}
+
+/**
+ * Write a lock file atomically so readers never see a partial owner
+ * @param {string} filepath - Lock file
+ * @param {Object} owner - Lock file contents
+ */
+function writeOwner(filepath, owner) {
+    fs.writeFileSync(`${filepath}.tmp`, JSON.stringify(owner, null, 2), 'utf8');
+    fs.renameSync(`${filepath}.tmp`, filepath);
+}
+
+/**
+ * Refresh the heartbeat of a held lock until it is released
+ * @param {string} filepath - Lock file
+ * @param {Object} owner - Lock file contents
+ * @returns {NodeJS.Timeout} Heartbeat timer
+ */
+function startHeartbeat(filepath, owner) {
+    const timer = setInterval(() => {
+        const current = readOwner(filepath);
+        if (!isHeldBy(current, owner)) {
+            log.warn(`Lost the lock of profile "${owner.profileId}"`, { owner: current });
+            clearInterval(timer);
+            return;
+        }
+        owner.heartbeatAt = new Date().toISOString();
+        try {
+            writeOwner(filepath, owner);
+        } catch (error) {
+            log.warn(`Could not refresh the lock of profile "${owner.profileId}"`, { error });
+        }
+    }, LOCK_HEARTBEAT_MS);
+    // A held lock alone never keeps the process running
+    timer.unref();
+    return timer;
+}
+
+/**
+ * Take the run lock of a profile
+ * @param {string} profileId - Profile id
+ * @returns {Object} Lock: { filepath, owner, release() }
+ * @throws {RunLockError} When another live process holds the lock
+ */
+export function acquireRunLock(profileId) {
+    const filepath = path.join(getLockDirectory(), `${profileId}.lock`);
+    const lockedAt = new Date().toISOString();
+    const owner = { profileId, pid: process.pid, hostname: os.hostname(), lockedAt, heartbeatAt: lockedAt };
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            createLockFile(filepath, owner);
+            heldLocks.add(filepath);
+            const heartbeat = startHeartbeat(filepath, owner);
+            let released = false;
+            return {
+                filepath,
+                owner,
+                release: () => {
+                    if (!released) {
+                        released = true;
+                        clearInterval(heartbeat);
+                        heldLocks.delete(filepath);
+                        // Never remove a lock another process has taken over since
+                        if (isHeldBy(readOwner(filepath), owner)) {
+                            fs.rmSync(filepath, { force: true });
+                        }
+                    }
+                }
+            };
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        const current = readOwner(filepath);
+        if (!current && isRecentLockFile(filepath)) {
+            throw new RunLockError(
+                `Profile "${profileId}" is locked by ${filepath}, which could not be read; ` +
+                `remove it if no crawl of the profile is running`,
+                null
+            );
+        }
+        if (current && isOwnerAlive(current, filepath)) {
+            throw new RunLockError(
+                `Profile "${profileId}" is already being crawled by process ${current.pid} on ${current.hostname} ` +
+                `(since ${current.lockedAt}, last heartbeat ${current.heartbeatAt ?? current.lockedAt}); ` +
+                `remove ${filepath} if that is not the case`,
+                current
+            );
+        }
+        log.warn(`Taking over the stale lock of profile "${profileId}"`, { owner: current });
+        fs.rmSync(filepath, { force: true });
+    }
+
+    throw new RunLockError(`Could not lock profile "${profileId}"`, null);
+}
@@ -0,0 +1,374 @@
+/**
+ * Selector diagnostics for the `diagnose` command
+ *
+ * Checks every configured selector against a listing page (SELECTORS) and a
+ * detail page (FIELDS), and looks for candidate replacements in the page
+ * structure when one matches nothing - usually the first sign of a redesign.
+ * Suggestions are heuristics: review them with `test-selectors` before use.
+ */
+
+import { load } from 'cheerio';
+import { CONFIG } from '../config/config.js';
+
+const SAMPLE_COUNT = 3;
+const SAMPLE_LENGTH = 80;
+const MAX_SUGGESTIONS = 3;
+// Link groups smaller than this are navigation, not listings
+const MIN_LINK_GROUP = 3;
+
+// What each SELECTORS entry points at, used to look for replacements
+const SELECTOR_ROLES = {
+    specialistLinks: 'links',
+    nextButton: 'next',
+    nextButtonContainer: 'nextContainer',
+    loadMoreButton: 'loadMore',
+    pageCount: 'pageCount',
+    resultCount: 'resultCount'
+};
+
+const NEXT_TEXT = /^(next( page)?|[›»>→])(\s*[›»>→])?$/i;
+const LOAD_MORE_TEXT = /\b(load|show|view|see) more\b|\bmore results\b/i;
+const RESULT_COUNT_TEXT = /\b\d[\d,]*\s+(results?|specialists?|doctors?|items?|records?|matches)\b/i;
+const PAGE_COUNT_TEXT = /\bpage\s+\d+\s*(of|\/)\s*\d+/i;
+
+// Selectors tried for fields whose name contains one of the keywords
+const FIELD_HINTS = [
+    { keywords: ['name', 'title'], selectors: ['h1', 'h2'] },
+    { keywords: ['phone', 'tel', 'contact'], selectors: ['a[href^="tel:"]'] },
+    { keywords: ['email', 'mail', 'contact'], selectors: ['a[href^="mailto:"]'] },
+    { keywords: ['image', 'photo', 'picture', 'avatar'], selectors: ['img'] },
+    { keywords: ['link', 'url', 'website'], selectors: ['a[href^="http"]'] }
+];
+
+/**
+ * Format a sample value for the report
+ * Text is shortened to SAMPLE_LENGTH characters; attribute values such as
+ * URLs are kept whole so they can be followed.
+ * @param {*} value - Text or attribute value
+ * @param {boolean} isText - True for text content
+ * @returns {string} Single-line value
+ */
+function formatSample(value, isText) {
+    const sample = String(value ?? '').replace(/\s+/g, ' ').trim();
+    return isText ? sample.substring(0, SAMPLE_LENGTH) : sample;
+}
+
+/**
+ * List the selectors to check on the listing and detail pages
+ * Nested field selectors are checked inside their parent's matches.
+ * @returns {Object} { listing, detail }: lists of { name, selector, parent, attribute, required, role }
+ */
+export function getSelectorChecks() {
+    const listing = Object.entries(CONFIG.SELECTORS)
+        .filter(([, selector]) => typeof selector === 'string' && selector)
+        .map(([name, selector]) => ({
+            name: `SELECTORS.${name}`,
+            selector,
+            parent: null,
+            attribute: name === 'specialistLinks' ? 'href' : null,
+            required: name === 'specialistLinks',
+            role: SELECTOR_ROLES[name] ?? null
+        }));
+
+    const detail = [];
+    for (const [name, spec] of Object.entries(CONFIG.FIELDS)) {
+        detail.push({
+            name: `FIELDS.${name}`,
+            selector: spec.selector,
+            parent: null,
+            attribute: spec.attribute ?? null,
+            required: Boolean(spec.required),
+            role: 'field'
+        });
+
+        for (const [childName, childSpec] of Object.entries(spec.fields ?? {})) {
+            if (childSpec.selector) {
+                detail.push({
+                    name: `FIELDS.${name}.${childName}`,
+                    selector: childSpec.selector,
+                    parent: spec.selector,
+                    attribute: childSpec.attribute ?? null,
+                    required: false,
+                    role: 'field'
+                });
+            }
+        }
+    }
+
+    return { listing, detail };
+}
+
+/**
+ * Count the matches of a selector and collect sample values
+ * @param {Object} dom - Page DOM
+ * @param {Object} check - Check from getSelectorChecks
+ * @returns {Promise<Object>} { count, samples, error }
+ */
+export async function inspectSelector(dom, check) {
+    try {
+        const roots = check.parent ? await dom.queryAll(check.parent) : [dom];
+        const nodes = [];
+        for (const root of roots) {
+            nodes.push(...await root.queryAll(check.selector));
+        }
+
+        const samples = [];
+        for (const node of nodes.slice(0, SAMPLE_COUNT)) {
+            samples.push(check.attribute
+                ? formatSample(await node.attr(check.attribute), false)
+                : formatSample(await node.text(), true));
+        }
+        return { count: nodes.length, samples, error: null };
+    } catch (error) {
+        return { count: 0, samples: [], error: error.message };
+    }
+}
+
+/**
+ * Check whether an id or class name looks hand-written rather than generated
+ * @param {string} name - id or class name
+ * @returns {boolean} True if the name is usable in a selector
+ */
+function isStableName(name) {
+    return /^[A-Za-z][\w-]*$/.test(name) && !/\d{3,}/.test(name);
+}
+
+/**
+ * Stable class names of an element
+ * @param {CheerioAPI} $ - Cheerio document
+ * @param {Element} element - Element
+ * @returns {Array<string>} Class names
+ */
+function getClasses($, element) {
+    return ($(element).attr('class') ?? '').split(/\s+/).filter(name => name && isStableName(name));
+}
+
+/**
+ * Short selector for a single element: tag#id or tag.class.class
+ * @param {CheerioAPI} $ - Cheerio document
+ * @param {Element} element - Element
+ * @returns {string} Selector
+ */
+function describeElement($, element) {
+    const id = $(element).attr('id');
+    if (id && isStableName(id)) {
+        return `${element.tagName}#${id}`;
+    }
+    const classes = getClasses($, element).slice(0, 2);
+    return classes.length > 0 ? `${element.tagName}.${classes.join('.')}` : element.tagName;
+}
+
+/**
+ * Build candidate selectors that match a group of target elements
+ * Candidates use the classes the targets share and the id or classes of
+ * their nearest ancestors.
+ * @param {CheerioAPI} $ - Cheerio document
+ * @param {Array<Element>} targets - Elements of the same kind
+ * @returns {Array<string>} Candidate selectors
+ */
+function buildCandidates($, targets) {
+    const [first] = targets;
+    const shared = getClasses($, first).filter(name => targets.every(target => $(target).hasClass(name)));
+    const own = shared.length > 0 ? `${first.tagName}.${shared.slice(0, 2).join('.')}` : first.tagName;
+    const candidates = shared.length > 0 ? [own] : [];
+
+    for (const ancestor of $(first).parents().toArray().slice(0, 4)) {
+        if (ancestor.tagName === 'body' || ancestor.tagName === 'html') {
+            break;
+        }
+        const descriptor = describeElement($, ancestor);
+        if (descriptor !== ancestor.tagName) {
+            candidates.push(`${descriptor} ${own}`);
+        }
+    }
+
+    return candidates;
+}
+
+/**
+ * Find groups of elements that could be what a selector is meant to match
+ * @param {CheerioAPI} $ - Cheerio document
+ * @param {string} role - Selector role ('links', 'next', 'field', ...)
+ * @param {string} pageUrl - Page URL
+ * @param {string} name - Check name, e.g. FIELDS.doctorName
+ * @returns {Array<Array<Element>>} Target groups, most likely first
+ */
+function findTargets($, role, pageUrl, name) {
+    const byText = (selector, pattern) => $(selector).toArray()
+        .filter(element => pattern.test($(element).text().trim()));
+    // Innermost elements whose text matches, so wrappers are not suggested
+    const innermostByText = (pattern) => $('body *').toArray().filter(element => {
+        const text = $(element).text();
+        return text.length < 120 && pattern.test(text) &&
+            !$(element).children().toArray().some(child => pattern.test($(child).text()));
+    });
+
+    switch (role) {
+        case 'links': {
+            const { origin, pathname } = new URL(pageUrl);
+            const groups = new Map();
+            for (const element of $('a[href]').toArray()) {
+                let url;
+                try {
+                    url = new URL($(element).attr('href'), pageUrl);
+                } catch {
+                    continue;
+                }
+                if (url.origin !== origin || url.pathname === pathname) {
+                    continue;
+                }
+                // Profile links share a parent path, e.g. /specialists/<name>
+                const directory = url.pathname.replace(/\/+$/, '').replace(/\/[^/]*$/, '/');
+                if (!groups.has(directory)) {
+                    groups.set(directory, { elements: [], hrefs: new Set() });
+                }
+                groups.get(directory).elements.push(element);
+                groups.get(directory).hrefs.add(url.pathname);
+            }
+            return [...groups.values()]
+                .filter(group => group.hrefs.size >= MIN_LINK_GROUP)
+                .sort((a, b) => b.hrefs.size - a.hrefs.size)
+                .map(group => group.elements);
+        }
+        case 'next':
+        case 'nextContainer': {
+            const buttons = [
+                ...$('a[rel~="next"], link[rel~="next"]').toArray().filter(element => element.tagName === 'a'),
+                ...$('a[aria-label], button[aria-label]').toArray().filter(element => /next/i.test($(element).attr('aria-label'))),
+                ...byText('a, button', NEXT_TEXT)
+            ];
+            const elements = role === 'next' ? buttons : buttons.map(element => $(element).parent().get(0));
+            return elements.filter(Boolean).map(element => [element]);
+        }
+        case 'loadMore':
+            return byText('a, button', LOAD_MORE_TEXT).map(element => [element]);
+        case 'resultCount':
+            return innermostByText(RESULT_COUNT_TEXT).map(element => [element]);
+        case 'pageCount': {
+            const numbered = byText('a', /^\d+$/);
+            return [
+                ...innermostByText(PAGE_COUNT_TEXT).map(element => [element]),
+                ...(numbered.length > 1 ? [numbered] : [])
+            ];
+        }
+        case 'field': {
+            // doctorName -> doctor, name; matched against ids and class names
+            const keywords = name.split('.').pop()
+                .split(/(?=[A-Z])|[_-]/)
+                .map(word => word.toLowerCase())
+                .filter(word => word.length >= 3);
+            const groups = new Map();
+            for (const element of $('body [id], body [class]').toArray()) {
+                const names = [$(element).attr('id') ?? '', ...getClasses($, element)].join(' ').toLowerCase();
+                if (keywords.some(keyword => names.includes(keyword))) {
+                    const descriptor = describeElement($, element);
+                    if (!groups.has(descriptor)) {
+                        groups.set(descriptor, []);
+                    }
+                    groups.get(descriptor).push(element);
+                }
+            }
+            return [...groups.values()];
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Fixed selectors worth trying for a field, based on its name
+ * @param {string} name - Check name, e.g. FIELDS.contactDetails
+ * @returns {Array<string>} Selectors
+ */
+function getFieldHints(name) {
+    const fieldName = name.split('.').pop().toLowerCase();
+    return FIELD_HINTS
+        .filter(hint => hint.keywords.some(keyword => fieldName.includes(keyword)))
+        .flatMap(hint => hint.selectors);
+}
+
+/**
+ * Suggest replacement selectors for a check that matches nothing
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL
+ * @param {Object} check - Check from getSelectorChecks
+ * @returns {Array<Object>} Up to MAX_SUGGESTIONS of { selector, count, samples }
+ */
+export function suggestSelectors(html, pageUrl, check) {
+    const $ = load(html);
+    const suggestions = new Map();
+
+    const consider = (selector, targets = []) => {
+        if (suggestions.has(selector)) {
+            return;
+        }
+        let matches;
+        try {
+            matches = $(selector).toArray();
+        } catch {
+            return;
+        }
+        // Candidates must cover the elements they were built from
+        if (matches.length === 0 || !targets.every(target => matches.includes(target))) {
+            return;
+        }
+        const useHref = check.role === 'links' || check.attribute === 'href';
+        const readSample = (element) => {
+            if (!useHref) {
+                return $(element).text();
+            }
+            try {
+                return new URL($(element).attr('href') ?? '', pageUrl).toString();
+            } catch {
+                return $(element).attr('href');
+            }
+        };
+        suggestions.set(selector, {
+            selector,
+            count: matches.length,
+            // Extra matches beyond the targets make a candidate less precise
+            extra: targets.length > 0 ? matches.length - targets.length : 0,
+            samples: matches.slice(0, SAMPLE_COUNT).map(element => formatSample(readSample(element), !useHref))
+        });
+    };
+
+    for (const targets of findTargets($, check.role, pageUrl, check.name)) {
+        buildCandidates($, targets).forEach(selector => consider(selector, targets));
+    }
+    if (check.role === 'field') {
+        getFieldHints(check.name).forEach(selector => consider(selector));
+    }
+
+    return [...suggestions.values()]
+        .sort((a, b) => a.extra - b.extra)
+        .slice(0, MAX_SUGGESTIONS)
+        .map(({ selector, count, samples }) => ({ selector, count, samples }));
+}
+
+/**
+ * Check a list of selectors on a page and suggest replacements for missing ones
+ * @param {Object} dom - Page DOM
+ * @param {Array<Object>} checks - Checks from getSelectorChecks
+ * @returns {Promise<Array<Object>>} One result per check:
+ *   { name, selector, required, count, samples, error, suggestions }
+ */
+export async function diagnosePage(dom, checks) {
+    const html = await dom.html();
+    const results = [];
+
+    for (const check of checks) {
+        const inspection = await inspectSelector(dom, check);
+        const suggestions = inspection.count === 0 && check.role
+            ? suggestSelectors(html, dom.url(), check)
+            : [];
+        results.push({
+            name: check.name,
+            selector: check.selector,
+            required: check.required,
+            ...inspection,
+            suggestions
+        });
+    }
+
+    return results;
+}
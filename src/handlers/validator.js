@@ -0,0 +1,163 @@
+/**
+ * Record validation and data quality reporting
+ *
+ * Records carry structured errors ({ code, field, message }) instead of
+ * sentinel strings; the quality report summarises them for the whole run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../config/config.js';
+import { getOutputDirectory } from './fileHandler.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('quality');
+
+export const ERROR_CODES = {
+    EXTRACTION_FAILED: 'EXTRACTION_FAILED',
+    REQUIRED_FIELD_MISSING: 'REQUIRED_FIELD_MISSING',
+    PATTERN_MISMATCH: 'PATTERN_MISMATCH',
+    TOO_SHORT: 'TOO_SHORT',
+    TOO_FEW_ITEMS: 'TOO_FEW_ITEMS',
+    CONTACT_NOT_NORMALIZED: 'CONTACT_NOT_NORMALIZED'
+};
+
+/**
+ * Check if an extracted value is empty
+ * @param {*} value - Field value
+ * @returns {boolean} True for null, empty strings and empty lists
+ */
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Create a structured record error
+ * @param {string} code - One of ERROR_CODES
+ * @param {string|null} field - Field the error applies to
+ * @param {string} message - Human-readable description
+ * @returns {Object} Error entry
+ */
+export function createRecordError(code, field, message) {
+    return { code, field, message };
+}
+
+/**
+ * Validate a record against the required fields in CONFIG.FIELDS and the
+ * rules in CONFIG.VALIDATION.rules
+ * @param {Object} record - Extracted specialist record
+ * @returns {Array<Object>} Validation errors
+ */
+export function validateRecord(record) {
+    const errors = [];
+    const rules = CONFIG.VALIDATION.rules;
+
+    for (const [field, spec] of Object.entries(CONFIG.FIELDS)) {
+        if ((spec.required || rules[field]?.required) && isEmpty(record[field])) {
+            errors.push(createRecordError(ERROR_CODES.REQUIRED_FIELD_MISSING, field, `${field} is required`));
+        }
+    }
+
+    for (const [field, rule] of Object.entries(rules)) {
+        const value = record[field];
+
+        if (rule.required && !CONFIG.FIELDS[field] && isEmpty(value)) {
+            errors.push(createRecordError(ERROR_CODES.REQUIRED_FIELD_MISSING, field, `${field} is required`));
+        }
+        if (rule.minItems && (Array.isArray(value) || value === null || value === undefined)
+            && (value || []).length < rule.minItems) {
+            errors.push(createRecordError(ERROR_CODES.TOO_FEW_ITEMS, field, `${field} has fewer than ${rule.minItems} items`));
+        }
+        if (isEmpty(value)) continue;
+
+        if (rule.pattern && typeof value === 'string' && !new RegExp(rule.pattern).test(value)) {
+            errors.push(createRecordError(ERROR_CODES.PATTERN_MISMATCH, field, `${field} does not match ${rule.pattern}`));
+        }
+        if (rule.minLength && typeof value === 'string' && value.length < rule.minLength) {
+            errors.push(createRecordError(ERROR_CODES.TOO_SHORT, field, `${field} is shorter than ${rule.minLength} characters`));
+        }
+    }
+
+    const contacts = record[CONFIG.CONTACTS.field];
+    if (Array.isArray(contacts)) {
+        contacts
+            .filter(contact => ['phone', 'email', 'whatsapp'].includes(contact.type) && !contact.value)
+            .forEach(contact => errors.push(createRecordError(
+                ERROR_CODES.CONTACT_NOT_NORMALIZED,
+                CONFIG.CONTACTS.field,
+                `${contact.type} "${contact.text || contact.link}" could not be normalized`
+            )));
+    }
+
+    return errors;
+}
+
+/**
+ * Build the quality report for a run
+ * @param {Array<Object>} records - Validated specialist records
+ * @returns {Object} Quality report
+ */
+export function buildQualityReport(records) {
+    const countsByCode = {};
+    const failingUrls = [];
+    const filledCounts = {};
+    const fields = Object.keys(CONFIG.FIELDS);
+
+    for (const record of records) {
+        const errors = record.errors || [];
+        if (errors.length > 0) {
+            failingUrls.push({ url: record.url, codes: [...new Set(errors.map(error => error.code))] });
+        }
+        for (const error of errors) {
+            countsByCode[error.code] = (countsByCode[error.code] || 0) + 1;
+        }
+        for (const field of fields) {
+            if (!isEmpty(record[field])) {
+                filledCounts[field] = (filledCounts[field] || 0) + 1;
+            }
+        }
+    }
+
+    const percent = count => (records.length === 0 ? 0 : Math.round((count / records.length) * 10000) / 100);
+    const validRecords = records.length - failingUrls.length;
+
+    return {
+        siteName: CONFIG.SITE.name,
+        generatedAt: new Date().toISOString(),
+        totalRecords: records.length,
+        validRecords,
+        invalidRecords: failingUrls.length,
+        qualityScore: percent(validRecords),
+        minQuality: CONFIG.VALIDATION.minQuality,
+        countsByCode,
+        fieldCompleteness: Object.fromEntries(fields.map(field => [field, percent(filledCounts[field] || 0)])),
+        failingUrls
+    };
+}
+
+/**
+ * Check a quality report against CONFIG.VALIDATION.minQuality
+ * @param {Object} report - Quality report
+ * @returns {boolean} True when there is no threshold or it is met
+ */
+export function meetsQualityThreshold(report) {
+    return report.minQuality === null || report.minQuality === undefined || report.qualityScore >= report.minQuality;
+}
+
+/**
+ * Write the quality report next to the output files and print a summary
+ * @param {Object} report - Quality report
+ * @returns {string} Report file path
+ */
+export function writeQualityReport(report) {
+    const filepath = path.join(getOutputDirectory(), CONFIG.OUTPUT.getFilename('quality.json'));
+    fs.writeFileSync(filepath, JSON.stringify(report, null, 2), 'utf8');
+
+    log.info(`Data quality: ${report.validRecords}/${report.totalRecords} records valid (${report.qualityScore}%)`, {
+        countsByCode: report.countsByCode,
+        fieldCompleteness: report.fieldCompleteness
+    });
+    log.info(`Quality report saved to: ${filepath}`);
+
+    return filepath;
+}
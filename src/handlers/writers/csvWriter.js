@@ -0,0 +1,81 @@
+/**
+ * CSV writer: one row per specialist with contact entries flattened into
+ * numbered columns per contact type (contact_phone_1, contact_email_1, ...)
+ */
+
+import { CONFIG } from '../../config/config.js';
+
+/**
+ * Quote a value for CSV when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+export function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text;
+    if (Array.isArray(value)) {
+        text = value.map(item => (typeof item === 'object' ? JSON.stringify(item) : String(item))).join('; ');
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Group a record's contacts by type
+ * @param {Array<Object>} contacts - Normalized contact entries
+ * @returns {Object} Map of type to list of values
+ */
+function groupContacts(contacts) {
+    const groups = {};
+    for (const contact of contacts || []) {
+        const type = contact.type || 'other';
+        (groups[type] = groups[type] || []).push(contact.value || contact.link || contact.text);
+    }
+    return groups;
+}
+
+export const csvWriter = {
+    extension: 'csv',
+
+    /**
+     * @param {Object} envelope - Output envelope; only the specialists are written
+     * @returns {string} CSV document with a header row
+     */
+    serialize(envelope) {
+        const contactField = CONFIG.CONTACTS.field;
+        const records = envelope.specialists;
+
+        const fieldColumns = [];
+        const contactCounts = {};
+
+        for (const record of records) {
+            for (const key of Object.keys(record)) {
+                if (key !== contactField && !fieldColumns.includes(key)) {
+                    fieldColumns.push(key);
+                }
+            }
+            for (const [type, values] of Object.entries(groupContacts(record[contactField]))) {
+                contactCounts[type] = Math.max(contactCounts[type] || 0, values.length);
+            }
+        }
+
+        const contactColumns = Object.keys(contactCounts).sort().flatMap(type =>
+            Array.from({ length: contactCounts[type] }, (_, index) => ({ type, index, name: `contact_${type}_${index + 1}` })));
+
+        const header = [...fieldColumns, ...contactColumns.map(column => column.name)];
+        const rows = records.map(record => {
+            const contacts = groupContacts(record[contactField]);
+            return [
+                ...fieldColumns.map(column => record[column]),
+                ...contactColumns.map(column => (contacts[column.type] || [])[column.index])
+            ].map(toCsvCell).join(',');
+        });
+
+        return [header.map(toCsvCell).join(','), ...rows].join('\r\n') + '\r\n';
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * JSON writer: one pretty-printed document with the full envelope
+ */
+
+export const jsonWriter = {
+    extension: 'json',
+
+    /**
+     * @param {Object} envelope - { siteName, extractedDate, totalRecords, specialists, metadata }
+     * @returns {string} JSON document
+     */
+    serialize(envelope) {
+        return JSON.stringify(envelope, null, 2);
+    }
+};
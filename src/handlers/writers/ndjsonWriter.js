@@ -0,0 +1,15 @@
+/**
+ * NDJSON writer: one specialist record per line for streaming ingestion
+ */
+
+export const ndjsonWriter = {
+    extension: 'ndjson',
+
+    /**
+     * @param {Object} envelope - Output envelope; only the specialists are written
+     * @returns {string} Newline delimited JSON
+     */
+    serialize(envelope) {
+        return envelope.specialists.map(record => JSON.stringify(record)).join('\n') + '\n';
+    }
+};
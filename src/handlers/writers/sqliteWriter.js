@@ -0,0 +1,115 @@
+/**
+ * SQLite writer: a database file with specialists, contacts and metadata tables
+ *
+ * Every extracted field gets its own column on `specialists` (lists and
+ * objects are stored as JSON text); contact entries go to `contacts`. The
+ * generated key is `_rowid`, so a field named `id` keeps its own column.
+ */
+
+import initSqlJs from 'sql.js';
+import { CONFIG } from '../../config/config.js';
+
+/**
+ * Quote an SQL identifier
+ * @param {string} name - Column or table name
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Convert a record value to something SQLite can store
+ * @param {*} value - Record value
+ * @returns {string|number|null} SQLite value
+ */
+function toSqlValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+}
+
+export const sqliteWriter = {
+    extension: 'sqlite',
+
+    /**
+     * @param {Object} envelope - Output envelope
+     * @returns {Promise<Uint8Array>} SQLite database file contents
+     */
+    async serialize(envelope) {
+        const SQL = await initSqlJs();
+        const db = new SQL.Database();
+        const contactField = CONFIG.CONTACTS.field;
+
+        try {
+            const columns = [];
+            for (const record of envelope.specialists) {
+                for (const key of Object.keys(record)) {
+                    if (key !== contactField && !columns.includes(key)) {
+                        columns.push(key);
+                    }
+                }
+            }
+
+            const columnDefinitions = columns
+                .filter(column => column !== 'url')
+                .map(column => `${quoteIdentifier(column)} TEXT`);
+
+            db.run(`CREATE TABLE specialists (
+                _rowid INTEGER PRIMARY KEY,
+                url TEXT NOT NULL${columnDefinitions.map(definition => `,\n                ${definition}`).join('')}
+            )`);
+            db.run(`CREATE TABLE contacts (
+                id INTEGER PRIMARY KEY,
+                specialist_id INTEGER NOT NULL REFERENCES specialists(_rowid),
+                type TEXT,
+                value TEXT,
+                text TEXT,
+                link TEXT
+            )`);
+            db.run('CREATE INDEX contacts_specialist_id ON contacts (specialist_id)');
+            db.run('CREATE TABLE metadata (key TEXT PRIMARY KEY, value TEXT)');
+
+            const insertColumns = ['url', ...columns.filter(column => column !== 'url')];
+            const insertSpecialist = db.prepare(
+                `INSERT INTO specialists (${insertColumns.map(quoteIdentifier).join(', ')})
+                 VALUES (${insertColumns.map(() => '?').join(', ')})`
+            );
+            const insertContact = db.prepare(
+                'INSERT INTO contacts (specialist_id, type, value, text, link) VALUES (?, ?, ?, ?, ?)'
+            );
+
+            db.run('BEGIN');
+            for (const record of envelope.specialists) {
+                insertSpecialist.run(insertColumns.map(column => toSqlValue(record[column])));
+                const [[specialistId]] = db.exec('SELECT last_insert_rowid()')[0].values;
+
+                for (const contact of record[contactField] || []) {
+                    insertContact.run([
+                        specialistId,
+                        toSqlValue(contact.type),
+                        toSqlValue(contact.value),
+                        toSqlValue(contact.text),
+                        toSqlValue(contact.link)
+                    ]);
+                }
+            }
+
+            const { specialists, metadata, ...summary } = envelope;
+            const insertMetadata = db.prepare('INSERT INTO metadata (key, value) VALUES (?, ?)');
+            for (const [key, value] of Object.entries({ ...summary, ...metadata })) {
+                insertMetadata.run([key, toSqlValue(value)]);
+            }
+            db.run('COMMIT');
+
+            insertSpecialist.free();
+            insertContact.free();
+            insertMetadata.free();
+
+            return db.export();
+        } finally {
+            db.close();
+        }
+    }
+};
@@ -1,116 +1,3 @@
-import { PlaywrightCrawler } from 'crawlee';
-import { CONFIG } from './config/config.js';
-import { extractSpecialistData } from './handlers/dataExtractor.js';
-import { saveDataToFile, createBackupIfExists } from './handlers/fileHandler.js';
-import { handlePagination, handleInitialPagination } from './handlers/paginationHandler.js';
-import { shouldCrawlUrl } from './utils/helpers.js';
+import { runCli } from './cli/cli.js';
 
-// Array to store all extracted data
-let extractedData = [];
-
-// Create backup of existing file if needed
-createBackupIfExists(CONFIG.OUTPUT.getFilename());
-
-const crawler = new PlaywrightCrawler({
-    requestHandler: async ({ page, request, enqueueLinks }) => {
-        console.log(`Processing: ${request.url}`);
-        
-        // Temporarily disable URL filtering for debugging
-        // if (!shouldCrawlUrl(request.url, CONFIG.SITE)) {
-        //     console.log(`Skipping URL outside allowed patterns: ${request.url}`);
-        //     return;
-        // }
-        
-        if (request.label === CONFIG.CRAWLER.labels.DETAIL) {
-            // Extract specialist data from detail page
-            const specialistData = await extractSpecialistData(page, request.url);
-            extractedData.push(specialistData);
-            
-        } else if (request.label === CONFIG.CRAWLER.labels.SPECIALISTS_LIST) {
-            // We are on a specialists listing page (page 2, 3, etc.)
-            console.log(`Processing specialists listing page: ${request.url}`);
-            
-            // Wait for the specialists content to load
-            await page.waitForSelector(CONFIG.SELECTORS.specialistLinks, { timeout: CONFIG.CRAWLER.timeout });
-            
-            // Enqueue all specialist profile links (debugging - no filtering)
-            await enqueueLinks({
-                selector: CONFIG.SELECTORS.specialistLinks,
-                label: CONFIG.CRAWLER.labels.DETAIL,
-                // transformRequestFunction: (req) => {
-                //     // Filter URLs before adding to queue
-                //     if (!shouldCrawlUrl(req.url, CONFIG.SITE)) {
-                //         console.log(`Filtered out URL: ${req.url}`);
-                //         return false; // Don't add to queue
-                //     }
-                //     return req;
-                // }
-            });
-            
-            // Handle pagination to next page
-            await handlePagination(page, request.url, enqueueLinks);
-            
-        } else {
-            // This is the initial page load
-            console.log('Starting on specialists page');
-            console.log(`Looking for selector: ${CONFIG.SELECTORS.specialistLinks}`);
-            
-            try {
-                // Wait for the specialists content to load
-                await page.waitForSelector(CONFIG.SELECTORS.specialistLinks, { timeout: CONFIG.CRAWLER.timeout });
-                console.log('✅ Specialist links selector found!');
-            } catch (error) {
-                console.log('❌ Specialist links selector NOT found. Trying to find what IS on the page...');
-                
-                // Debug: Check what's actually on the page
-                const pageContent = await page.evaluate(() => {
-                    return {
-                        title: document.title,
-                        url: window.location.href,
-                        bodyText: document.body ? document.body.innerText.substring(0, 500) : 'No body',
-                        linkCount: document.querySelectorAll('a').length,
-                        divCount: document.querySelectorAll('div').length
-                    };
-                });
-                console.log('Page content:', pageContent);
-                
-                // Try to find any links that might be specialist links
-                const allLinks = await page.evaluate(() => {
-                    const links = Array.from(document.querySelectorAll('a'));
-                    return links.slice(0, 10).map(link => ({
-                        text: link.textContent.trim(),
-                        href: link.href,
-                        className: link.className
-                    }));
-                });
-                console.log('First 10 links on page:', allLinks);
-                
-                throw error;
-            }
-            
-            // Enqueue all specialist profile links from the first page (debugging - no filtering)
-            await enqueueLinks({
-                selector: CONFIG.SELECTORS.specialistLinks,
-                label: CONFIG.CRAWLER.labels.DETAIL,
-                // transformRequestFunction: (req) => {
-                //     // Filter URLs before adding to queue
-                //     if (!shouldCrawlUrl(req.url, CONFIG.SITE)) {
-                //         console.log(`Filtered out URL: ${req.url}`);
-                //         return false; // Don't add to queue
-                //     }
-                //     return req;
-                // }
-            });
-            
-            // Handle pagination for the first page
-            await handleInitialPagination(page, enqueueLinks);
-        }
-    },
-    maxRequestsPerCrawl: CONFIG.CRAWLER.maxRequestsPerCrawl,
-    headless: CONFIG.CRAWLER.headless,
-});
-
-await crawler.run([CONFIG.SITE.startUrl]);
-
-// Save extracted data to JSON file
-await saveDataToFile(extractedData);
\ No newline at end of file
+process.exitCode = await runCli(process.argv.slice(2));
@@ -0,0 +1,69 @@
+/**
+ * Persisted scheduler state per profile
+ *
+ * Records the last schedule slot that was handled, used to catch up on runs
+ * missed while the scheduler was down, and the history of scheduled runs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Scheduled runs kept in the history of each profile
+export const HISTORY_SIZE = 100;
+
+/**
+ * Directory holding the scheduler state (inside the Crawlee storage directory)
+ * @returns {string} Absolute directory
+ */
+export function getScheduleDirectory() {
+    const storageDir = process.env.CRAWLEE_STORAGE_DIR || './storage';
+    return path.resolve(process.cwd(), storageDir, 'schedule');
+}
+
+/**
+ * Path of the state file of a profile
+ * @param {string} profileId - Profile id
+ * @returns {string} State file path
+ */
+function getStatePath(profileId) {
+    return path.join(getScheduleDirectory(), `${profileId}.json`);
+}
+
+/**
+ * Load the scheduler state of a profile
+ * @param {string} profileId - Profile id
+ * @returns {Object} { profileId, cron, lastScheduledAt, history }
+ */
+export function loadScheduleState(profileId) {
+    const filepath = getStatePath(profileId);
+    if (!fs.existsSync(filepath)) {
+        return { profileId, cron: null, lastScheduledAt: null, history: [] };
+    }
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+}
+
+/**
+ * Persist the scheduler state of a profile
+ * Written to a temporary file first so a crash never leaves a truncated file.
+ * @param {Object} state - State from loadScheduleState
+ */
+export function saveScheduleState(state) {
+    const filepath = getStatePath(state.profileId);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+
+    state.history = state.history.slice(-HISTORY_SIZE);
+    fs.writeFileSync(`${filepath}.tmp`, JSON.stringify(state, null, 2), 'utf8');
+    fs.renameSync(`${filepath}.tmp`, filepath);
+}
+
+/**
+ * Add an entry to the run history and persist the state
+ * @param {Object} state - State from loadScheduleState
+ * @param {Object} entry - { scheduledFor, status, ... }
+ * @returns {Object} The entry, which can be updated and saved again later
+ */
+export function addHistoryEntry(state, entry) {
+    state.history.push(entry);
+    saveScheduleState(state);
+    return entry;
+}
@@ -0,0 +1,276 @@
+/**
+ * Long-running scheduler
+ *
+ * Crawls every scheduled profile when its SCHEDULE.cron expression matches.
+ * Crawls share the global CONFIG, so they run one at a time in the order they
+ * came due; a slot that comes due while the previous run of the same profile
+ * is still queued or running is skipped. Each slot is recorded in the
+ * profile's run history. When the scheduler starts after missing slots (e.g.
+ * the machine was down) and SCHEDULE.catchUp is set, the profile is crawled
+ * once straight away.
+ */
+
+import { crawlProfile } from '../crawler.js';
+import { buildProfileConfig } from '../config/profileLoader.js';
+import { RunLockError } from '../handlers/runLock.js';
+import { parseCron, getNextCronTime } from '../utils/cron.js';
+import { createLogger } from '../utils/logger.js';
+import { loadScheduleState, saveScheduleState, addHistoryEntry } from './scheduleState.js';
+
+const log = createLogger('scheduler');
+
+export const SCHEDULED_RUN_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    SKIPPED: 'skipped',
+    INTERRUPTED: 'interrupted'
+};
+
+// Timers never wait longer than this, so clock changes are noticed
+const MAX_TIMER_MS = 60 * 1000;
+
+/**
+ * Resolve the schedule of a profile
+ * @param {Object} profile - Validated site profile
+ * @param {Object} overrides - CONFIG values overriding the profile
+ * @returns {Object|null} { cron: parsed expression, catchUp }, or null when the profile is not scheduled
+ */
+export function getProfileSchedule(profile, overrides = {}) {
+    const { SCHEDULE } = buildProfileConfig(profile, overrides);
+    return SCHEDULE.cron ? { cron: parseCron(SCHEDULE.cron), catchUp: SCHEDULE.catchUp } : null;
+}
+
+/**
+ * Count the slots missed since the last handled one
+ * @param {Object} cron - Parsed expression
+ * @param {Date} last - Last handled slot
+ * @param {Date} now - Current time
+ * @returns {Object} { count, latest: most recent missed slot }
+ */
+function findMissedSlots(cron, last, now) {
+    const missed = { count: 0, latest: null };
+    for (let slot = getNextCronTime(cron, last); slot && slot <= now; slot = getNextCronTime(cron, slot)) {
+        missed.count++;
+        missed.latest = slot;
+    }
+    return missed;
+}
+
+/**
+ * Create the scheduler
+ * @param {Object} options - { schedules: [{ profile, cron, catchUp }] (see getProfileSchedule), overrides,
+ *   crawl: crawl function, crawlProfile() by default, now: clock (both replaced in tests) }
+ * @returns {Object} { start(), stop(), tick(), idle(), getStatus() }
+ */
+export function createScheduler({ schedules, overrides = {}, crawl = crawlProfile, now = () => new Date() }) {
+    const entries = schedules.map(({ profile, cron, catchUp }) => ({
+        profile,
+        cron,
+        catchUp,
+        state: loadScheduleState(profile.id),
+        nextAt: null
+    }));
+    const pending = [];
+    let active = null;
+    let controller = null;
+    let timer = null;
+    let stopped = true;
+    let idleWaiters = [];
+
+    const isBusy = entry => active?.entry === entry || pending.some(item => item.entry === entry);
+
+    const notifyIdle = () => {
+        if (!active && pending.length === 0) {
+            idleWaiters.forEach(resolve => resolve());
+            idleWaiters = [];
+        }
+    };
+
+    const runNext = async () => {
+        if (active || pending.length === 0 || stopped) {
+            notifyIdle();
+            return;
+        }
+
+        const item = pending.shift();
+        const { entry, record } = item;
+        active = item;
+        controller = new AbortController();
+        Object.assign(record, { status: SCHEDULED_RUN_STATUS.RUNNING, startedAt: now().toISOString() });
+        saveScheduleState(entry.state);
+        log.info(`Starting the ${record.catchUp ? 'catch-up' : 'scheduled'} run of "${entry.profile.id}"`, { scheduledFor: record.scheduledFor });
+
+        try {
+            const result = await crawl(entry.profile, overrides, {
+                signal: controller.signal,
+                onProgress: ({ runId }) => { record.runId = runId; }
+            });
+            Object.assign(record, {
+                status: SCHEDULED_RUN_STATUS.COMPLETED,
+                records: result.qualityReport.totalRecords,
+                qualityScore: result.qualityReport.qualityScore
+            });
+        } catch (error) {
+            if (error instanceof RunLockError) {
+                record.status = SCHEDULED_RUN_STATUS.SKIPPED;
+                log.warn(`Skipped the scheduled run of "${entry.profile.id}": ${error.message}`);
+            } else if (controller.signal.aborted) {
+                record.status = SCHEDULED_RUN_STATUS.CANCELLED;
+            } else {
+                record.status = SCHEDULED_RUN_STATUS.FAILED;
+                log.error(`Scheduled run of "${entry.profile.id}" failed`, { error });
+            }
+            record.error = error.message;
+        } finally {
+            record.finishedAt = now().toISOString();
+            saveScheduleState(entry.state);
+            log.info(`Scheduled run of "${entry.profile.id}": ${record.status}`, { runId: record.runId });
+            active = null;
+            controller = null;
+            runNext();
+        }
+    };
+
+    /**
+     * Queue a run for a slot, or record it as skipped when the profile is busy
+     * @param {Object} entry - Scheduled profile
+     * @param {Date} slot - Slot the run is for
+     * @param {boolean} catchUp - True for a run catching up on missed slots
+     */
+    const enqueue = (entry, slot, catchUp = false) => {
+        entry.state.lastScheduledAt = slot.toISOString();
+        const record = {
+            scheduledFor: slot.toISOString(),
+            status: SCHEDULED_RUN_STATUS.QUEUED,
+            catchUp,
+            runId: null,
+            startedAt: null,
+            finishedAt: null,
+            records: null,
+            qualityScore: null,
+            error: null
+        };
+
+        if (isBusy(entry)) {
+            Object.assign(record, {
+                status: SCHEDULED_RUN_STATUS.SKIPPED,
+                finishedAt: now().toISOString(),
+                error: 'The previous run of this profile has not finished'
+            });
+            addHistoryEntry(entry.state, record);
+            log.warn(`Skipped the ${slot.toISOString()} run of "${entry.profile.id}": the previous run has not finished`);
+            return;
+        }
+
+        addHistoryEntry(entry.state, record);
+        pending.push({ entry, record });
+        runNext();
+    };
+
+    const arm = () => {
+        clearTimeout(timer);
+        const next = Math.min(...entries.map(entry => entry.nextAt?.getTime() ?? Infinity));
+        if (stopped || next === Infinity) {
+            return;
+        }
+        timer = setTimeout(tick, Math.max(0, Math.min(next - now().getTime(), MAX_TIMER_MS)));
+    };
+
+    /**
+     * Queue the runs whose slot has come and re-arm the timer
+     * Called by the timer; a missed timer only delays the runs.
+     */
+    function tick() {
+        const current = now();
+        for (const entry of entries) {
+            if (entry.nextAt && entry.nextAt <= current) {
+                enqueue(entry, entry.nextAt);
+                entry.nextAt = getNextCronTime(entry.cron, current);
+            }
+        }
+        arm();
+    }
+
+    /**
+     * Start scheduling
+     * Runs left unfinished by a previous scheduler are marked interrupted (their
+     * checkpoint can be resumed), then missed slots are caught up on.
+     */
+    const start = () => {
+        stopped = false;
+        const current = now();
+
+        for (const entry of entries) {
+            const { state, cron, profile } = entry;
+            for (const record of state.history) {
+                if ([SCHEDULED_RUN_STATUS.QUEUED, SCHEDULED_RUN_STATUS.RUNNING].includes(record.status)) {
+                    record.status = SCHEDULED_RUN_STATUS.INTERRUPTED;
+                }
+            }
+            state.cron = cron.expression;
+            saveScheduleState(state);
+
+            if (state.lastScheduledAt) {
+                const missed = findMissedSlots(cron, new Date(state.lastScheduledAt), current);
+                if (missed.count > 0 && entry.catchUp) {
+                    log.info(`"${profile.id}" missed ${missed.count} scheduled run(s) - catching up once`, { lastScheduledAt: state.lastScheduledAt });
+                    enqueue(entry, missed.latest, true);
+                } else if (missed.count > 0) {
+                    log.info(`"${profile.id}" missed ${missed.count} scheduled run(s); catch-up is disabled`);
+                    state.lastScheduledAt = missed.latest.toISOString();
+                    saveScheduleState(state);
+                }
+            }
+
+            entry.nextAt = getNextCronTime(cron, current);
+            log.info(`"${profile.id}" scheduled (${cron.expression}), next run ${entry.nextAt?.toISOString() ?? 'never'}`);
+        }
+
+        arm();
+    };
+
+    /**
+     * Stop scheduling
+     * Queued runs are dropped and the running crawl is cancelled (it stays
+     * resumable); resolves once it has stopped.
+     * @returns {Promise<void>}
+     */
+    const stop = () => {
+        stopped = true;
+        clearTimeout(timer);
+        for (const { entry, record } of pending.splice(0)) {
+            Object.assign(record, { status: SCHEDULED_RUN_STATUS.CANCELLED, finishedAt: now().toISOString() });
+            saveScheduleState(entry.state);
+        }
+        controller?.abort();
+        return idle();
+    };
+
+    /**
+     * Wait until no run is queued or running
+     * @returns {Promise<void>}
+     */
+    function idle() {
+        return new Promise((resolve) => {
+            idleWaiters.push(resolve);
+            notifyIdle();
+        });
+    }
+
+    /**
+     * Current schedule of every profile
+     * @returns {Array<Object>} [{ profileId, cron, nextAt, running, lastRun }]
+     */
+    const getStatus = () => entries.map(entry => ({
+        profileId: entry.profile.id,
+        cron: entry.cron.expression,
+        nextAt: entry.nextAt?.toISOString() ?? null,
+        running: active?.entry === entry,
+        lastRun: entry.state.history.at(-1) ?? null
+    }));
+
+    return { start, stop, tick, idle, getStatus };
+}
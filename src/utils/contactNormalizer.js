@@ -0,0 +1,210 @@
+/**
+ * Contact entry classification and normalization
+ *
+ * Turns raw { text, link } contact entries into typed entries:
+ * { type, value, text, link } where type is one of CONTACT_TYPES.
+ */
+
+export const CONTACT_TYPES = ['phone', 'email', 'whatsapp', 'address', 'booking', 'website', 'other'];
+
+/**
+ * Calling codes for supported default countries
+ * trunkPrefix is dropped from national numbers; nationalLengths (when known)
+ * is used to recognise numbers written with the country code but without '+'.
+ */
+export const COUNTRY_CALLING_CODES = {
+    SG: { code: '65', trunkPrefix: '', nationalLengths: [8] },
+    MY: { code: '60', trunkPrefix: '0', nationalLengths: [9, 10] },
+    ID: { code: '62', trunkPrefix: '0', nationalLengths: [9, 10, 11, 12] },
+    HK: { code: '852', trunkPrefix: '', nationalLengths: [8] },
+    TH: { code: '66', trunkPrefix: '0', nationalLengths: [8, 9] },
+    PH: { code: '63', trunkPrefix: '0', nationalLengths: [9, 10] },
+    VN: { code: '84', trunkPrefix: '0', nationalLengths: [9, 10] },
+    IN: { code: '91', trunkPrefix: '0', nationalLengths: [10] },
+    AU: { code: '61', trunkPrefix: '0', nationalLengths: [9] },
+    GB: { code: '44', trunkPrefix: '0', nationalLengths: [10] },
+    US: { code: '1', trunkPrefix: '', nationalLengths: [10] }
+};
+
+const PHONE_PATTERN = /\+?(?:\d|\(\d{1,4}\))(?:[\d\s.-]|\(\d{1,4}\))*\d/;
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
+const BOOKING_PATTERN = /\b(book|bookings?|appointments?|schedule)\b/i;
+const MAP_HOSTS = /(^|\.)(maps\.google\.[a-z.]+|maps\.app\.goo\.gl|maps\.apple\.com|waze\.com)$/i;
+const POSTAL_ADDRESS_PATTERN = /\b(singapore|malaysia)\s+\d{5,6}\b|#\d{1,3}-\d{1,4}/i;
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} input - Phone number as written (may contain spaces, dashes, parentheses)
+ * @param {string} defaultCountry - ISO country code used for numbers without a country code
+ * @returns {string|null} E.164 number (e.g. +6561234567) or null if it cannot be normalized
+ */
+export function normalizePhoneNumber(input, defaultCountry = 'SG') {
+    if (!input) return null;
+
+    const match = String(input).match(PHONE_PATTERN);
+    if (!match) return null;
+
+    const written = match[0].trim();
+    let digits = written.replace(/\D/g, '');
+
+    if (written.startsWith('+')) {
+        // Already international; drop a "(0)" trunk marker such as +44 (0)20 ...
+        digits = written.replace(/\(0\)/g, '').replace(/\D/g, '');
+    } else if (digits.startsWith('00')) {
+        digits = digits.slice(2);
+    } else {
+        const country = COUNTRY_CALLING_CODES[defaultCountry];
+        if (!country) return null;
+
+        const includesCode = digits.startsWith(country.code)
+            && country.nationalLengths.includes(digits.length - country.code.length);
+
+        if (!includesCode) {
+            if (country.trunkPrefix && digits.startsWith(country.trunkPrefix)) {
+                digits = digits.slice(country.trunkPrefix.length);
+            }
+            if (!country.nationalLengths.includes(digits.length)) {
+                return null;
+            }
+            digits = country.code + digits;
+        }
+    }
+
+    // E.164 allows at most 15 digits; anything under 8 is not a full number
+    if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) {
+        return null;
+    }
+
+    return `+${digits}`;
+}
+
+/**
+ * Normalize an email address
+ * @param {string} input - Email address or text containing one
+ * @returns {string|null} Lowercased address or null
+ */
+export function normalizeEmail(input) {
+    if (!input) return null;
+    const match = String(input).match(EMAIL_PATTERN);
+    return match ? match[0].toLowerCase() : null;
+}
+
+/**
+ * Parse a link into a URL object, tolerating missing or invalid links
+ * @param {string} link - Link href
+ * @returns {URL|null} Parsed URL
+ */
+function parseLink(link) {
+    try {
+        return link ? new URL(link) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Decode the path of a tel: or mailto: link, tolerating malformed escapes
+ * @param {URL} url - Parsed link
+ * @returns {string} Decoded path, or the raw path when it cannot be decoded
+ */
+function decodeLinkPath(url) {
+    try {
+        return decodeURIComponent(url.pathname);
+    } catch {
+        return url.pathname;
+    }
+}
+
+/**
+ * Classify a contact entry and compute its normalized value
+ * @param {Object} contact - Raw contact entry { text, link }
+ * @param {string} defaultCountry - ISO country code for phone numbers
+ * @returns {Object} { type, value, text, link }
+ */
+export function classifyContact(contact, defaultCountry = 'SG') {
+    const text = (contact.text || '').trim();
+    const link = contact.link || '';
+    const url = parseLink(link);
+    const scheme = url ? url.protocol : '';
+    const host = url ? url.hostname.toLowerCase() : '';
+    const entry = { type: 'other', value: null, text, link };
+
+    if (scheme === 'tel:') {
+        entry.type = 'phone';
+        entry.value = normalizePhoneNumber(decodeLinkPath(url), defaultCountry)
+            || normalizePhoneNumber(text, defaultCountry);
+    } else if (scheme === 'mailto:') {
+        entry.type = 'email';
+        entry.value = normalizeEmail(decodeLinkPath(url)) || normalizeEmail(text);
+    } else if (scheme === 'whatsapp:' || host === 'wa.me' || host.endsWith('whatsapp.com')) {
+        entry.type = 'whatsapp';
+        const number = host === 'wa.me' ? url.pathname.slice(1) : url.searchParams.get('phone');
+        entry.value = normalizePhoneNumber(number ? `+${number.replace(/^\+/, '')}` : text, defaultCountry);
+    } else if (MAP_HOSTS.test(host) || (/(^|\.)google\.[a-z.]+$/.test(host) && url.pathname.startsWith('/maps'))
+        || (host === 'goo.gl' && url.pathname.startsWith('/maps'))) {
+        entry.type = 'address';
+        entry.value = text || null;
+    } else if (BOOKING_PATTERN.test(text) || BOOKING_PATTERN.test(url ? url.pathname.replace(/[-_/]/g, ' ') : '')) {
+        entry.type = 'booking';
+        entry.value = link || null;
+    } else if (!url && normalizeEmail(text)) {
+        entry.type = 'email';
+        entry.value = normalizeEmail(text);
+    } else if (!url && POSTAL_ADDRESS_PATTERN.test(text)) {
+        entry.type = 'address';
+        entry.value = text;
+    } else if (!url && normalizePhoneNumber(text, defaultCountry)) {
+        entry.type = 'phone';
+        entry.value = normalizePhoneNumber(text, defaultCountry);
+    } else if (scheme === 'http:' || scheme === 'https:') {
+        entry.type = 'website';
+        entry.value = link;
+    }
+
+    return entry;
+}
+
+/**
+ * Identity of a normalized contact entry: its type and value (or link / text
+ * when it has no value)
+ * @param {Object} entry - Normalized contact entry
+ * @returns {string} Key, e.g. "phone:+6567372666"
+ */
+export function getContactKey(entry) {
+    return `${entry.type}:${entry.value || entry.link || (entry.text || '').toLowerCase()}`;
+}
+
+/**
+ * Combine lists of normalized contact entries
+ * Entries with the same type and value are collapsed, keeping the first and
+ * filling in text/link from later duplicates when missing.
+ * @param {...Array<Object>} lists - Normalized contact entries
+ * @returns {Array<Object>} Combined entries
+ */
+export function mergeContacts(...lists) {
+    const byKey = new Map();
+
+    for (const entry of lists.flat()) {
+        const key = getContactKey(entry);
+        const existing = byKey.get(key);
+
+        if (!existing) {
+            byKey.set(key, { ...entry });
+        } else {
+            existing.text = existing.text || entry.text;
+            existing.link = existing.link || entry.link;
+        }
+    }
+
+    return [...byKey.values()];
+}
+
+/**
+ * Classify, normalize and deduplicate the contact entries of one specialist
+ * @param {Array<Object>} contacts - Raw contact entries { text, link }
+ * @param {Object} options - { defaultCountry }
+ * @returns {Array<Object>} Normalized contact entries
+ */
+export function normalizeContacts(contacts, { defaultCountry = 'SG' } = {}) {
+    return mergeContacts((contacts || []).map(contact => classifyContact(contact, defaultCountry)));
+}
@@ -0,0 +1,171 @@
+/**
+ * Cron expressions for scheduled crawls
+ *
+ * Standard five fields - minute, hour, day of month, month, day of week - with
+ * `*`, lists (`1,15`), ranges (`1-5`), steps (`*\/15`, `0-30/10`), month and
+ * weekday names (`jan`, `mon-fri`) and the macros @hourly, @daily, @weekly,
+ * @monthly and @yearly. As in cron, when both day fields are restricted a day
+ * matching either one matches. Times are in the local time zone (set TZ).
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+// Give up looking for the next run after this many years (e.g. "0 0 30 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse a field value: a number or a month / weekday name
+ * @param {string} text - Value
+ * @param {Object} field - Field definition
+ * @returns {number} Value
+ */
+function parseValue(text, field) {
+    const nameIndex = field.names?.indexOf(text.toLowerCase()) ?? -1;
+    const value = nameIndex >= 0 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(text);
+    if (!/^\w+$/.test(text) || !Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new Error(`invalid ${field.name} "${text}" (${field.min}-${field.max})`);
+    }
+    return value;
+}
+
+/**
+ * Parse one field into the set of values it matches
+ * @param {string} text - Field text, e.g. "*\/15" or "1-5,10"
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} Matching values
+ */
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText, extra] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+            throw new Error(`invalid step in ${field.name} "${part}"`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            [start, end] = [field.min, field.max];
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(value => parseValue(value, field));
+            if (start > end) {
+                throw new Error(`invalid range in ${field.name} "${range}"`);
+            }
+        } else {
+            start = parseValue(range, field);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression or macro
+ * @returns {Object} { expression, minutes, hours, days, months, weekdays, anyDay, anyWeekday }
+ * @throws {Error} When the expression is invalid
+ */
+export function parseCron(expression) {
+    const text = MACROS[expression.trim().toLowerCase()] ?? expression.trim();
+    const parts = text.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields`);
+    }
+
+    let sets;
+    try {
+        sets = parts.map((part, index) => parseField(part, FIELDS[index]));
+    } catch (error) {
+        throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = sets;
+    // 7 is another name for Sunday
+    if (weekdays.delete(7)) {
+        weekdays.add(0);
+    }
+
+    return {
+        expression,
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // Like cron, a day field starting with * (e.g. */2) counts as unrestricted
+        anyDay: parts[2].startsWith('*'),
+        anyWeekday: parts[4].startsWith('*')
+    };
+}
+
+/**
+ * Check whether a date's day matches the day-of-month and day-of-week fields
+ * @param {Object} cron - Parsed expression
+ * @param {Date} date - Date
+ * @returns {boolean} True when the day matches
+ */
+function matchesDay(cron, date) {
+    const dayMatches = cron.days.has(date.getDate());
+    const weekdayMatches = cron.weekdays.has(date.getDay());
+    if (cron.anyDay || cron.anyWeekday) {
+        return dayMatches && weekdayMatches;
+    }
+    return dayMatches || weekdayMatches;
+}
+
+/**
+ * Find the next time a cron expression matches, strictly after a date
+ * @param {string|Object} cron - Cron expression, or one parsed by parseCron()
+ * @param {Date} after - Start of the search
+ * @returns {Date|null} Next matching minute, or null when there is none within a few years
+ */
+export function getNextCronTime(cron, after = new Date()) {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = new Date(date);
+    limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+    // Skip whole months, days and hours that cannot match
+    while (date < limit) {
+        if (!parsed.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!matchesDay(parsed, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!parsed.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!parsed.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
@@ -51,48 +51,141 @@ export function isValidUrl(url) {
     }
 }
 
+// Compiled URL rules, keyed by the rule itself (profiles reuse the same arrays)
+const compiledRules = new Map();
+
+/**
+ * Convert a glob to a regular expression source
+ * `**` matches anything, `*` anything except "/", and a trailing "/**"
+ * also matches the bare parent path.
+ * @param {string} glob - Glob pattern
+ * @returns {string} Regular expression source (unanchored)
+ */
+function globToRegexSource(glob) {
+    return glob
+        .split(/(\/\*\*$|\*\*|\*)/)
+        .map(part => {
+            if (part === '/**') return '(?:/.*)?';
+            if (part === '**') return '.*';
+            if (part === '*') return '[^/]*';
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+}
+
+/**
+ * Remove the trailing slash of a URL path (the root path "/" is kept)
+ * @param {string} path - URL or path
+ * @returns {string} Path without trailing slash
+ */
+export function stripTrailingSlash(path) {
+    return path.length > 1 && path.endsWith('/') && !path.endsWith('://') ? path.replace(/\/+$/, '') || '/' : path;
+}
+
+/**
+ * Compile a URL rule into a matcher function
+ *
+ * Rule forms:
+ * - RegExp, or a string prefixed with "re:" - tested against the full URL
+ * - glob - `**` matches anything, `*` a single path segment; a glob starting
+ *   with "/" is matched against the path only, otherwise against origin + path.
+ *   Trailing slashes are ignored on both sides.
+ * - glob with a query part - "glob?key=value&other&!absent": every listed
+ *   parameter must be present (with a value matching the glob, if given), and
+ *   parameters prefixed with "!" must be absent. Without a query part the
+ *   query string of the URL is ignored.
+ *
+ * @param {string|RegExp} rule - URL rule
+ * @returns {Function} (url: string) => boolean
+ */
+export function compileUrlRule(rule) {
+    if (compiledRules.has(rule)) {
+        return compiledRules.get(rule);
+    }
+
+    let matcher;
+    if (rule instanceof RegExp || rule.startsWith('re:')) {
+        const regex = rule instanceof RegExp ? rule : new RegExp(rule.slice(3));
+        matcher = url => regex.test(url);
+    } else {
+        const queryIndex = rule.indexOf('?');
+        const pathGlob = queryIndex === -1 ? rule : rule.slice(0, queryIndex);
+        const queryRules = queryIndex === -1 ? [] : rule.slice(queryIndex + 1).split('&').filter(Boolean).map(part => {
+            const [key, value] = part.split(/=(.*)/s);
+            return key.startsWith('!')
+                ? { key: key.slice(1), absent: true }
+                : { key, value: value === undefined ? null : new RegExp(`^${globToRegexSource(value)}$`) };
+        });
+        const pathOnly = pathGlob.startsWith('/');
+        const pathRegex = new RegExp(`^${globToRegexSource(stripTrailingSlash(pathGlob))}$`);
+
+        matcher = url => {
+            const parsed = new URL(url);
+            const target = stripTrailingSlash(pathOnly ? parsed.pathname : parsed.origin + parsed.pathname);
+            return pathRegex.test(target) && queryRules.every(({ key, value, absent }) => {
+                const values = parsed.searchParams.getAll(key);
+                if (absent) return values.length === 0;
+                return values.length > 0 && (!value || values.some(v => value.test(v)));
+            });
+        };
+    }
+
+    compiledRules.set(rule, matcher);
+    return matcher;
+}
+
+/**
+ * Check if URL matches any of the given rules
+ * @param {string} url - URL to check
+ * @param {Array<string|RegExp>} patterns - URL rules (see compileUrlRule)
+ * @returns {boolean} True if any rule matches
+ */
+export function matchesAnyUrlRule(url, patterns) {
+    if (!isValidUrl(url) || !patterns || patterns.length === 0) {
+        return false;
+    }
+
+    return patterns.some(pattern => compileUrlRule(pattern)(url));
+}
+
 /**
  * Check if URL matches any of the allowed patterns
  * @param {string} url - URL to check
- * @param {Array<string>} allowedPatterns - Array of allowed URL patterns (supports wildcards)
+ * @param {Array<string|RegExp>} allowedPatterns - Allowed URL rules (see compileUrlRule)
  * @returns {boolean} True if URL is allowed
  */
 export function isUrlAllowed(url, allowedPatterns) {
-    if (!isValidUrl(url) || !allowedPatterns || allowedPatterns.length === 0) {
-        return false;
-    }
-    
-    return allowedPatterns.some(pattern => {
-        // Convert wildcard pattern to regex
-        const regexPattern = pattern
-            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&') // Escape special regex chars
-            .replace(/\\\\?\*/g, '.*'); // Convert * to .*
-        
-        const regex = new RegExp(`^${regexPattern}$`);
-        return regex.test(url)
-    });
+    return matchesAnyUrlRule(url, allowedPatterns);
 }
 
 /**
  * Check if URL matches any of the excluded patterns
  * @param {string} url - URL to check
- * @param {Array<string>} excludedPatterns - Array of excluded URL patterns (supports wildcards)
+ * @param {Array<string|RegExp>} excludedPatterns - Excluded URL rules (see compileUrlRule)
  * @returns {boolean} True if URL should be excluded
  */
 export function isUrlExcluded(url, excludedPatterns) {
-    if (!isValidUrl(url) || !excludedPatterns || excludedPatterns.length === 0) {
-        return false;
+    return matchesAnyUrlRule(url, excludedPatterns);
+}
+
+/**
+ * Get the reason a URL is filtered out, if any
+ * Excluded patterns win over allowed patterns; an empty allow list allows everything.
+ * @param {string} url - URL to validate
+ * @param {Object} config - Configuration object with allowedUrlPatterns and excludedUrlPatterns
+ * @returns {string|null} 'invalid', 'excluded', 'notAllowed', or null if the URL may be crawled
+ */
+export function getUrlFilterReason(url, config) {
+    if (!isValidUrl(url)) {
+        return 'invalid';
+    }
+    if (isUrlExcluded(url, config.excludedUrlPatterns)) {
+        return 'excluded';
     }
-    
-    return excludedPatterns.some(pattern => {
-        // Convert wildcard pattern to regex
-        const regexPattern = pattern
-            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&') // Escape special regex chars
-            .replace(/\\\\?\*/g, '.*'); // Convert * to .*
-        
-        const regex = new RegExp(`^${regexPattern}$`);
-        return regex.test(url);
-    });
+    if (config.allowedUrlPatterns?.length > 0 && !isUrlAllowed(url, config.allowedUrlPatterns)) {
+        return 'notAllowed';
+    }
+    return null;
 }
 
 /**
@@ -102,18 +195,5 @@ export function isUrlExcluded(url, excludedPatterns) {
  * @returns {boolean} True if URL should be crawled
  */
 export function shouldCrawlUrl(url, config) {
-    // Check if URL is excluded first
-    if (config.excludedUrlPatterns && isUrlExcluded(url, config.excludedUrlPatterns)) {
-        console.log(`URL excluded: ${url}`);
-        return false;
-    }
-    
-    // Check if URL is allowed
-    if (config.allowedUrlPatterns && !isUrlAllowed(url, config.allowedUrlPatterns)) {
-        console.log(`URL not in allowed patterns: ${url}`);
-        return false;
-    }
-    
-    console.log(`URL allowed: ${url}`);
-    return true;
+    return getUrlFilterReason(url, config) === null;
 }
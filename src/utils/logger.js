@@ -0,0 +1,127 @@
+/**
+ * Structured logger
+ *
+ * Levels: debug, info, warn, error (and silent). Output is either readable
+ * text or one JSON object per line (`--log-format json`) for log pipelines.
+ * Context set with withLogContext() - e.g. the URL, label and retry count of
+ * the request being handled - is attached to every line logged inside it, in
+ * any module.
+ *
+ * Command reports (help, validate-config results, diffs, ...) are program
+ * output, not logs, and are still printed directly by the CLI commands.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { log as crawleeLog, LoggerJson, LoggerText, LogLevel } from 'crawlee';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+export const LOG_FORMATS = ['text', 'json'];
+
+// Crawlee's own log follows the same level and format
+const CRAWLEE_LEVELS = {
+    debug: LogLevel.DEBUG,
+    info: LogLevel.INFO,
+    warn: LogLevel.WARNING,
+    error: LogLevel.ERROR,
+    silent: LogLevel.OFF
+};
+
+const settings = { level: 'info', format: 'text' };
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Set the log level and format for the process
+ * @param {Object} options - { level, format }; unset values keep the current setting
+ * @throws {Error} If the level or format is unknown
+ */
+export function configureLogger({ level = settings.level, format = settings.format } = {}) {
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Unknown log level "${level}" (available: ${LOG_LEVELS.join(', ')})`);
+    }
+    if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`Unknown log format "${format}" (available: ${LOG_FORMATS.join(', ')})`);
+    }
+
+    settings.level = level;
+    settings.format = format;
+    crawleeLog.setLevel(CRAWLEE_LEVELS[level]);
+    crawleeLog.setOptions({ logger: format === 'json' ? new LoggerJson() : new LoggerText() });
+}
+
+/**
+ * Run a function with extra context attached to every log line inside it
+ * @param {Object} context - Context fields, e.g. { url, label, retryCount }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function withLogContext(context, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+/**
+ * Make a field value serializable
+ * @param {*} value - Field value
+ * @returns {*} Errors become their message (plus stack at debug level)
+ */
+function serializeValue(value) {
+    if (value instanceof Error) {
+        return settings.level === 'debug' ? { message: value.message, stack: value.stack } : value.message;
+    }
+    return value;
+}
+
+/**
+ * Format a key=value pair for text output
+ * @param {string} key - Field name
+ * @param {*} value - Field value
+ * @returns {string} Formatted pair
+ */
+function formatPair(key, value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return `${key}=${/\s/.test(text) ? JSON.stringify(text) : text}`;
+}
+
+/**
+ * Write one log line
+ * @param {string} level - Log level
+ * @param {string|null} scope - Module scope
+ * @param {string} message - Log message
+ * @param {Object} fields - Extra structured fields
+ */
+function write(level, scope, message, fields = {}) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) {
+        return;
+    }
+
+    const data = {};
+    for (const [key, value] of Object.entries({ ...fields, ...contextStorage.getStore() })) {
+        if (value !== undefined) {
+            data[key] = serializeValue(value);
+        }
+    }
+
+    const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+
+    if (settings.format === 'json') {
+        stream.write(`${JSON.stringify({ time: new Date().toISOString(), level, scope, msg: message, ...data })}\n`);
+        return;
+    }
+
+    const time = new Date().toISOString().slice(11, 23);
+    const pairs = Object.entries(data).map(([key, value]) => formatPair(key, value)).join(' ');
+    stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${scope ? `[${scope}] ` : ''}${message}${pairs ? `  ${pairs}` : ''}\n`);
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} [scope] - Module name shown with every line
+ * @returns {Object} Logger with debug, info, warn and error methods (message, fields)
+ */
+export function createLogger(scope = null) {
+    return {
+        debug: (message, fields) => write('debug', scope, message, fields),
+        info: (message, fields) => write('info', scope, message, fields),
+        warn: (message, fields) => write('warn', scope, message, fields),
+        error: (message, fields) => write('error', scope, message, fields)
+    };
+}
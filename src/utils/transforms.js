@@ -0,0 +1,91 @@
+/**
+ * Post-processing transforms for declaratively extracted field values
+ *
+ * A transform is either a name (e.g. 'trim') or an object with a single key
+ * naming the transform and its argument (e.g. { regex: '(\\d+)' }).
+ */
+
+/**
+ * Apply a function to a value, or to every item when the value is a list
+ * @param {*} value - String, list of strings, or null
+ * @param {Function} fn - Function applied to each string
+ * @returns {*} Transformed value
+ */
+function mapValue(value, fn) {
+    if (Array.isArray(value)) {
+        return value.map(item => mapValue(item, fn)).filter(item => item !== null && item !== '');
+    }
+    return typeof value === 'string' ? fn(value) : value;
+}
+
+export const TRANSFORMS = {
+    trim: (value) => mapValue(value, text => text.trim()),
+
+    lowercase: (value) => mapValue(value, text => text.toLowerCase()),
+
+    uppercase: (value) => mapValue(value, text => text.toUpperCase()),
+
+    // Collapse runs of whitespace (including newlines) into single spaces
+    collapseWhitespace: (value) => mapValue(value, text => text.replace(/\s+/g, ' ').trim()),
+
+    number: (value) => mapValue(value, text => {
+        const number = parseFloat(text.replace(/[^\d.-]/g, ''));
+        return Number.isNaN(number) ? null : number;
+    }),
+
+    // { regex: 'pattern' } or { regex: { pattern, group, flags } } - keep the matched group (default 1, or whole match)
+    regex: (value, option) => {
+        const { pattern, group, flags = '' } = typeof option === 'string' ? { pattern: option } : option;
+        const regex = new RegExp(pattern, flags);
+        return mapValue(value, text => {
+            const match = text.match(regex);
+            if (!match) return null;
+            return match[group ?? (match.length > 1 ? 1 : 0)] ?? null;
+        });
+    },
+
+    // { replace: ['pattern', 'replacement'] } - global regex replace
+    replace: (value, [pattern, replacement = '']) => {
+        const regex = new RegExp(pattern, 'g');
+        return mapValue(value, text => text.replace(regex, replacement));
+    },
+
+    // { split: ',' } - split a string into a trimmed list
+    split: (value, separator) => {
+        if (typeof value !== 'string') return value;
+        return value.split(separator).map(part => part.trim()).filter(Boolean);
+    }
+};
+
+/**
+ * Get the name and option of a transform definition
+ * @param {string|Object} transform - Transform definition
+ * @returns {Array} [name, option]
+ */
+export function parseTransform(transform) {
+    if (typeof transform === 'string') {
+        return [transform, undefined];
+    }
+    const [name] = Object.keys(transform);
+    return [name, transform[name]];
+}
+
+/**
+ * Apply a list of transforms to a value in order
+ * @param {*} value - Raw extracted value
+ * @param {Array<string|Object>} transforms - Transform definitions
+ * @returns {*} Transformed value
+ */
+export function applyTransforms(value, transforms = []) {
+    return transforms.reduce((current, transform) => {
+        if (current === null || current === undefined) {
+            return current;
+        }
+        const [name, option] = parseTransform(transform);
+        const fn = TRANSFORMS[name];
+        if (!fn) {
+            throw new Error(`Unknown transform "${name}"`);
+        }
+        return fn(current, option);
+    }, value);
+}
@@ -0,0 +1,116 @@
+/**
+ * URL canonicalization and the enqueue-time URL filter
+ */
+
+import { getUrlFilterReason, stripTrailingSlash } from './helpers.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('urls');
+
+/**
+ * Glob-style names of query parameters that only track the visitor
+ */
+export const DEFAULT_TRACKING_PARAMS = [
+    'utm_*', 'gclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'dclid', 'yclid',
+    'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'igshid'
+];
+
+/**
+ * Compile parameter name globs into a single test function
+ * @param {Array<string>} names - Parameter names, `*` matches any characters
+ * @returns {Function} (name: string) => boolean
+ */
+function compileParamNames(names) {
+    const regexes = names.map(name => new RegExp(`^${name.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i'));
+    return name => regexes.some(regex => regex.test(name));
+}
+
+/**
+ * Canonicalize a URL so variants of the same page dedupe to one request
+ * @param {string} url - URL to canonicalize
+ * @param {Object} [options] - CONFIG.SITE.canonicalization
+ * @param {Array<string>} [options.stripParams] - Query parameter names (globs) to remove
+ * @param {boolean} [options.stripFragment=true] - Remove the #fragment
+ * @param {boolean} [options.stripTrailingSlash=false] - Remove the trailing slash of the path
+ * @param {boolean} [options.sortQuery=true] - Sort the query parameters by name
+ * @returns {string} Canonical URL (the input unchanged if it is not a valid URL)
+ */
+export function canonicalizeUrl(url, options = {}) {
+    const {
+        stripParams = DEFAULT_TRACKING_PARAMS,
+        stripFragment = true,
+        stripTrailingSlash: stripSlash = false,
+        sortQuery = true
+    } = options;
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return url;
+    }
+
+    const isStripped = compileParamNames(stripParams);
+    for (const name of [...parsed.searchParams.keys()]) {
+        if (isStripped(name)) {
+            parsed.searchParams.delete(name);
+        }
+    }
+    if (sortQuery) {
+        parsed.searchParams.sort();
+    }
+    if (stripFragment) {
+        parsed.hash = '';
+    }
+    if (stripSlash) {
+        parsed.pathname = stripTrailingSlash(parsed.pathname);
+    }
+
+    return parsed.toString();
+}
+
+/**
+ * Create the URL filter for one crawl
+ * `transformRequest` is passed to Crawlee's enqueueLinks as
+ * transformRequestFunction: it canonicalizes every URL and drops the ones
+ * outside the allowed / excluded patterns or disallowed by robots.txt,
+ * counting them instead of logging each one. `logSummary` prints the counts at
+ * the end of the crawl.
+ * @param {Object} site - CONFIG.SITE
+ * @param {Object} [options] - { robots: robots.txt rules from loadRobotsTxt }
+ * @returns {{transformRequest: Function, stats: Object, logSummary: Function}} URL filter
+ */
+export function createUrlFilter(site, { robots = null } = {}) {
+    const stats = { enqueued: 0, duplicates: 0, excluded: 0, notAllowed: 0, invalid: 0, disallowedByRobots: 0 };
+    const seen = new Set();
+
+    const transformRequest = (request) => {
+        const url = canonicalizeUrl(request.url, site.canonicalization);
+        const reason = getUrlFilterReason(url, site) ?? (robots && !robots.isAllowed(url) ? 'disallowedByRobots' : null);
+
+        if (reason) {
+            stats[reason]++;
+            return false;
+        }
+
+        if (seen.has(url)) {
+            stats.duplicates++;
+        } else {
+            seen.add(url);
+            stats.enqueued++;
+        }
+
+        request.url = url;
+        request.uniqueKey = url;
+        return request;
+    };
+
+    const logSummary = () => {
+        const filtered = stats.excluded + stats.notAllowed + stats.invalid + stats.disallowedByRobots;
+        log.info(`URL filter: ${stats.enqueued} unique URLs enqueued, ${stats.duplicates} duplicates, ` +
+            `${filtered} filtered out (${stats.excluded} excluded, ${stats.notAllowed} outside allowed patterns, ` +
+            `${stats.disallowedByRobots} disallowed by robots.txt, ${stats.invalid} invalid)`);
+    };
+
+    return { transformRequest, stats, logSummary };
+}
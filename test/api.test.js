@@ -0,0 +1,200 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureLogger } from '../src/utils/logger.js';
+import { startMockSite, createMockProfile } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+// Crawlee reads the storage directory when it is first loaded, so the API
+// (which imports the crawler) is imported afterwards
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-test-'));
+process.env.CRAWLEE_STORAGE_DIR = path.join(workDir, 'storage');
+const { createApiServer } = await import('../src/api/server.js');
+const { createCrawlJobQueue } = await import('../src/api/crawlJobs.js');
+
+const OVERRIDES = {
+    CRAWLER: {
+        mode: 'cheerio',
+        politeness: { maxRequestsPerMinute: null, delayMs: { min: 0, max: 0 } }
+    },
+    OUTPUT: { directory: path.join(workDir, 'output') }
+};
+
+/**
+ * Start an API server on a free port
+ * @param {Object} options - Options for createApiServer
+ * @returns {Promise<Object>} { origin, request(method, path, body) -> { status, body }, close() }
+ */
+async function startApi(options) {
+    const server = createApiServer(options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, pathname, body) => {
+        const response = await fetch(`${origin}${pathname}`, {
+            method,
+            headers: body ? { 'content-type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    return { origin, request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+/**
+ * Poll a crawl job until it has finished
+ * @param {Function} request - request() from startApi
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} Finished job
+ */
+async function waitForJob(request, id) {
+    for (;;) {
+        const { body: job } = await request('GET', `/api/crawls/${id}`);
+        if (!['queued', 'running'].includes(job.status)) {
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+describe('API server', () => {
+    let site;
+    let api;
+    let job;
+
+    before(async () => {
+        site = await startMockSite();
+        const profile = createMockProfile(site.origin);
+        api = await startApi({
+            profiles: new Map([[profile.id, { profile, file: 'mock', errors: [] }]]),
+            overrides: OVERRIDES
+        });
+    });
+
+    after(async () => {
+        await api?.close();
+        await site?.close();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('reports missing output before the first crawl', async () => {
+        const { status } = await api.request('GET', '/api/profiles/mount-elizabeth/specialists');
+        assert.equal(status, 404);
+    });
+
+    test('rejects crawls of unknown profiles and invalid overrides', async () => {
+        assert.equal((await api.request('POST', '/api/crawls', { profile: 'nope' })).status, 404);
+        const invalid = await api.request('POST', '/api/crawls', {
+            profile: 'mount-elizabeth',
+            overrides: { CRAWLER: { mode: 'fast' } }
+        });
+        assert.equal(invalid.status, 400);
+        assert.match(invalid.body.error, /CRAWLER\.mode/);
+    });
+
+    test('only accepts JSON bodies and a few overrides', async () => {
+        const hook = await api.request('POST', '/api/crawls', {
+            profile: 'mount-elizabeth',
+            overrides: { HOOKS: { postRun: [{ type: 'command', command: 'touch /tmp/pwned' }] } }
+        });
+        assert.equal(hook.status, 400);
+        assert.match(hook.body.error, /overrides\.HOOKS cannot be set/);
+        const outputDirectory = await api.request('POST', '/api/crawls', { profile: 'mount-elizabeth', overrides: { OUTPUT: { directory: '/tmp' } } });
+        assert.equal(outputDirectory.status, 400);
+
+        const response = await fetch(`${api.origin}/api/crawls`, {
+            method: 'POST',
+            headers: { 'content-type': 'text/plain' },
+            body: JSON.stringify({ profile: 'mount-elizabeth' })
+        });
+        assert.equal(response.status, 415);
+        assert.deepEqual((await api.request('GET', '/api/crawls')).body, []);
+    });
+
+    test('runs a crawl and reports its progress and result', async () => {
+        const started = await api.request('POST', '/api/crawls', { profile: 'mount-elizabeth' });
+        assert.equal(started.status, 202);
+
+        job = await waitForJob(api.request, started.body.id);
+        assert.equal(job.status, 'completed');
+        assert.match(job.runId, /^mount-elizabeth-\d{8}-\d{6}$/);
+        assert.equal(job.progress.records, 3);
+        assert.equal(job.result.totalRecords, 3);
+        assert.equal(job.result.validRecords, 2);
+
+        const { body: jobs } = await api.request('GET', '/api/crawls');
+        assert.deepEqual(jobs.map(entry => entry.id), [job.id]);
+    });
+
+    test('pages through the latest specialists', async () => {
+        const { status, body } = await api.request('GET', '/api/profiles/mount-elizabeth/specialists?pageSize=2&page=2');
+        assert.equal(status, 200);
+        assert.equal(body.total, 3);
+        assert.equal(body.totalPages, 2);
+        assert.equal(body.specialists.length, 1);
+        assert.match(body.source.file, /^memc-specialists-\d{4}-\d{2}-\d{2}\.json$/);
+    });
+
+    test('filters specialists by name', async () => {
+        const { body } = await api.request('GET', '/api/profiles/mount-elizabeth/specialists?name=alice');
+        assert.deepEqual(body.specialists.map(record => record.doctorName), ['Dr Alice Tan']);
+    });
+
+    test('validates paging parameters', async () => {
+        const { status } = await api.request('GET', '/api/profiles/mount-elizabeth/specialists?pageSize=0');
+        assert.equal(status, 400);
+    });
+
+    test('rejects malformed URL encoding', async () => {
+        const { status, body } = await api.request('GET', '/api/crawls/%E0');
+        assert.equal(status, 400);
+        assert.match(body.error, /Malformed URL/);
+    });
+
+    test('looks up one specialist by URL', async () => {
+        const url = `${site.origin}/patient-services/specialists/dr-bob-lim/?utm_source=mail`;
+        const { status, body } = await api.request('GET', `/api/profiles/mount-elizabeth/specialists/lookup?url=${encodeURIComponent(url)}`);
+        assert.equal(status, 200);
+        assert.equal(body.specialist.doctorName, 'Dr Bob Lim');
+
+        const missing = await api.request('GET', `/api/profiles/mount-elizabeth/specialists/lookup?url=${encodeURIComponent(`${site.origin}/nobody`)}`);
+        assert.equal(missing.status, 404);
+    });
+
+    test('does not cancel finished jobs', async () => {
+        assert.equal((await api.request('DELETE', `/api/crawls/${job.id}`)).status, 409);
+        assert.equal((await api.request('DELETE', '/api/crawls/unknown')).status, 404);
+    });
+});
+
+describe('crawl job queue', () => {
+    const profile = { id: 'fixture' };
+
+    // Stands in for crawlProfile(): runs until its signal is aborted
+    const crawlUntilCancelled = async (crawlProfile, overrides, { signal, onProgress }) => {
+        onProgress({ runId: 'fixture-20240131-083000', records: 1, pages: { succeeded: 2, failed: 0, retried: 0 } });
+        await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+        throw new Error('Run fixture-20240131-083000 was cancelled');
+    };
+
+    test('runs one job at a time and cancels queued and running jobs', async () => {
+        const jobs = createCrawlJobQueue({ crawl: crawlUntilCancelled });
+        const first = jobs.start(profile);
+        const second = jobs.start(profile);
+
+        assert.equal(jobs.get(first.id).status, 'running');
+        assert.equal(jobs.get(first.id).progress.records, 1);
+        assert.equal(jobs.get(second.id).status, 'queued');
+
+        assert.equal(jobs.cancel(second.id).status, 'cancelled');
+        assert.equal(jobs.cancel(first.id).cancelRequested, true);
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(jobs.get(first.id).status, 'cancelled');
+        assert.equal(jobs.getActive(), null);
+    });
+});
@@ -0,0 +1,83 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureLogger } from '../src/utils/logger.js';
+import { classifyContact, normalizeContacts, normalizePhoneNumber } from '../src/utils/contactNormalizer.js';
+
+configureLogger({ level: 'silent' });
+
+describe('normalizePhoneNumber', () => {
+    test('keeps international numbers and drops formatting', () => {
+        assert.equal(normalizePhoneNumber('+65 6737 2666'), '+6567372666');
+        assert.equal(normalizePhoneNumber('Tel: +65 6737.2666 (24 hours)'), '+6567372666');
+    });
+
+    test('drops the 00 prefix and the (0) trunk marker', () => {
+        assert.equal(normalizePhoneNumber('0065 6737 2666'), '+6567372666');
+        assert.equal(normalizePhoneNumber('+44 (0)20 7946 0958'), '+442079460958');
+    });
+
+    test('applies the default country to national numbers', () => {
+        assert.equal(normalizePhoneNumber('6737 2666'), '+6567372666');
+        assert.equal(normalizePhoneNumber('65 6737 2666'), '+6567372666');
+        assert.equal(normalizePhoneNumber('012-345 6789', 'MY'), '+60123456789');
+        assert.equal(normalizePhoneNumber('(02) 9876 5432', 'AU'), '+61298765432');
+    });
+
+    test('rejects text that is not a full number', () => {
+        assert.equal(normalizePhoneNumber(''), null);
+        assert.equal(normalizePhoneNumber(null), null);
+        assert.equal(normalizePhoneNumber('call the clinic'), null);
+        assert.equal(normalizePhoneNumber('6737 266'), null);
+        assert.equal(normalizePhoneNumber('6737 2666', 'ZZ'), null);
+    });
+});
+
+describe('classifyContact', () => {
+    const classify = (text, link = '') => {
+        const { type, value } = classifyContact({ text, link });
+        return [type, value];
+    };
+
+    test('classifies links by scheme and host', () => {
+        assert.deepEqual(classify('+65 6737 2666', 'tel:+6567372666'), ['phone', '+6567372666']);
+        assert.deepEqual(classify('Email us', 'mailto:Alice.Tan@Example.com'), ['email', 'alice.tan@example.com']);
+        assert.deepEqual(classify('WhatsApp', 'https://wa.me/6591234567'), ['whatsapp', '+6591234567']);
+        assert.deepEqual(classify('WhatsApp', 'https://api.whatsapp.com/send?phone=6591234567'), ['whatsapp', '+6591234567']);
+        assert.deepEqual(classify('3 Mount Elizabeth', 'https://maps.google.com/?q=3+Mount+Elizabeth'), ['address', '3 Mount Elizabeth']);
+        assert.deepEqual(classify('Book an appointment', 'https://example.com/visit'), ['booking', 'https://example.com/visit']);
+        assert.deepEqual(classify('Clinic website', 'https://example.com/'), ['website', 'https://example.com/']);
+    });
+
+    test('classifies plain text entries by their content', () => {
+        assert.deepEqual(classify('Alice.Tan@Example.com'), ['email', 'alice.tan@example.com']);
+        assert.deepEqual(classify('3 Mount Elizabeth, #15-01, Singapore 228510'), ['address', '3 Mount Elizabeth, #15-01, Singapore 228510']);
+        assert.deepEqual(classify('6737 2666'), ['phone', '+6567372666']);
+        assert.deepEqual(classify('Mon to Fri'), ['other', null]);
+    });
+
+    test('falls back to the text when the link cannot be normalized', () => {
+        assert.deepEqual(classify('+65 6737 2666', 'tel:clinic'), ['phone', '+6567372666']);
+        assert.deepEqual(classify('Call us', 'tel:clinic'), ['phone', null]);
+        assert.deepEqual(classify('+65 6737 2666', 'tel:%E0'), ['phone', '+6567372666']);
+        assert.deepEqual(classify('alice@example.com', 'mailto:%E0'), ['email', 'alice@example.com']);
+    });
+
+    test('uses the default country for national numbers', () => {
+        assert.equal(classifyContact({ text: '012-345 6789', link: 'tel:0123456789' }, 'MY').value, '+60123456789');
+    });
+});
+
+describe('normalizeContacts', () => {
+    test('collapses entries with the same type and value', () => {
+        const contacts = normalizeContacts([
+            { text: '+65 6737 2666', link: 'tel:+6567372666' },
+            { text: '6737 2666', link: '' },
+            { text: 'alice@example.com', link: 'mailto:alice@example.com' }
+        ]);
+
+        assert.deepEqual(contacts, [
+            { type: 'phone', value: '+6567372666', text: '+65 6737 2666', link: 'tel:+6567372666' },
+            { type: 'email', value: 'alice@example.com', text: 'alice@example.com', link: 'mailto:alice@example.com' }
+        ]);
+    });
+});
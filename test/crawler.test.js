@@ -0,0 +1,148 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureLogger } from '../src/utils/logger.js';
+import { startMockSite, createMockProfile } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+// Crawlee storage and checkpoints go to a temporary directory; it is read
+// when Crawlee is first loaded, so the crawler is imported afterwards
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawler-test-'));
+process.env.CRAWLEE_STORAGE_DIR = path.join(workDir, 'storage');
+const { crawlProfile } = await import('../src/crawler.js');
+const { loadCheckpoint } = await import('../src/handlers/checkpointHandler.js');
+const { retryFailedCommand } = await import('../src/cli/commands/retryFailed.js');
+const { EXIT_CODES } = await import('../src/cli/common.js');
+
+const OVERRIDES = {
+    CRAWLER: {
+        mode: 'cheerio',
+        politeness: { maxRequestsPerMinute: null, delayMs: { min: 0, max: 0 } }
+    },
+    OUTPUT: { directory: path.join(workDir, 'output') },
+    LISTING_FIELDS: { listingName: { selector: 'h3' } }
+};
+
+describe('crawlProfile against the mock site', () => {
+    let site;
+    let result;
+    let envelope;
+
+    before(async () => {
+        site = await startMockSite();
+        result = await crawlProfile(createMockProfile(site.origin), OVERRIDES);
+        const jsonFile = result.outputFiles.find(file => file.endsWith('.json'));
+        envelope = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+    });
+
+    after(async () => {
+        await site?.close();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('extracts every specialist once, across both listing pages', () => {
+        const names = envelope.specialists.map(record => record.doctorName);
+        assert.equal(envelope.totalRecords, 3);
+        assert.deepEqual([...names].sort((a, b) => String(a).localeCompare(String(b))), ['Dr Alice Tan', 'Dr Bob Lim', null]);
+    });
+
+    test('stores canonical detail URLs', () => {
+        const urls = envelope.specialists.map(record => record.url).sort();
+        assert.deepEqual(urls, [
+            `${site.origin}/patient-services/specialists/dr-alice-tan/`,
+            `${site.origin}/patient-services/specialists/dr-bob-lim/`,
+            `${site.origin}/patient-services/specialists/dr-carol-ng/`
+        ]);
+    });
+
+    test('keeps the listing card values and provenance of every record', () => {
+        const bySource = envelope.specialists
+            .map(record => [record.listingName, record.source.listingUrl, record.source.page, record.source.position])
+            .sort((a, b) => a[0].localeCompare(b[0]));
+        assert.deepEqual(bySource, [
+            ['Dr Alice Tan', `${site.origin}/patient-services/specialists/`, 1, 1],
+            ['Dr Bob Lim', `${site.origin}/patient-services/specialists/`, 1, 2],
+            ['Dr Carol Ng', `${site.origin}/patient-services/specialists/?page=2`, 2, 1]
+        ]);
+    });
+
+    test('follows pagination and skips excluded links', () => {
+        assert.ok(site.requests.includes('/patient-services/specialists?page=2'));
+        assert.ok(!site.requests.some(request => request.includes('specialty_areas')));
+        assert.ok(!site.requests.some(request => request.includes('utm_source')));
+    });
+
+    test('reports data quality', () => {
+        assert.equal(result.qualityReport.totalRecords, 3);
+        assert.equal(result.qualityReport.validRecords, 2);
+    });
+
+    test('writes the output into its run directory and points latest at it', () => {
+        const siteDirectory = path.join(workDir, 'output', 'mount-elizabeth');
+        const runDirectory = path.join(siteDirectory, 'runs', result.runId);
+        assert.ok(result.outputFiles.every(file => path.dirname(file) === runDirectory));
+
+        const latest = JSON.parse(fs.readFileSync(path.join(siteDirectory, 'latest.json'), 'utf8'));
+        assert.equal(latest.runId, result.runId);
+        assert.equal(path.join(siteDirectory, latest.directory), runDirectory);
+    });
+
+    test('records run stats per label', () => {
+        const { pages, totals } = result.runStats;
+        // The start page counts as a listing page
+        assert.equal(pages.SPECIALISTS_LIST.succeeded, 2);
+        assert.equal(pages.DETAIL.succeeded, 3);
+        assert.equal(totals.failed, 0);
+    });
+
+    test('ends the listing on an empty page without a next button', async () => {
+        const overrides = { ...OVERRIDES, SELECTORS: { nextButton: null, nextButtonContainer: null } };
+        const { runStats } = await crawlProfile(createMockProfile(site.origin), overrides);
+
+        assert.ok(site.requests.includes('/patient-services/specialists?page=3'));
+        assert.ok(!site.requests.includes('/patient-services/specialists?page=4'));
+        assert.equal(runStats.pages.SPECIALISTS_LIST.succeeded, 3);
+        assert.equal(runStats.totals.failed, 0);
+    });
+
+    test('stops a cancelled crawl and keeps the run resumable', async () => {
+        const controller = new AbortController();
+        let runId;
+        const onProgress = (progress) => {
+            runId = progress.runId;
+            if (progress.pages.succeeded > 0) {
+                controller.abort();
+            }
+        };
+
+        await assert.rejects(
+            crawlProfile(createMockProfile(site.origin), OVERRIDES, { signal: controller.signal, onProgress }),
+            /was cancelled/
+        );
+        const checkpoint = loadCheckpoint(runId);
+        assert.equal(checkpoint.status, 'cancelled');
+        assert.ok(checkpoint.visitedUrls.length < 3);
+    });
+
+    test('retries dead-lettered requests of a profile without an OUTPUT section', async () => {
+        const { OUTPUT, ...profile } = { ...createMockProfile(site.origin), id: 'no-output' };
+        const deadLetterFile = path.join(workDir, 'no-output.dead-letter.ndjson');
+        const entry = { url: `${site.origin}/patient-services/specialists/dr-alice-tan/`, label: 'DETAIL', profileId: profile.id };
+        fs.writeFileSync(deadLetterFile, `${JSON.stringify(entry)}\n`, 'utf8');
+
+        const exitCode = await retryFailedCommand({
+            args: [deadLetterFile],
+            options: { profile: profile.id },
+            overrides: OVERRIDES,
+            profiles: new Map([[profile.id, { profile, file: 'mock', errors: [] }]])
+        });
+
+        assert.equal(exitCode, EXIT_CODES.OK);
+        const runsDirectory = path.join(workDir, 'output', profile.id, 'runs');
+        const files = fs.readdirSync(runsDirectory).flatMap(runId => fs.readdirSync(path.join(runsDirectory, runId)));
+        assert.ok(files.some(file => file.startsWith('specialists-retry-') && file.endsWith('.json')));
+    });
+});
@@ -0,0 +1,114 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyProfile } from '../src/config/profileLoader.js';
+import { configureLogger } from '../src/utils/logger.js';
+import { dedupeRecords, normalizeName } from '../src/handlers/dedupHandler.js';
+import { createMockProfile } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+const ORIGIN = 'http://127.0.0.1:8080';
+
+const PHONE = { type: 'phone', value: '+6567372666', text: '+65 6737 2666', link: 'tel:+6567372666' };
+const EMAIL = { type: 'email', value: 'alice@example.com', text: 'alice@example.com', link: 'mailto:alice@example.com' };
+const CLINIC = { type: 'address', value: '3 Mount Elizabeth', text: '3 Mount Elizabeth', link: '' };
+
+/**
+ * Specialist record as extracted by the crawler
+ * @param {string} path - Detail page path
+ * @param {string|null} doctorName - Name
+ * @param {Array<Object>} contactDetails - Normalized contacts
+ * @returns {Object} Record
+ */
+function createRecord(path, doctorName, contactDetails = []) {
+    const valid = Boolean(doctorName);
+    return {
+        url: `${ORIGIN}${path}`,
+        doctorName,
+        contactDetails,
+        extractedAt: '2024-01-31T08:30:00.000Z',
+        errors: valid ? [] : [{ code: 'REQUIRED_FIELD_MISSING', field: 'doctorName', message: 'doctorName is required' }],
+        valid
+    };
+}
+
+describe('normalizeName', () => {
+    test('ignores titles, accents, punctuation and case', () => {
+        assert.equal(normalizeName('A/Prof. Tan  Wei-Ming'), 'tan wei ming');
+        assert.equal(normalizeName('Dr José Núñez'), 'jose nunez');
+        assert.equal(normalizeName('Dr'), 'dr');
+        assert.equal(normalizeName(null), '');
+    });
+});
+
+describe('dedupeRecords', () => {
+    before(() => applyProfile(createMockProfile(ORIGIN)));
+
+    test('merges records whose URLs differ only in case or tracking parameters', () => {
+        const { records, report } = dedupeRecords([
+            createRecord('/specialists/dr-alice-tan/', 'Dr Alice Tan', [PHONE]),
+            createRecord('/specialists/dr-bob-lim', 'Dr Bob Lim'),
+            createRecord('/Specialists/Dr-Alice-Tan/?utm_source=mail', 'Dr Alice Tan', [EMAIL])
+        ]);
+
+        assert.deepEqual(records.map(record => record.doctorName), ['Dr Alice Tan', 'Dr Bob Lim']);
+        assert.deepEqual(records[0].contactDetails, [PHONE, EMAIL]);
+        assert.equal(report.mergedRecords, 1);
+        assert.deepEqual(report.merges, [{
+            url: `${ORIGIN}/specialists/dr-alice-tan/`,
+            name: 'Dr Alice Tan',
+            reasons: ['url'],
+            mergedUrls: [`${ORIGIN}/Specialists/Dr-Alice-Tan/?utm_source=mail`],
+            records: 2
+        }]);
+    });
+
+    test('merges records with the same name that share a contact', () => {
+        const { records, report } = dedupeRecords([
+            createRecord('/specialists/alice-tan', 'Dr. Alice Tan', [PHONE]),
+            createRecord('/doctors?id=17', 'ALICE TAN', [EMAIL, { ...PHONE, text: '6737 2666' }])
+        ]);
+
+        assert.equal(records.length, 1);
+        assert.deepEqual(records[0].contactDetails, [PHONE, EMAIL]);
+        assert.deepEqual(report.merges[0].reasons, ['name+contact']);
+    });
+
+    test('keeps namesakes without a shared phone, email or WhatsApp number apart', () => {
+        const { records } = dedupeRecords([
+            createRecord('/specialists/alice-tan', 'Dr Alice Tan', [PHONE, CLINIC]),
+            createRecord('/specialists/alice-tan-2', 'Dr Alice Tan', [EMAIL, CLINIC]),
+            createRecord('/specialists/alice-tan-3', 'Dr Alice Tan')
+        ]);
+
+        assert.equal(records.length, 3);
+    });
+
+    test('fills a failed record from its duplicate and validates the result', () => {
+        const { records } = dedupeRecords([
+            createRecord('/specialists/dr-alice-tan?ref=a', null, [PHONE]),
+            createRecord('/specialists/dr-alice-tan?ref=a#top', 'Dr Alice Tan')
+        ]);
+
+        assert.equal(records.length, 1);
+        assert.equal(records[0].url, `${ORIGIN}/specialists/dr-alice-tan?ref=a#top`);
+        assert.equal(records[0].doctorName, 'Dr Alice Tan');
+        assert.deepEqual(records[0].contactDetails, [PHONE]);
+        assert.equal(records[0].valid, true);
+    });
+
+    test('can be turned off or limited to URL matches', () => {
+        const duplicates = [
+            createRecord('/specialists/dr-alice-tan/', 'Dr Alice Tan', [PHONE]),
+            createRecord('/specialists/DR-ALICE-TAN/', 'Dr Alice Tan', [PHONE]),
+            createRecord('/doctors/alice', 'Dr Alice Tan', [PHONE])
+        ];
+
+        applyProfile(createMockProfile(ORIGIN), { DEDUP: { enabled: false } });
+        assert.equal(dedupeRecords(duplicates).records.length, 3);
+
+        applyProfile(createMockProfile(ORIGIN), { DEDUP: { nameField: null } });
+        assert.equal(dedupeRecords(duplicates).records.length, 2);
+        applyProfile(createMockProfile(ORIGIN));
+    });
+});
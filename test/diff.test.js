@@ -0,0 +1,115 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyProfile } from '../src/config/profileLoader.js';
+import { configureLogger } from '../src/utils/logger.js';
+import { diffRecord, diffSpecialists, renderDiffMarkdown } from '../src/handlers/diffHandler.js';
+import { createMockProfile } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+const ORIGIN = 'http://127.0.0.1:8080';
+const PHONE = { type: 'phone', value: '+6567372666', text: '+65 6737 2666', link: 'tel:+6567372666' };
+const EMAIL = { type: 'email', value: 'alice@example.com', text: 'alice@example.com', link: 'mailto:alice@example.com' };
+
+/**
+ * Specialist record as saved in the output
+ * @param {string} slug - Detail page slug
+ * @param {Object} values - Field values
+ * @returns {Object} Record
+ */
+function createRecord(slug, values = {}) {
+    return {
+        url: `${ORIGIN}/patient-services/specialists/${slug}/`,
+        doctorName: null,
+        contactDetails: [],
+        extractedAt: '2024-01-31T08:30:00.000Z',
+        ...values
+    };
+}
+
+describe('diffRecord', () => {
+    before(() => applyProfile(createMockProfile(ORIGIN)));
+
+    test('reports changed values and the items added to or removed from lists', () => {
+        const before = createRecord('dr-alice-tan', { doctorName: 'Dr Alice Tan', contactDetails: [PHONE] });
+        const after = createRecord('dr-alice-tan', { doctorName: 'Dr Alice Tan Wei', contactDetails: [EMAIL] });
+
+        assert.deepEqual(diffRecord(before, after), [
+            { field: 'doctorName', before: 'Dr Alice Tan', after: 'Dr Alice Tan Wei' },
+            { field: 'contactDetails', added: [EMAIL], removed: [PHONE] }
+        ]);
+    });
+
+    test('compares contacts by normalized value and skips ignored fields', () => {
+        const before = createRecord('dr-alice-tan', { contactDetails: [PHONE] });
+        const after = createRecord('dr-alice-tan', {
+            contactDetails: [{ ...PHONE, text: '6737 2666' }],
+            extractedAt: '2024-02-01T08:30:00.000Z'
+        });
+
+        assert.deepEqual(diffRecord(before, after), []);
+        assert.deepEqual(diffRecord(before, after, []), [
+            { field: 'extractedAt', before: '2024-01-31T08:30:00.000Z', after: '2024-02-01T08:30:00.000Z' }
+        ]);
+    });
+});
+
+describe('diffSpecialists', () => {
+    before(() => applyProfile(createMockProfile(ORIGIN)));
+
+    const previous = [
+        createRecord('dr-alice-tan', { doctorName: 'Dr Alice Tan', contactDetails: [PHONE] }),
+        createRecord('dr-bob-lim', { doctorName: 'Dr Bob Lim' }),
+        createRecord('dr-carol-ng', { doctorName: 'Dr Carol Ng' })
+    ];
+    const current = [
+        createRecord('dr-alice-tan', { doctorName: 'Dr Alice Tan', contactDetails: [PHONE, EMAIL] }),
+        createRecord('dr-bob-lim', { doctorName: 'Dr Bob Lim', extractedAt: '2024-02-01T08:30:00.000Z' }),
+        createRecord('dr-dan-koh', { doctorName: 'Dr Dan Koh' })
+    ];
+
+    test('matches records by URL', () => {
+        const report = diffSpecialists(previous, current);
+
+        assert.deepEqual(report.summary, { added: 1, removed: 1, modified: 1, unchanged: 1 });
+        assert.deepEqual(report.added, [{ url: `${ORIGIN}/patient-services/specialists/dr-dan-koh/`, name: 'Dr Dan Koh' }]);
+        assert.deepEqual(report.removed, [{ url: `${ORIGIN}/patient-services/specialists/dr-carol-ng/`, name: 'Dr Carol Ng' }]);
+        assert.deepEqual(report.modified, [{
+            url: `${ORIGIN}/patient-services/specialists/dr-alice-tan/`,
+            name: 'Dr Alice Tan',
+            changes: [{ field: 'contactDetails', added: [EMAIL], removed: [] }]
+        }]);
+    });
+
+    test('finds no changes between identical runs', () => {
+        const report = diffSpecialists(previous, previous);
+        assert.deepEqual(report.summary, { added: 0, removed: 0, modified: 0, unchanged: 3 });
+    });
+
+    test('renders the changes as markdown', () => {
+        const markdown = renderDiffMarkdown({
+            siteName: 'Test Medical Centre',
+            previousFile: '/output/memc-specialists-2024-01-31.json',
+            currentFile: '/output/memc-specialists-2024-02-01.json',
+            ...diffSpecialists(previous, current)
+        });
+
+        assert.match(markdown, /Compared `memc-specialists-2024-02-01\.json` with `memc-specialists-2024-01-31\.json`/);
+        assert.match(markdown, /## Added\n\n- \[Dr Dan Koh\]/);
+        assert.match(markdown, /- contactDetails: added email `alice@example\.com`/);
+    });
+
+    test('names specialists by the configured name field', () => {
+        applyProfile(createMockProfile(ORIGIN), {
+            FIELDS: { fullName: { selector: 'h1.profile-name' } },
+            DEDUP: { nameField: 'fullName' }
+        });
+        try {
+            const report = diffSpecialists([], [createRecord('dr-dan-koh', { fullName: 'Dan Koh' })]);
+            assert.equal(report.added[0].name, 'Dan Koh');
+            assert.match(renderDiffMarkdown({ siteName: 'Test', previousFile: 'a.json', currentFile: 'b.json', ...report }), /- \[Dan Koh\]/);
+        } finally {
+            applyProfile(createMockProfile(ORIGIN));
+        }
+    });
+});
@@ -0,0 +1,129 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+import { applyProfile } from '../src/config/profileLoader.js';
+import { configureLogger } from '../src/utils/logger.js';
+import { createCheerioDom } from '../src/handlers/domAdapter.js';
+import { extractSpecialistData, extractListingCards } from '../src/handlers/dataExtractor.js';
+import { createMockProfile, readFixture } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+const ORIGIN = 'http://127.0.0.1:8080';
+
+/**
+ * Extract a record from a saved detail page
+ * @param {string} fixture - Fixture file name
+ * @param {Object|null} listing - Listing context of the page
+ * @returns {Promise<Object>} Specialist record
+ */
+function extractFixture(fixture, listing = null) {
+    const url = `${ORIGIN}/patient-services/specialists/${fixture.replace(/^detail-|\.html$/g, '')}`;
+    return extractSpecialistData(createCheerioDom(load(readFixture(fixture)), url), url, listing);
+}
+
+describe('extractSpecialistData', () => {
+    before(() => applyProfile(createMockProfile(ORIGIN)));
+
+    test('produces a record with the configured fields', async () => {
+        const record = await extractFixture('detail-dr-alice-tan.html');
+
+        assert.deepEqual(Object.keys(record).sort(), ['contactDetails', 'doctorName', 'errors', 'extractedAt', 'source', 'url', 'valid']);
+        assert.equal(record.url, `${ORIGIN}/patient-services/specialists/dr-alice-tan`);
+        assert.equal(record.doctorName, 'Dr Alice Tan');
+        assert.ok(!Number.isNaN(Date.parse(record.extractedAt)));
+        assert.equal(record.valid, true);
+        assert.deepEqual(record.errors, []);
+        assert.equal(record.source, null);
+    });
+
+    test('classifies and normalizes contact details', async () => {
+        const record = await extractFixture('detail-dr-alice-tan.html');
+
+        assert.deepEqual(record.contactDetails, [
+            { type: 'phone', value: '+6567372666', text: '+65 6737 2666', link: 'tel:+6567372666' },
+            { type: 'email', value: 'alice.tan@example.com', text: 'Alice.Tan@Example.com', link: 'mailto:Alice.Tan@Example.com' }
+        ]);
+    });
+
+    test('applies the default country to local phone numbers', async () => {
+        const record = await extractFixture('detail-dr-bob-lim.html');
+
+        assert.equal(record.contactDetails.length, 1);
+        assert.equal(record.contactDetails[0].type, 'phone');
+        assert.equal(record.contactDetails[0].value, '+6567351234');
+    });
+
+    test('logs the record under the configured name field', async () => {
+        applyProfile(createMockProfile(ORIGIN), {
+            FIELDS: { fullName: { selector: 'h1.profile-name', transform: ['collapseWhitespace', { regex: 'Dr (.+)' }] } },
+            DEDUP: { nameField: 'fullName' }
+        });
+        const lines = [];
+        const write = process.stdout.write;
+        process.stdout.write = (chunk) => lines.push(String(chunk)) > 0;
+        configureLogger({ level: 'info', format: 'json' });
+        try {
+            await extractFixture('detail-dr-alice-tan.html');
+        } finally {
+            process.stdout.write = write;
+            configureLogger({ level: 'silent', format: 'text' });
+            applyProfile(createMockProfile(ORIGIN));
+        }
+
+        assert.ok(lines.map(line => JSON.parse(line).msg).includes('Extracted data for: Alice Tan'));
+    });
+
+    test('flags records missing a required field', async () => {
+        const record = await extractFixture('detail-dr-carol-ng.html');
+
+        assert.equal(record.doctorName, null);
+        assert.deepEqual(record.contactDetails, []);
+        assert.equal(record.valid, false);
+        assert.deepEqual(record.errors.map(error => [error.code, error.field]), [['REQUIRED_FIELD_MISSING', 'doctorName']]);
+    });
+});
+
+describe('listing context', () => {
+    const listingUrl = `${ORIGIN}/patient-services/specialists?page=2`;
+    const listingDom = () => createCheerioDom(load(readFixture('listing-2.html')), listingUrl);
+
+    before(() => applyProfile(createMockProfile(ORIGIN), {
+        LISTING_FIELDS: { doctorName: { selector: 'h3' }, cardName: { selector: 'h3', transform: [{ regex: 'Dr (.+)' }] } }
+    }));
+
+    test('reads the card fields and provenance of every specialist link', async () => {
+        const cards = await extractListingCards(listingDom());
+
+        assert.deepEqual(cards.map(card => card.url), [
+            `${ORIGIN}/patient-services/specialists/dr-carol-ng/`,
+            `${ORIGIN}/patient-services/specialists/dr-alice-tan/#profile`
+        ]);
+        assert.deepEqual(cards[0].listing, {
+            listingUrl,
+            page: 2,
+            position: 1,
+            fields: { doctorName: 'Dr Carol Ng', cardName: 'Carol Ng' }
+        });
+    });
+
+    test('fills fields the detail page leaves empty and records the source', async () => {
+        const [carol, alice] = await extractListingCards(listingDom());
+        const carolRecord = await extractFixture('detail-dr-carol-ng.html', carol.listing);
+        const aliceRecord = await extractFixture('detail-dr-alice-tan.html', { ...alice.listing, fields: { doctorName: 'Alice', cardName: 'Alice' } });
+
+        assert.equal(carolRecord.doctorName, 'Dr Carol Ng');
+        assert.equal(carolRecord.valid, true);
+        assert.deepEqual(carolRecord.source, { listingUrl, page: 2, position: 1 });
+        assert.equal(aliceRecord.doctorName, 'Dr Alice Tan');
+        assert.equal(aliceRecord.cardName, 'Alice');
+    });
+
+    test('gives records found without a listing page empty listing fields', async () => {
+        const record = await extractFixture('detail-dr-bob-lim.html');
+
+        assert.equal(record.cardName, null);
+        assert.equal(record.source, null);
+    });
+});
+
@@ -0,0 +1,106 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { applyProfile } from '../src/config/profileLoader.js';
+import { configureLogger } from '../src/utils/logger.js';
+import initSqlJs from 'sql.js';
+import { saveDataToFile } from '../src/handlers/fileHandler.js';
+import { sqliteWriter } from '../src/handlers/writers/sqliteWriter.js';
+import { createMockProfile } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+const ORIGIN = 'http://127.0.0.1:8080';
+
+const RECORDS = [
+    {
+        url: `${ORIGIN}/patient-services/specialists/dr-alice-tan`,
+        doctorName: 'Dr Alice Tan',
+        contactDetails: [
+            { type: 'phone', value: '+6567372666', text: '+65 6737 2666', link: 'tel:+6567372666' },
+            { type: 'email', value: 'alice.tan@example.com', text: 'Alice.Tan@Example.com', link: 'mailto:Alice.Tan@Example.com' }
+        ],
+        extractedAt: '2024-01-31T08:30:00.000Z',
+        errors: [],
+        valid: true
+    },
+    {
+        url: `${ORIGIN}/patient-services/specialists/dr-carol-ng`,
+        doctorName: null,
+        contactDetails: [],
+        extractedAt: '2024-01-31T08:30:01.000Z',
+        errors: [{ code: 'REQUIRED_FIELD_MISSING', field: 'doctorName', message: 'Required field "doctorName" is empty' }],
+        valid: false
+    }
+];
+
+describe('saveDataToFile', () => {
+    let outputDir;
+
+    before(() => {
+        outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawler-output-'));
+        applyProfile(createMockProfile(ORIGIN), {
+            OUTPUT: { directory: outputDir, formats: ['json', 'csv', 'ndjson'] }
+        });
+    });
+
+    after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+    test('writes one file per configured format', async () => {
+        const today = new Date().toISOString().split('T')[0];
+        const filepaths = await saveDataToFile(RECORDS);
+
+        assert.deepEqual(filepaths.map(filepath => path.basename(filepath)), [
+            `memc-specialists-${today}.json`,
+            `memc-specialists-${today}.csv`,
+            `memc-specialists-${today}.ndjson`
+        ]);
+        filepaths.forEach(filepath => assert.ok(fs.existsSync(filepath)));
+    });
+
+    test('wraps the records in the JSON envelope', async () => {
+        const [jsonFile] = await saveDataToFile(RECORDS);
+        const envelope = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+
+        assert.equal(envelope.siteName, 'Mount Elizabeth Medical Centre');
+        assert.match(envelope.extractedDate, /^\d{4}-\d{2}-\d{2}$/);
+        assert.equal(envelope.totalRecords, 2);
+        assert.deepEqual(envelope.specialists, RECORDS);
+        assert.equal(envelope.metadata.sourceUrl, `${ORIGIN}/patient-services/specialists/`);
+        assert.ok(!Number.isNaN(Date.parse(envelope.metadata.crawledAt)));
+    });
+
+    test('writes one CSV row per record with contact columns', async () => {
+        const [, csvFile] = await saveDataToFile(RECORDS);
+        const [header, ...rows] = fs.readFileSync(csvFile, 'utf8').trim().split(/\r?\n/);
+
+        assert.equal(rows.length, 2);
+        assert.ok(header.split(',').includes('doctorName'));
+        assert.ok(header.split(',').includes('contact_phone_1'));
+        assert.ok(rows[0].includes('+6567372666'));
+    });
+
+    test('writes one JSON line per record', async () => {
+        const [, , ndjsonFile] = await saveDataToFile(RECORDS);
+        const lines = fs.readFileSync(ndjsonFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+        assert.equal(lines.length, 2);
+        assert.equal(lines[0].doctorName, 'Dr Alice Tan');
+    });
+
+    test('keeps a field named id next to the generated SQLite key', async () => {
+        const specialists = RECORDS.map((record, index) => ({ ...record, id: `MCR-${index + 1}` }));
+        const SQL = await initSqlJs();
+        const db = new SQL.Database(await sqliteWriter.serialize({ specialists, metadata: {} }));
+        try {
+            const [{ values }] = db.exec(
+                'SELECT s.id, COUNT(c.id) FROM specialists s LEFT JOIN contacts c ON c.specialist_id = s._rowid GROUP BY s._rowid ORDER BY s._rowid'
+            );
+            assert.deepEqual(values, [['MCR-1', 2], ['MCR-2', 0]]);
+        } finally {
+            db.close();
+        }
+    });
+});
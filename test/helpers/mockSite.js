@@ -0,0 +1,89 @@
+/**
+ * Mock site for the tests: serves the saved HTML fixtures in test/fixtures/pages
+ * from a local HTTP server, at the paths of the mount-elizabeth profile
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import profile from '../../src/config/profiles/mount-elizabeth.js';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'pages');
+
+const LIVE_ORIGIN = new URL(profile.SITE.startUrl).origin;
+const LISTING_PATH = '/patient-services/specialists';
+
+// Request path (trailing slash removed) and query -> fixture page
+const ROUTES = {
+    [LISTING_PATH]: 'listing-1.html',
+    [`${LISTING_PATH}?page=1`]: 'listing-1.html',
+    [`${LISTING_PATH}?page=2`]: 'listing-2.html',
+    // Past the last page: only requested without a next button
+    [`${LISTING_PATH}?page=3`]: 'listing-3.html',
+    [`${LISTING_PATH}/dr-alice-tan`]: 'detail-dr-alice-tan.html',
+    [`${LISTING_PATH}/dr-bob-lim`]: 'detail-dr-bob-lim.html',
+    [`${LISTING_PATH}/dr-carol-ng`]: 'detail-dr-carol-ng.html'
+};
+
+/**
+ * Read a fixture page
+ * @param {string} name - File name in test/fixtures/pages
+ * @returns {string} HTML
+ */
+export function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+/**
+ * Start the mock site on a free local port
+ * Unknown paths (including robots.txt) answer 404.
+ * @returns {Promise<Object>} { origin, requests: paths requested, close() }
+ */
+export async function startMockSite() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const key = url.pathname.replace(/\/+$/, '') + url.search;
+        const page = ROUTES[key];
+        requests.push(key);
+
+        if (!page) {
+            res.writeHead(404, { 'content-type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+        res.end(readFixture(page));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        origin,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * The mount-elizabeth profile pointed at the mock site
+ * Only the site URLs change; selectors and fields are the real ones, so the
+ * tests fail when they stop matching the saved pages.
+ * @param {string} origin - Mock site origin
+ * @returns {Object} Site profile
+ */
+export function createMockProfile(origin) {
+    const localize = (url) => url.replace(LIVE_ORIGIN, origin);
+    return {
+        ...profile,
+        SITE: {
+            ...profile.SITE,
+            baseUrl: localize(profile.SITE.baseUrl),
+            startUrl: localize(profile.SITE.startUrl),
+            allowedUrlPatterns: profile.SITE.allowedUrlPatterns.map(localize),
+            excludedUrlPatterns: profile.SITE.excludedUrlPatterns.map(localize)
+        }
+    };
+}
@@ -0,0 +1,151 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { applyProfile } from '../src/config/profileLoader.js';
+import { configureLogger } from '../src/utils/logger.js';
+import { buildRunSummary, runPostRunHooks } from '../src/handlers/hooksHandler.js';
+import { createMockProfile } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+const ORIGIN = 'http://127.0.0.1:8080';
+
+const CHECKPOINT = {
+    runId: 'mount-elizabeth-20240131-083000',
+    profileId: 'mount-elizabeth',
+    status: 'completed',
+    startedAt: '2024-01-31T08:30:00.000Z',
+    visitedUrls: ['a', 'b', 'c']
+};
+
+/**
+ * Result of crawlProfile() for a run with a change report
+ * @param {Object} counts - { total, valid, previous }
+ * @returns {Object} Result
+ */
+function createResult({ total, valid = total, previous }) {
+    return {
+        outputFiles: ['/data/output/mount-elizabeth/runs/mount-elizabeth-20240131-083000/memc-specialists-2024-01-31.json'],
+        qualityReport: { totalRecords: total, validRecords: valid, qualityScore: Math.round((valid / total) * 100) },
+        runStats: { totals: { succeeded: total, failed: 1, retried: 0 } },
+        diffReport: { summary: { added: 0, removed: previous - total, modified: 0, unchanged: total } }
+    };
+}
+
+/**
+ * Apply the mock profile with hooks settings
+ * @param {Object} hooks - CONFIG.HOOKS values
+ * @param {Object} overrides - Other CONFIG overrides
+ */
+function applyHooks(hooks, overrides = {}) {
+    applyProfile(createMockProfile(ORIGIN), { HOOKS: hooks, ...overrides });
+}
+
+describe('buildRunSummary', () => {
+    test('reports a completed run as success', () => {
+        applyHooks({});
+        const summary = buildRunSummary({ checkpoint: CHECKPOINT, result: createResult({ total: 100, previous: 100 }) });
+
+        assert.deepEqual(summary.events, ['success']);
+        assert.equal(summary.records.total, 100);
+        assert.equal(summary.records.previous, 100);
+        assert.equal(summary.failedRequests, 1);
+        assert.equal(summary.outputDirectory, path.dirname(summary.outputFiles[0]));
+        assert.match(summary.text, /^OK .*completed - 100 records/);
+    });
+
+    test('reports a drop in records beyond recordDropPercent', () => {
+        applyHooks({ recordDropPercent: 20 });
+        const dropped = buildRunSummary({ checkpoint: CHECKPOINT, result: createResult({ total: 70, previous: 100 }) });
+        const steady = buildRunSummary({ checkpoint: CHECKPOINT, result: createResult({ total: 90, previous: 100 }) });
+
+        assert.deepEqual(dropped.events, ['success', 'recordDrop']);
+        assert.equal(dropped.records.changePercent, -30);
+        assert.deepEqual(steady.events, ['success']);
+    });
+
+    test('skips the record drop check for retry-failed runs', () => {
+        applyHooks({ recordDropPercent: 20 });
+        const retry = { ...CHECKPOINT, startRequests: [{ url: `${ORIGIN}/patient-services/specialists/dr-alice-tan`, label: 'DETAIL' }] };
+        const summary = buildRunSummary({ checkpoint: retry, result: createResult({ total: 1, previous: 100 }) });
+
+        assert.equal(summary.partial, true);
+        assert.deepEqual(summary.events, ['success']);
+        assert.equal(summary.records.previous, null);
+    });
+
+    test('reports runs below the quality threshold and failed runs as failure', () => {
+        applyHooks({}, { VALIDATION: { minQuality: 95 } });
+        const lowQuality = buildRunSummary({ checkpoint: CHECKPOINT, result: createResult({ total: 100, valid: 80, previous: 100 }) });
+        const failed = buildRunSummary({ checkpoint: { ...CHECKPOINT, status: 'failed' }, error: new Error('Start URL is disallowed') });
+
+        assert.deepEqual(lowQuality.events, ['failure']);
+        assert.deepEqual(failed.events, ['failure']);
+        assert.equal(failed.records.total, 3);
+        assert.equal(failed.error, 'Start URL is disallowed');
+        assert.match(lowQuality.text, /^WARNING /);
+        assert.match(failed.text, /^FAILED .*Start URL is disallowed$/);
+    });
+});
+
+describe('runPostRunHooks', () => {
+    let workDir;
+    let server;
+    let webhookUrl;
+    const received = [];
+
+    before(async () => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hooks-test-'));
+        server = http.createServer(async (request, response) => {
+            let body = '';
+            for await (const chunk of request) body += chunk;
+            received.push({ path: request.url, body: JSON.parse(body) });
+            response.writeHead(request.url === '/broken' ? 500 : 204).end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        webhookUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('calls the webhooks, commands and modules whose events fired', async () => {
+        const commandOutput = path.join(workDir, 'command.json');
+        const modulePath = path.join(workDir, 'hook.js');
+        fs.writeFileSync(modulePath, `export default (summary) => { globalThis.hookSummary = summary; };`);
+
+        applyHooks({
+            postRun: [
+                { type: 'webhook', url: `${webhookUrl}/success`, events: ['success'] },
+                { type: 'webhook', url: `${webhookUrl}/failure`, events: ['failure'] },
+                { type: 'command', command: `cat > "${commandOutput}" && test "$RUN_RECORDS" = 100` },
+                { type: 'module', path: modulePath, events: ['success'] }
+            ]
+        });
+        const summary = buildRunSummary({ checkpoint: CHECKPOINT, result: createResult({ total: 100, previous: 100 }) });
+
+        assert.deepEqual(await runPostRunHooks(summary), { called: 3, failed: 0 });
+        assert.deepEqual(received.map(request => request.path), ['/success']);
+        assert.equal(received[0].body.runId, CHECKPOINT.runId);
+        assert.equal(JSON.parse(fs.readFileSync(commandOutput, 'utf8')).records.total, 100);
+        assert.equal(globalThis.hookSummary.siteName, summary.siteName);
+    });
+
+    test('logs failing hooks without throwing', async () => {
+        applyHooks({
+            postRun: [
+                { type: 'webhook', url: `${webhookUrl}/broken` },
+                { type: 'command', command: 'exit 3' },
+                { type: 'module', path: path.join(workDir, 'missing.js') }
+            ]
+        });
+        const summary = buildRunSummary({ checkpoint: { ...CHECKPOINT, status: 'failed' }, error: new Error('boom') });
+
+        assert.deepEqual(await runPostRunHooks(summary), { called: 3, failed: 3 });
+    });
+});
@@ -0,0 +1,113 @@
+import { test, describe, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { applyProfile } from '../src/config/profileLoader.js';
+import { configureLogger } from '../src/utils/logger.js';
+import { openHttpCache, getHttpCacheHooks } from '../src/handlers/httpCache.js';
+import { createMockProfile } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+const ORIGIN = 'http://127.0.0.1:8080';
+const PAGE_URL = `${ORIGIN}/patient-services/specialists/dr-alice-tan`;
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawler-cache-'));
+
+/**
+ * Stand-in for a Playwright response
+ * @param {Object} options - { url, status, resourceType, method, body }
+ * @returns {Object} Response-like object
+ */
+function fakeResponse({ url, status = 200, resourceType = 'document', method = 'GET', body = '<html></html>' }) {
+    return {
+        url: () => url,
+        status: () => status,
+        request: () => ({ method: () => method, resourceType: () => resourceType }),
+        body: async () => Buffer.from(body),
+        allHeaders: async () => ({ 'content-type': 'text/html', 'content-encoding': 'gzip', 'content-length': '10' })
+    };
+}
+
+/**
+ * Stand-in for a Playwright route that remembers how it was answered
+ * @param {string} url - Request URL
+ * @param {string} resourceType - Playwright resource type
+ * @returns {Object} Route-like object with `result`
+ */
+function fakeRoute(url, resourceType = 'document') {
+    const route = {
+        result: null,
+        request: () => ({ url: () => url, method: () => 'GET', resourceType: () => resourceType }),
+        fulfill: async (response) => { route.result = { fulfilled: response }; },
+        abort: async (errorCode) => { route.result = { aborted: errorCode }; }
+    };
+    return route;
+}
+
+/**
+ * Run the record hook on a fake page and emit responses
+ * @param {Object} cache - Cache from openHttpCache
+ * @param {Array<Object>} responses - Fake responses
+ */
+async function recordResponses(cache, responses) {
+    const listeners = [];
+    const page = { on: (event, listener) => listeners.push(listener) };
+    for (const hook of getHttpCacheHooks(cache)) {
+        await hook({ page });
+    }
+    await Promise.all(responses.flatMap(response => listeners.map(listener => listener(response))));
+}
+
+describe('HTTP cache', () => {
+    beforeEach(() => {
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+        applyProfile(createMockProfile(ORIGIN), { CRAWLER: { cache: { directory: cacheDir } } });
+    });
+
+    after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+    test('records documents and key assets by URL', async () => {
+        const cache = openHttpCache('mount-elizabeth', 'record');
+        await recordResponses(cache, [
+            fakeResponse({ url: PAGE_URL, body: '<h1 class="profile-name">Dr Alice Tan</h1>' }),
+            fakeResponse({ url: `${ORIGIN}/app.js`, resourceType: 'script', body: 'render()' }),
+            fakeResponse({ url: `${ORIGIN}/photo.jpg`, resourceType: 'image' }),
+            fakeResponse({ url: `${ORIGIN}/search`, method: 'POST', resourceType: 'xhr' })
+        ]);
+
+        assert.equal(cache.stats.recorded, 2);
+        const entry = cache.get(PAGE_URL);
+        assert.equal(entry.status, 200);
+        assert.equal(entry.body.toString(), '<h1 class="profile-name">Dr Alice Tan</h1>');
+        assert.deepEqual(entry.headers, { 'content-type': 'text/html' });
+        assert.equal(cache.get(`${ORIGIN}/photo.jpg`), null);
+    });
+
+    test('replays cached responses and aborts everything else', async () => {
+        await recordResponses(openHttpCache('mount-elizabeth', 'record'), [
+            fakeResponse({ url: PAGE_URL, body: '<h1>Dr Alice Tan</h1>' })
+        ]);
+
+        const cache = openHttpCache('mount-elizabeth', 'replay');
+        let handler;
+        const page = { route: async (pattern, routeHandler) => { handler = routeHandler; } };
+        for (const hook of getHttpCacheHooks(cache)) {
+            await hook({ page });
+        }
+
+        const cached = fakeRoute(PAGE_URL);
+        const missing = fakeRoute(`${ORIGIN}/photo.jpg`, 'image');
+        await handler(cached);
+        await handler(missing);
+
+        assert.equal(cached.result.fulfilled.status, 200);
+        assert.equal(cached.result.fulfilled.body.toString(), '<h1>Dr Alice Tan</h1>');
+        assert.deepEqual(missing.result, { aborted: 'internetdisconnected' });
+        assert.deepEqual(cache.stats, { recorded: 0, served: 1, missed: 1 });
+    });
+
+    test('refuses to replay without a recording', () => {
+        assert.throws(() => openHttpCache('mount-elizabeth', 'replay'), /No HTTP cache/);
+    });
+});
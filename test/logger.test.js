@@ -0,0 +1,92 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureLogger, createLogger, withLogContext } from '../src/utils/logger.js';
+
+configureLogger({ level: 'silent' });
+
+const log = createLogger('test');
+
+/**
+ * Capture the lines written to stdout and stderr while running a function
+ * @param {Function} fn - Synchronous function that logs
+ * @returns {Object} { stdout, stderr }: arrays of lines
+ */
+function capture(fn) {
+    const output = { stdout: [], stderr: [] };
+    const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+    for (const name of ['stdout', 'stderr']) {
+        process[name].write = (chunk) => output[name].push(String(chunk).replace(/\n$/, '')) > 0;
+    }
+    try {
+        fn();
+    } finally {
+        process.stdout.write = originals.stdout;
+        process.stderr.write = originals.stderr;
+    }
+    return output;
+}
+
+describe('logger', () => {
+    afterEach(() => configureLogger({ level: 'silent', format: 'text' }));
+
+    test('writes text lines with the scope and fields', () => {
+        configureLogger({ level: 'info', format: 'text' });
+        const { stdout } = capture(() => log.info('Saved output', { records: 3, file: 'out put.json' }));
+
+        assert.equal(stdout.length, 1);
+        assert.match(stdout[0], /^\d{2}:\d{2}:\d{2}\.\d{3} INFO {2}\[test\] Saved output {2}records=3 file="out put\.json"$/);
+    });
+
+    test('writes one JSON object per line', () => {
+        configureLogger({ level: 'info', format: 'json' });
+        const { stdout } = capture(() => log.info('Saved output', { records: 3 }));
+
+        const { time, ...line } = JSON.parse(stdout[0]);
+        assert.deepEqual(line, { level: 'info', scope: 'test', msg: 'Saved output', records: 3 });
+        assert.ok(!Number.isNaN(Date.parse(time)));
+    });
+
+    test('drops lines below the level and sends warnings and errors to stderr', () => {
+        configureLogger({ level: 'warn', format: 'json' });
+        const { stdout, stderr } = capture(() => {
+            log.debug('debug');
+            log.info('info');
+            log.warn('warn');
+            log.error('error', { error: new Error('Request failed') });
+        });
+
+        assert.deepEqual(stdout, []);
+        assert.deepEqual(stderr.map(line => JSON.parse(line).msg), ['warn', 'error']);
+        assert.equal(JSON.parse(stderr[1]).error, 'Request failed');
+    });
+
+    test('includes the stack of errors at debug level', () => {
+        configureLogger({ level: 'debug', format: 'json' });
+        const { stderr } = capture(() => log.error('Request failed', { error: new Error('Timeout') }));
+
+        const { error } = JSON.parse(stderr[0]);
+        assert.equal(error.message, 'Timeout');
+        assert.match(error.stack, /^Error: Timeout/);
+    });
+
+    test('attaches the context of withLogContext to every line inside it', () => {
+        configureLogger({ level: 'info', format: 'json' });
+        const { stdout } = capture(() => {
+            withLogContext({ url: 'https://example.com/a', label: 'DETAIL' }, () => {
+                withLogContext({ retryCount: 1 }, () => log.info('inside'));
+            });
+            log.info('outside');
+        });
+
+        const [inside, outside] = stdout.map(line => JSON.parse(line));
+        assert.equal(inside.url, 'https://example.com/a');
+        assert.equal(inside.label, 'DETAIL');
+        assert.equal(inside.retryCount, 1);
+        assert.equal(outside.url, undefined);
+    });
+
+    test('rejects unknown levels and formats', () => {
+        assert.throws(() => configureLogger({ level: 'verbose' }), /Unknown log level "verbose"/);
+        assert.throws(() => configureLogger({ format: 'xml' }), /Unknown log format "xml"/);
+    });
+});
@@ -0,0 +1,155 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { applyProfile } from '../src/config/profileLoader.js';
+import { configureLogger } from '../src/utils/logger.js';
+import { RUN_STATUS, createCheckpoint, createRunId, setRunStatus } from '../src/handlers/checkpointHandler.js';
+import { findPreviousOutput } from '../src/handlers/diffHandler.js';
+import { saveDataToFile } from '../src/handlers/fileHandler.js';
+import { readDeadLetterFile } from '../src/handlers/retryHandler.js';
+import {
+    applyRetention,
+    getLatestOutputFile,
+    getRunDirectory,
+    listRuns,
+    markLatestRun,
+    readOutputFile,
+    startOutputRun
+} from '../src/handlers/outputManager.js';
+import { createMockProfile } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+const ORIGIN = 'http://127.0.0.1:8080';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECORDS = [{ url: `${ORIGIN}/patient-services/specialists/dr-alice-tan`, doctorName: 'Dr Alice Tan', errors: [] }];
+
+/**
+ * Write the output of a run that started some days ago
+ * @param {number} daysAgo - Age of the run in days
+ * @returns {Promise<string>} Run ID
+ */
+async function createRun(daysAgo) {
+    const runId = createRunId('mount-elizabeth', new Date(Date.now() - daysAgo * DAY_MS));
+    startOutputRun(runId);
+    await saveDataToFile(RECORDS);
+    return runId;
+}
+
+describe('output manager', () => {
+    let outputDir;
+
+    beforeEach(() => {
+        outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawler-runs-'));
+        process.env.CRAWLEE_STORAGE_DIR = path.join(outputDir, 'storage');
+        applyProfile(createMockProfile(ORIGIN), {
+            OUTPUT: { directory: outputDir, retention: { keepRuns: 2, keepDays: null, compress: false } }
+        });
+    });
+
+    afterEach(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+    test('writes each run into its own directory under the profile', async () => {
+        const runId = await createRun(0);
+        const [file] = fs.readdirSync(getRunDirectory(runId));
+        assert.equal(getRunDirectory(runId), path.join(outputDir, 'mount-elizabeth', 'runs', runId));
+        assert.match(file, /^memc-specialists-\d{4}-\d{2}-\d{2}\.json$/);
+    });
+
+    test('resolves the latest output through the latest pointer', async () => {
+        assert.equal(getLatestOutputFile(), null);
+        const first = await createRun(2);
+        markLatestRun(first, []);
+        await createRun(1);
+        assert.equal(path.dirname(getLatestOutputFile()), getRunDirectory(first));
+    });
+
+    test('keeps the newest runs and the latest run', async () => {
+        const oldest = await createRun(4);
+        markLatestRun(oldest, []);
+        const runs = [oldest, await createRun(3), await createRun(2), await createRun(1), await createRun(0)];
+
+        const { removed } = applyRetention();
+        assert.deepEqual(removed, [runs[2], runs[1]]);
+        assert.deepEqual(listRuns(), [runs[0], runs[3], runs[4]]);
+    });
+
+    test('removes runs older than keepDays', async () => {
+        applyProfile(createMockProfile(ORIGIN), {
+            OUTPUT: { directory: outputDir, retention: { keepRuns: null, keepDays: 3, compress: false } }
+        });
+        const old = await createRun(5);
+        const recent = await createRun(1);
+        const current = await createRun(0);
+
+        assert.deepEqual(applyRetention().removed, [old]);
+        assert.deepEqual(listRuns(), [recent, current]);
+    });
+
+    test('compresses older runs that are kept', async () => {
+        applyProfile(createMockProfile(ORIGIN), {
+            OUTPUT: { directory: outputDir, retention: { keepRuns: 5, keepDays: null, compress: true } }
+        });
+        const older = await createRun(1);
+        const current = await createRun(0);
+
+        assert.deepEqual(applyRetention().compressed, [older]);
+        const [file] = fs.readdirSync(getRunDirectory(older));
+        assert.match(file, /\.json\.gz$/);
+        assert.equal(readOutputFile(path.join(getRunDirectory(older), file)).totalRecords, 1);
+        assert.ok(fs.readdirSync(getRunDirectory(current)).every(name => !name.endsWith('.gz')));
+    });
+
+    test('keeps runs that can still be resumed', async () => {
+        applyProfile(createMockProfile(ORIGIN), {
+            OUTPUT: { directory: outputDir, retention: { keepRuns: 1, keepDays: null, compress: false } }
+        });
+        const cancelled = await createRun(2);
+        setRunStatus(createCheckpoint(cancelled, 'mount-elizabeth'), RUN_STATUS.CANCELLED);
+        const completed = await createRun(1);
+        setRunStatus(createCheckpoint(completed, 'mount-elizabeth'), RUN_STATUS.COMPLETED);
+        const current = await createRun(0);
+
+        assert.deepEqual(applyRetention().removed, [completed]);
+        assert.deepEqual(listRuns(), [cancelled, current]);
+    });
+
+    test('leaves dead-letter files of compressed runs readable', async () => {
+        applyProfile(createMockProfile(ORIGIN), {
+            OUTPUT: { directory: outputDir, retention: { keepRuns: 5, keepDays: null, compress: true } }
+        });
+        const older = await createRun(1);
+        const deadLetter = path.join(getRunDirectory(older), 'memc-specialists-2024-01-31.dead-letter.ndjson');
+        fs.writeFileSync(deadLetter, `${JSON.stringify({ url: RECORDS[0].url })}\n`, 'utf8');
+        await createRun(0);
+
+        assert.deepEqual(applyRetention().compressed, [older]);
+        assert.deepEqual(readDeadLetterFile(deadLetter), [{ url: RECORDS[0].url }]);
+    });
+
+    test('backs up output files only when a run overwrites them', async () => {
+        const runId = await createRun(0);
+        const backups = path.join(getRunDirectory(runId), 'backups');
+        assert.equal(fs.existsSync(backups), false);
+
+        await saveDataToFile(RECORDS);
+        assert.equal(fs.readdirSync(backups).length, 1);
+    });
+
+    test('compares a run with the newest earlier latest run', async () => {
+        const first = await createRun(3);
+        markLatestRun(first, []);
+        const second = await createRun(2);
+        markLatestRun(second, []);
+        // A retry-failed run, never the latest
+        await createRun(1);
+        startOutputRun(createRunId('mount-elizabeth'));
+        const [current] = await saveDataToFile(RECORDS);
+
+        assert.equal(path.dirname(findPreviousOutput(current)), getRunDirectory(second));
+        assert.equal(findPreviousOutput(path.join(getRunDirectory(first), path.basename(current))), null);
+    });
+});
@@ -0,0 +1,113 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyProfile } from '../src/config/profileLoader.js';
+import { configureLogger } from '../src/utils/logger.js';
+import { getCurrentPageNumber, getNextPageUrl, handlePagination, resetPaginationState } from '../src/handlers/paginationHandler.js';
+import { createMockProfile } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+const ORIGIN = 'http://127.0.0.1:8080';
+const START_URL = `${ORIGIN}/patient-services/specialists/`;
+
+/**
+ * Apply the mock profile with a pagination configuration
+ * @param {Object} pagination - SITE.pagination overrides
+ */
+function usePagination(pagination) {
+    applyProfile(createMockProfile(ORIGIN), { SITE: { pagination } });
+}
+
+describe('query pagination', () => {
+    beforeEach(() => usePagination({ type: 'query', queryPattern: 'page={page}', startPage: 1 }));
+
+    test('reads the page number from the query', () => {
+        assert.equal(getCurrentPageNumber(`${START_URL}?page=3`), 3);
+        assert.equal(getCurrentPageNumber(`${START_URL}?sort=name&page=12`), 12);
+    });
+
+    test('falls back to the start page without the parameter', () => {
+        assert.equal(getCurrentPageNumber(START_URL), 1);
+    });
+
+    test('builds the next page URL', () => {
+        assert.equal(getNextPageUrl(START_URL), `${START_URL}?page=2`);
+        assert.equal(getNextPageUrl(`${START_URL}?page=2`), `${START_URL}?page=3`);
+    });
+
+    test('keeps other query parameters of the start URL', () => {
+        usePagination({ type: 'query', queryPattern: 'p={page}', startPage: 0, baseUrl: `${START_URL}?sort=name` });
+        assert.equal(getNextPageUrl(`${START_URL}?sort=name&p=4`), `${START_URL}?sort=name&p=5`);
+    });
+});
+
+describe('path pagination', () => {
+    beforeEach(() => usePagination({ type: 'path', pathPattern: '/page/{page}/', startPage: 1 }));
+
+    test('reads the page number from the path', () => {
+        assert.equal(getCurrentPageNumber(`${START_URL}page/4/`), 4);
+    });
+
+    test('accepts canonical URLs without the trailing slash', () => {
+        assert.equal(getCurrentPageNumber(`${ORIGIN}/patient-services/specialists/page/4`), 4);
+    });
+
+    test('falls back to the start page without a page segment', () => {
+        assert.equal(getCurrentPageNumber(START_URL), 1);
+    });
+
+    test('builds the next page URL', () => {
+        assert.equal(getNextPageUrl(START_URL), `${START_URL}page/2/`);
+        assert.equal(getNextPageUrl(`${START_URL}page/2/`), `${START_URL}page/3/`);
+    });
+});
+
+/**
+ * Minimal page DOM listing specialist links
+ * @param {Array<string>} hrefs - Specialist link URLs on the page
+ * @returns {Object} Page DOM
+ */
+function createListingDom(hrefs) {
+    return {
+        count: async () => hrefs.length,
+        attrs: async () => hrefs
+    };
+}
+
+describe('pagination stop conditions', () => {
+    const enqueued = [];
+    const enqueueLinks = async ({ urls }) => {
+        enqueued.push(...urls);
+        return { processedRequests: urls };
+    };
+
+    beforeEach(() => {
+        applyProfile(createMockProfile(ORIGIN), {
+            SITE: { pagination: { type: 'query', queryPattern: 'page={page}', startPage: 1 } },
+            SELECTORS: { nextButton: null }
+        });
+        resetPaginationState();
+        enqueued.length = 0;
+    });
+
+    test('continues when a listing page is retried', async () => {
+        const dom = createListingDom([`${START_URL}dr-alice-tan`]);
+        const failingEnqueue = async () => {
+            throw new Error('Request queue unavailable');
+        };
+
+        await assert.rejects(handlePagination(dom, `${START_URL}?page=2`, failingEnqueue));
+        assert.equal(await handlePagination(dom, `${START_URL}?page=2`, enqueueLinks), true);
+        assert.equal(enqueued.length, 1);
+        assert.match(enqueued[0], /\?page=3$/);
+    });
+
+    test('stops on a page repeating the items of another page', async () => {
+        const dom = createListingDom([`${START_URL}dr-alice-tan`]);
+
+        assert.equal(await handlePagination(dom, `${START_URL}?page=2`, enqueueLinks), true);
+        assert.equal(await handlePagination(dom, `${START_URL}?page=3`, enqueueLinks), false);
+        assert.equal(enqueued.length, 1);
+        assert.match(enqueued[0], /\?page=3$/);
+    });
+});
@@ -0,0 +1,184 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { applyProfile } from '../src/config/profileLoader.js';
+import { configureLogger } from '../src/utils/logger.js';
+import { isAllowedByRobots, loadRobotsTxt, parseRobotsTxt, selectRobotsGroup } from '../src/handlers/robotsHandler.js';
+import { getPolitenessCrawlerOptions, getRandomDelay, resolvePoliteness } from '../src/handlers/politenessHandler.js';
+import { probeNeedsBrowser } from '../src/handlers/crawlerMode.js';
+import { createMockProfile } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+const USER_AGENT = 'sge-crawler/1.0 (+https://example.com/crawler)';
+
+const ROBOTS_TXT = `
+# Test Medical Centre
+User-agent: *
+Disallow: /admin/
+Disallow: /*?print=
+Allow: /admin/public$
+
+User-agent: sge-crawler
+User-agent: other-bot
+Disallow: /patient-services/specialists/private
+Allow: /patient-services/specialists/private/shared
+Crawl-delay: 2
+`;
+
+describe('robots.txt rules', () => {
+    const groups = parseRobotsTxt(ROBOTS_TXT);
+    const allowed = (path, userAgent) => isAllowedByRobots(`https://example.com${path}`, selectRobotsGroup(groups, userAgent));
+
+    test('groups consecutive user agents and reads crawl-delay', () => {
+        assert.equal(groups.length, 2);
+        assert.deepEqual(groups[1].agents, ['sge-crawler', 'other-bot']);
+        assert.equal(groups[1].crawlDelay, 2);
+        assert.equal(groups[0].crawlDelay, null);
+    });
+
+    test('applies the group of the most specific user agent', () => {
+        assert.equal(selectRobotsGroup(groups, USER_AGENT), groups[1]);
+        assert.equal(selectRobotsGroup(groups, 'Mozilla/5.0'), groups[0]);
+        assert.equal(selectRobotsGroup(groups, null), groups[0]);
+        assert.equal(selectRobotsGroup([], USER_AGENT), null);
+    });
+
+    test('uses the longest matching rule, with wildcards and end anchors', () => {
+        assert.equal(allowed('/admin/settings'), false);
+        assert.equal(allowed('/admin/public'), true);
+        assert.equal(allowed('/admin/public/more'), false);
+        assert.equal(allowed('/patient-services/specialists/?print=1'), false);
+        assert.equal(allowed('/patient-services/specialists/'), true);
+    });
+
+    test('lets Allow win over a Disallow of the same length', () => {
+        const group = { agents: ['*'], rules: [{ allow: false, path: '/page' }, { allow: true, path: '/page' }] };
+        assert.equal(isAllowedByRobots('https://example.com/page', group), true);
+    });
+
+    test('only applies the selected group', () => {
+        assert.equal(allowed('/admin/settings', USER_AGENT), true);
+        assert.equal(allowed('/patient-services/specialists/private/dr-x', USER_AGENT), false);
+        assert.equal(allowed('/patient-services/specialists/private/shared/dr-x', USER_AGENT), true);
+        assert.equal(isAllowedByRobots('https://example.com/admin/', null), true);
+    });
+});
+
+describe('politeness', () => {
+    let server;
+    let origin;
+    const userAgents = [];
+    const paths = [];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            userAgents.push(req.headers['user-agent']);
+            paths.push(req.url);
+            if (req.url === '/robots.txt') {
+                res.writeHead(200, { 'content-type': 'text/plain' });
+                res.end(ROBOTS_TXT);
+                return;
+            }
+            res.writeHead(404);
+            res.end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        origin = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        userAgents.length = 0;
+        paths.length = 0;
+    });
+
+    /**
+     * Apply the mock profile pointed at the robots.txt server
+     * @param {Object} politeness - CONFIG.CRAWLER.politeness overrides
+     * @param {Object} crawler - Other CONFIG.CRAWLER overrides
+     */
+    const usePoliteness = (politeness, crawler = {}) => {
+        applyProfile(createMockProfile(origin), { CRAWLER: { ...crawler, politeness } });
+    };
+
+    test('loads robots.txt with the configured User-Agent', async () => {
+        const robots = await loadRobotsTxt(`${origin}/patient-services/specialists/`, USER_AGENT);
+
+        assert.deepEqual(userAgents, [USER_AGENT]);
+        assert.equal(robots.url, `${origin}/robots.txt`);
+        assert.equal(robots.found, true);
+        assert.equal(robots.crawlDelay, 2);
+        assert.equal(robots.isAllowed(`${origin}/patient-services/specialists/private/dr-x`), false);
+        assert.equal(robots.isAllowed('https://other.example.com/patient-services/specialists/private/dr-x'), true);
+    });
+
+    test('tightens the configured limits to the crawl-delay', async () => {
+        usePoliteness({ userAgent: USER_AGENT, maxConcurrency: 4, maxRequestsPerMinute: 120, delayMs: { min: 500, max: 1500 } });
+        const politeness = await resolvePoliteness();
+
+        assert.equal(politeness.maxConcurrency, 1);
+        assert.equal(politeness.maxRequestsPerMinute, 30);
+        assert.deepEqual(politeness.delayMs, { min: 2000, max: 2000 });
+        assert.equal(politeness.robots.crawlDelay, 2);
+    });
+
+    test('keeps the configured limits without robots.txt or when replaying', async () => {
+        usePoliteness({ respectRobotsTxt: false, maxConcurrency: 4 });
+        const unchecked = await resolvePoliteness();
+        assert.equal(unchecked.robots, null);
+        assert.equal(unchecked.maxConcurrency, 4);
+
+        usePoliteness({}, { cache: { mode: 'replay' } });
+        const replay = await resolvePoliteness();
+        assert.equal(replay.robots, null);
+        assert.equal(replay.maxRequestsPerMinute, null);
+        assert.deepEqual(replay.delayMs, { min: 0, max: 0 });
+        assert.deepEqual(userAgents, []);
+    });
+
+    test('sends the User-Agent from the pre-navigation hook in Cheerio mode', async () => {
+        const politeness = { maxConcurrency: 1, maxRequestsPerMinute: 30, delayMs: { min: 0, max: 0 }, userAgent: USER_AGENT };
+        const options = getPolitenessCrawlerOptions(politeness, 'cheerio');
+        const requestOptions = { headers: { accept: 'text/html' } };
+        await options.preNavigationHooks[0]({}, requestOptions);
+
+        assert.deepEqual(requestOptions.headers, { accept: 'text/html', 'user-agent': USER_AGENT });
+        assert.equal(options.maxConcurrency, 1);
+        assert.equal(options.maxRequestsPerMinute, 30);
+        assert.equal(options.launchContext, undefined);
+        assert.deepEqual(getPolitenessCrawlerOptions(politeness, 'playwright').launchContext, { userAgent: USER_AGENT });
+    });
+
+    test('extends the request timeout by the longest delay', () => {
+        const politeness = { delayMs: { min: 60000, max: 90500 }, userAgent: null };
+        assert.equal(getPolitenessCrawlerOptions(politeness, 'cheerio').requestHandlerTimeoutSecs, 151);
+        assert.equal(getPolitenessCrawlerOptions({ ...politeness, delayMs: { min: 0, max: 0 } }, 'cheerio').requestHandlerTimeoutSecs, undefined);
+    });
+
+    test('probes the auto mode within robots.txt and with the User-Agent', async () => {
+        const robots = await loadRobotsTxt(`${origin}/`, USER_AGENT);
+        const politeness = { delayMs: { min: 0, max: 0 }, userAgent: USER_AGENT, robots };
+        paths.length = 0;
+        userAgents.length = 0;
+
+        applyProfile(createMockProfile(origin), { SITE: { startUrl: `${origin}/patient-services/specialists/private/` } });
+        assert.match(await probeNeedsBrowser(politeness), /private\/ is disallowed by .*\/robots\.txt/);
+        assert.deepEqual(paths, []);
+
+        applyProfile(createMockProfile(origin));
+        assert.match(await probeNeedsBrowser(politeness), /HTTP 404/);
+        assert.deepEqual(paths, ['/patient-services/specialists/']);
+        assert.deepEqual(userAgents, [USER_AGENT]);
+    });
+
+    test('picks delays within the configured range', () => {
+        for (let i = 0; i < 20; i++) {
+            const delay = getRandomDelay({ min: 100, max: 200 });
+            assert.ok(delay >= 100 && delay <= 200);
+        }
+        assert.equal(getRandomDelay({ min: 300 }), 300);
+        assert.equal(getRandomDelay(), 0);
+    });
+});
@@ -0,0 +1,128 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { applyProfile } from '../src/config/profileLoader.js';
+import { configureLogger } from '../src/utils/logger.js';
+import {
+    createErrorHandler,
+    createFailedRequestHandler,
+    getBackoffDelay,
+    getDeadLetterPath,
+    getLabelKey,
+    getMaxRetries,
+    getRetryPolicy,
+    readDeadLetterFile,
+    resetDeadLetterFile
+} from '../src/handlers/retryHandler.js';
+import { createMockProfile } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+const ORIGIN = 'http://127.0.0.1:8080';
+const DETAIL_URL = `${ORIGIN}/patient-services/specialists/dr-alice-tan/`;
+const CHECKPOINT = { runId: 'mount-elizabeth-20240131-083000', profileId: 'mount-elizabeth' };
+
+/**
+ * Apply the mock profile with retry policies and output settings
+ * @param {Object} retries - CONFIG.CRAWLER.retries overrides
+ * @param {Object} output - CONFIG.OUTPUT overrides
+ */
+function useRetries(retries, output = {}) {
+    applyProfile(createMockProfile(ORIGIN), { CRAWLER: { retries }, OUTPUT: output });
+}
+
+/**
+ * Crawlee request as seen by the error handlers
+ * @param {Object} values - Request values
+ * @returns {Object} Request
+ */
+function createRequest(values = {}) {
+    return { url: DETAIL_URL, label: 'DETAIL', retryCount: 0, userData: {}, ...values };
+}
+
+describe('retry policies', () => {
+    beforeEach(() => useRetries({
+        default: { maxRetries: 1, backoffMs: 100, backoffFactor: 2 },
+        SPECIALISTS_LIST: { maxRetries: 4, backoffMs: 500, backoffFactor: 3 },
+        PHOTO: { maxRetries: 2 }
+    }));
+
+    test('treats the unlabelled start page as a listing page', () => {
+        assert.equal(getLabelKey(undefined), 'SPECIALISTS_LIST');
+        assert.equal(getLabelKey('DETAIL'), 'DETAIL');
+        assert.equal(getLabelKey('OTHER'), 'OTHER');
+    });
+
+    test('merges the label policy over the default policy', () => {
+        assert.deepEqual(getRetryPolicy('PHOTO'), { maxRetries: 2, backoffMs: 100, backoffFactor: 2 });
+        assert.deepEqual(getRetryPolicy(undefined), { maxRetries: 4, backoffMs: 500, backoffFactor: 3 });
+        assert.deepEqual(getRetryPolicy('OTHER'), { maxRetries: 1, backoffMs: 100, backoffFactor: 2 });
+        assert.equal(getMaxRetries(), 4);
+    });
+
+    test('backs off exponentially', () => {
+        const policy = getRetryPolicy(undefined);
+        assert.deepEqual([0, 1, 2].map(retryCount => getBackoffDelay(policy, retryCount)), [500, 1500, 4500]);
+    });
+
+    test('stops retrying a request once its label policy is exhausted', async () => {
+        useRetries({ DETAIL: { maxRetries: 2, backoffMs: 0, backoffFactor: 2 } });
+        const errorHandler = createErrorHandler();
+        const error = new Error('Navigation timed out');
+
+        const retried = createRequest({ retryCount: 1 });
+        await errorHandler({ request: retried }, error);
+        assert.equal(retried.noRetry, undefined);
+
+        const exhausted = createRequest({ retryCount: 2 });
+        await errorHandler({ request: exhausted }, error);
+        assert.equal(exhausted.noRetry, true);
+    });
+});
+
+describe('dead-letter file', () => {
+    let outputDir;
+
+    beforeEach(() => {
+        outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawler-dead-letter-'));
+        useRetries({}, { directory: outputDir, layout: 'flat' });
+    });
+
+    afterEach(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+    test('records failed requests with their listing context and HTML snapshot', async () => {
+        const failedRequestHandler = createFailedRequestHandler(CHECKPOINT);
+        const listing = { listingUrl: `${ORIGIN}/patient-services/specialists/`, page: 1, position: 1, fields: {} };
+
+        await failedRequestHandler(
+            { request: createRequest({ retryCount: 3, userData: { listing } }), body: Buffer.from('<html>Error</html>') },
+            new Error('Specialist name not found')
+        );
+        await failedRequestHandler({ request: createRequest({ url: `${ORIGIN}/patient-services/specialists/`, label: undefined }) }, new Error('Timeout'));
+
+        const [entry, listingEntry] = readDeadLetterFile(getDeadLetterPath());
+        assert.equal(entry.url, DETAIL_URL);
+        assert.equal(entry.label, 'DETAIL');
+        assert.deepEqual(entry.listing, listing);
+        assert.equal(entry.error, 'Specialist name not found');
+        assert.equal(entry.attempts, 4);
+        assert.equal(entry.runId, CHECKPOINT.runId);
+        assert.equal(fs.readFileSync(entry.htmlPath, 'utf8'), '<html>Error</html>');
+        assert.equal(entry.screenshotPath, null);
+        assert.equal(listingEntry.label, null);
+        assert.equal(listingEntry.htmlPath, null);
+    });
+
+    test('starts empty for a new run and reads gzipped files', async () => {
+        await createFailedRequestHandler(CHECKPOINT)({ request: createRequest() }, new Error('Timeout'));
+        const filepath = getDeadLetterPath();
+        fs.writeFileSync(`${filepath}.gz`, zlib.gzipSync(fs.readFileSync(filepath)));
+
+        resetDeadLetterFile();
+        assert.equal(fs.existsSync(filepath), false);
+        assert.equal(readDeadLetterFile(`${filepath}.gz`)[0].url, DETAIL_URL);
+    });
+});
@@ -0,0 +1,189 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureLogger } from '../src/utils/logger.js';
+import { parseCron, getNextCronTime } from '../src/utils/cron.js';
+import { validateProfile } from '../src/config/profileSchema.js';
+import { createMockProfile } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+// Crawlee reads the storage directory when it is first loaded, so the
+// scheduler (which imports the crawler) is imported afterwards
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+process.env.CRAWLEE_STORAGE_DIR = path.join(workDir, 'storage');
+const { createScheduler, getProfileSchedule } = await import('../src/scheduler/scheduler.js');
+const { loadScheduleState } = await import('../src/scheduler/scheduleState.js');
+const { LOCK_TTL_MS, acquireRunLock, getLockDirectory, RunLockError } = await import('../src/handlers/runLock.js');
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+describe('cron expressions', () => {
+    test('finds the next matching minute', () => {
+        const after = new Date(2024, 0, 31, 8, 30, 15);
+        assert.deepEqual(getNextCronTime('*/15 * * * *', after), new Date(2024, 0, 31, 8, 45));
+        assert.deepEqual(getNextCronTime('0 6 * * *', after), new Date(2024, 1, 1, 6, 0));
+        assert.deepEqual(getNextCronTime('@monthly', after), new Date(2024, 1, 1, 0, 0));
+        // 31 January 2024 is a Wednesday
+        assert.deepEqual(getNextCronTime('30 9 * * mon-fri', new Date(2024, 1, 2, 10, 0)), new Date(2024, 1, 5, 9, 30));
+    });
+
+    test('matches either day field when both are restricted', () => {
+        // The 15th, or any Sunday (7 is Sunday too)
+        const cron = parseCron('0 0 15 * 7');
+        assert.deepEqual(getNextCronTime(cron, new Date(2024, 0, 31)), new Date(2024, 1, 4));
+        assert.deepEqual(getNextCronTime(cron, new Date(2024, 1, 12)), new Date(2024, 1, 15));
+
+        // A stepped * still leaves the day field unrestricted: only Mondays
+        assert.deepEqual(getNextCronTime('0 0 */1 * 1', new Date(2024, 0, 31)), new Date(2024, 1, 5));
+    });
+
+    test('rejects invalid expressions', () => {
+        assert.throws(() => parseCron('0 6 * *'), /expected 5 fields/);
+        assert.throws(() => parseCron('60 * * * *'), /invalid minute "60"/);
+        assert.throws(() => parseCron('0 0 * * 1-x'), /day of week/);
+        assert.equal(getNextCronTime('0 0 30 2 *', new Date(2024, 0, 1)), null);
+
+        const errors = validateProfile({ ...createMockProfile('http://127.0.0.1:8080'), SCHEDULE: { cron: '* * *' } });
+        assert.match(errors.join('\n'), /SCHEDULE\.cron: Invalid cron expression/);
+    });
+});
+
+describe('run locks', () => {
+    test('allow one run per profile at a time', () => {
+        const lock = acquireRunLock('fixture');
+        assert.throws(() => acquireRunLock('fixture'), RunLockError);
+        acquireRunLock('other').release();
+
+        lock.release();
+        acquireRunLock('fixture').release();
+    });
+
+    test('take over locks of processes that no longer exist', () => {
+        const filepath = path.join(getLockDirectory(), 'fixture.lock');
+        fs.writeFileSync(filepath, JSON.stringify({ profileId: 'fixture', pid: 2 ** 22 + 1, hostname: os.hostname() }));
+
+        const lock = acquireRunLock('fixture');
+        assert.equal(JSON.parse(fs.readFileSync(filepath, 'utf8')).pid, process.pid);
+        lock.release();
+        assert.equal(fs.existsSync(filepath), false);
+    });
+
+    test('take over locks whose heartbeat expired or that this process left behind', () => {
+        const filepath = path.join(getLockDirectory(), 'fixture.lock');
+        const writeLock = (owner, heartbeatAge) => fs.writeFileSync(filepath, JSON.stringify({
+            profileId: 'fixture',
+            ...owner,
+            lockedAt: new Date(Date.now() - heartbeatAge).toISOString()
+        }));
+
+        writeLock({ pid: 1, hostname: 'other-container' }, 1000);
+        assert.throws(() => acquireRunLock('fixture'), RunLockError);
+
+        writeLock({ pid: 1, hostname: 'other-container' }, LOCK_TTL_MS + 1000);
+        acquireRunLock('fixture').release();
+
+        // e.g. pid 1 of a container restarted with the same hostname
+        writeLock({ pid: process.pid, hostname: os.hostname() }, 1000);
+        acquireRunLock('fixture').release();
+    });
+
+    test('treat unreadable locks as held until they are older than the TTL', () => {
+        const filepath = path.join(getLockDirectory(), 'fixture.lock');
+        fs.writeFileSync(filepath, '');
+        assert.throws(() => acquireRunLock('fixture'), RunLockError);
+
+        const expired = new Date(Date.now() - LOCK_TTL_MS - 1000);
+        fs.utimesSync(filepath, expired, expired);
+        acquireRunLock('fixture').release();
+        assert.deepEqual(fs.readdirSync(getLockDirectory()).filter(name => name.startsWith('fixture.')), []);
+    });
+
+    test('leave a lock taken over by another process in place on release', () => {
+        const filepath = path.join(getLockDirectory(), 'fixture.lock');
+        const lock = acquireRunLock('fixture');
+        const owner = { profileId: 'fixture', pid: 1, hostname: 'other-container', lockedAt: new Date().toISOString() };
+        fs.writeFileSync(filepath, JSON.stringify(owner));
+
+        lock.release();
+        assert.deepEqual(JSON.parse(fs.readFileSync(filepath, 'utf8')), owner);
+        fs.rmSync(filepath);
+    });
+});
+
+describe('scheduler', () => {
+    const profile = { ...createMockProfile('http://127.0.0.1:8080'), id: 'scheduled', SCHEDULE: { cron: '0 6 * * *' } };
+    const schedules = [{ profile, ...getProfileSchedule(profile) }];
+    let clock;
+    const now = () => new Date(clock);
+
+    // Stands in for crawlProfile(): finishes when release() is called, or when cancelled
+    const crawls = [];
+    const crawl = (crawledProfile, overrides, { signal, onProgress }) => new Promise((resolve, reject) => {
+        onProgress({ runId: `scheduled-${crawls.length + 1}`, records: 0, pages: {} });
+        const release = () => resolve({ qualityReport: { totalRecords: 3, qualityScore: 67 } });
+        signal.addEventListener('abort', () => reject(new Error('cancelled')), { once: true });
+        crawls.push({ profileId: crawledProfile.id, release });
+    });
+
+    test('does not catch up on its first start', async () => {
+        clock = new Date(2024, 0, 31, 8, 30);
+        const scheduler = createScheduler({ schedules, crawl, now });
+        scheduler.start();
+
+        assert.equal(crawls.length, 0);
+        assert.equal(scheduler.getStatus()[0].nextAt, new Date(2024, 1, 1, 6, 0).toISOString());
+        await scheduler.stop();
+    });
+
+    test('runs due profiles, skips overlapping slots and records the history', async () => {
+        const scheduler = createScheduler({ schedules, crawl, now });
+        scheduler.start();
+
+        clock = new Date(2024, 1, 1, 6, 0, 5);
+        scheduler.tick();
+        assert.equal(crawls.length, 1);
+        assert.equal(scheduler.getStatus()[0].running, true);
+
+        // Still running when the next slot comes
+        clock = new Date(2024, 1, 2, 6, 0, 5);
+        scheduler.tick();
+        assert.equal(crawls.length, 1);
+
+        crawls[0].release();
+        await scheduler.idle();
+        await scheduler.stop();
+
+        const { history, lastScheduledAt } = loadScheduleState('scheduled');
+        assert.equal(lastScheduledAt, new Date(2024, 1, 2, 6, 0).toISOString());
+        assert.deepEqual(history.map(entry => entry.status), ['completed', 'skipped']);
+        assert.equal(history[0].runId, 'scheduled-1');
+        assert.equal(history[0].records, 3);
+        assert.equal(history[0].catchUp, false);
+    });
+
+    test('catches up once on runs missed while stopped', async () => {
+        clock = new Date(2024, 1, 5, 12, 0);
+        const scheduler = createScheduler({ schedules, crawl, now });
+        scheduler.start();
+
+        assert.equal(crawls.length, 2);
+        await scheduler.stop();
+
+        const entry = loadScheduleState('scheduled').history.at(-1);
+        assert.equal(entry.scheduledFor, new Date(2024, 1, 5, 6, 0).toISOString());
+        assert.equal(entry.catchUp, true);
+        assert.equal(entry.status, 'cancelled');
+    });
+
+    test('skips catch-up when it is disabled', async () => {
+        clock = new Date(2024, 1, 8, 12, 0);
+        const scheduler = createScheduler({ schedules: [{ ...schedules[0], catchUp: false }], crawl, now });
+        scheduler.start();
+
+        assert.equal(crawls.length, 2);
+        await scheduler.stop();
+    });
+});
@@ -0,0 +1,115 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+import { applyProfile } from '../src/config/profileLoader.js';
+import { configureLogger } from '../src/utils/logger.js';
+import { createCheerioDom } from '../src/handlers/domAdapter.js';
+import { diagnosePage, getSelectorChecks, inspectSelector, suggestSelectors } from '../src/handlers/selectorDiagnostics.js';
+import { createMockProfile, readFixture } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+const ORIGIN = 'http://127.0.0.1:8080';
+const LISTING_URL = `${ORIGIN}/patient-services/specialists/`;
+const DETAIL_URL = `${ORIGIN}/patient-services/specialists/dr-alice-tan/`;
+
+// A listing page after a redesign: new classes for the cards and the pager
+const REDESIGNED_LISTING = `
+<html><body>
+    <nav><a href="/about/">About</a><a href="/contact/">Contact</a></nav>
+    <section id="doctor-grid">
+        <article class="doctor-card"><a class="card-link" href="/patient-services/specialists/dr-alice-tan/">Dr Alice Tan</a></article>
+        <article class="doctor-card"><a class="card-link" href="/patient-services/specialists/dr-bob-lim/">Dr Bob Lim</a></article>
+        <article class="doctor-card"><a class="card-link" href="/patient-services/specialists/dr-carol-ng/">Dr Carol Ng</a></article>
+    </section>
+    <ul class="pager"><li class="pager-next"><a href="?page=2">Next ›</a></li></ul>
+</body></html>`;
+
+/**
+ * Find a check by name
+ * @param {Array<Object>} checks - Checks from getSelectorChecks
+ * @param {string} name - Check name, e.g. SELECTORS.specialistLinks
+ * @returns {Object} Check
+ */
+function findCheck(checks, name) {
+    return checks.find(check => check.name === name);
+}
+
+describe('selector diagnostics', () => {
+    beforeEach(() => applyProfile(createMockProfile(ORIGIN)));
+
+    test('lists the listing selectors and the detail fields to check', () => {
+        applyProfile(createMockProfile(ORIGIN), {
+            FIELDS: { contactDetails: { fields: { link: { selector: 'a', attribute: 'href' } } } }
+        });
+        const { listing, detail } = getSelectorChecks();
+
+        assert.deepEqual(listing.map(check => check.name), [
+            'SELECTORS.specialistLinks',
+            'SELECTORS.nextButton',
+            'SELECTORS.nextButtonContainer',
+            'SELECTORS.listingCard'
+        ]);
+        assert.deepEqual(findCheck(listing, 'SELECTORS.specialistLinks'), {
+            name: 'SELECTORS.specialistLinks',
+            selector: '#gridcontent-desktop a.moe-fp-view-profile',
+            parent: null,
+            attribute: 'href',
+            required: true,
+            role: 'links'
+        });
+        assert.equal(findCheck(detail, 'FIELDS.doctorName').required, true);
+        assert.deepEqual(findCheck(detail, 'FIELDS.contactDetails.link'), {
+            name: 'FIELDS.contactDetails.link',
+            selector: 'a',
+            parent: '.mp-pac .mp-pac-box a.moe-vp-pac',
+            attribute: 'href',
+            required: false,
+            role: 'field'
+        });
+    });
+
+    test('counts matches and samples values on the saved pages', async () => {
+        const listingDom = createCheerioDom(load(readFixture('listing-1.html')), LISTING_URL);
+        const detailDom = createCheerioDom(load(readFixture('detail-dr-alice-tan.html')), DETAIL_URL);
+        const { listing, detail } = getSelectorChecks();
+
+        const listingResults = await diagnosePage(listingDom, listing);
+        const links = findCheck(listingResults, 'SELECTORS.specialistLinks');
+        assert.equal(links.count, 3);
+        assert.equal(links.samples[1], `${ORIGIN}/patient-services/specialists/dr-bob-lim/`);
+        assert.ok(listingResults.every(result => result.count > 0 && result.suggestions.length === 0));
+
+        const [name] = await diagnosePage(detailDom, detail);
+        assert.deepEqual(name.samples, ['Dr Alice Tan']);
+    });
+
+    test('suggests replacements for a field selector that matches nothing', async () => {
+        applyProfile(createMockProfile(ORIGIN), { FIELDS: { doctorName: { selector: '.doctor-title' } } });
+        const dom = createCheerioDom(load(readFixture('detail-dr-alice-tan.html')), DETAIL_URL);
+
+        const [name] = await diagnosePage(dom, getSelectorChecks().detail);
+        assert.equal(name.count, 0);
+        assert.deepEqual(name.suggestions[0], { selector: 'h1.profile-name', count: 1, samples: ['Dr Alice Tan'] });
+    });
+
+    test('suggests the links and next button of a redesigned listing', () => {
+        const { listing } = getSelectorChecks();
+
+        const [links] = suggestSelectors(REDESIGNED_LISTING, LISTING_URL, findCheck(listing, 'SELECTORS.specialistLinks'));
+        assert.equal(links.selector, 'a.card-link');
+        assert.equal(links.count, 3);
+        assert.equal(links.samples[0], `${ORIGIN}/patient-services/specialists/dr-alice-tan/`);
+
+        const [next] = suggestSelectors(REDESIGNED_LISTING, LISTING_URL, findCheck(listing, 'SELECTORS.nextButton'));
+        assert.deepEqual(next, { selector: 'li.pager-next a', count: 1, samples: ['Next ›'] });
+    });
+
+    test('reports invalid selectors instead of throwing', async () => {
+        const dom = createCheerioDom(load(readFixture('listing-1.html')), LISTING_URL);
+        const result = await inspectSelector(dom, { selector: 'a[href', parent: null, attribute: null });
+
+        assert.equal(result.count, 0);
+        assert.ok(result.error);
+    });
+});
@@ -0,0 +1,77 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { isUrlAllowed, isUrlExcluded, shouldCrawlUrl } from '../src/utils/helpers.js';
+import { canonicalizeUrl } from '../src/utils/urlFilter.js';
+import { createMockProfile } from './helpers/mockSite.js';
+
+const ORIGIN = 'http://127.0.0.1:8080';
+const { SITE } = createMockProfile(ORIGIN);
+
+describe('isUrlAllowed', () => {
+    test('allows the listing page and everything below it', () => {
+        assert.equal(isUrlAllowed(`${ORIGIN}/patient-services/specialists/`, SITE.allowedUrlPatterns), true);
+        assert.equal(isUrlAllowed(`${ORIGIN}/patient-services/specialists/dr-alice-tan/`, SITE.allowedUrlPatterns), true);
+        assert.equal(isUrlAllowed(`${ORIGIN}/patient-services/specialists/?page=2`, SITE.allowedUrlPatterns), true);
+    });
+
+    test('rejects URLs outside the allowed patterns', () => {
+        assert.equal(isUrlAllowed(`${ORIGIN}/news/`, SITE.allowedUrlPatterns), false);
+        assert.equal(isUrlAllowed('https://example.com/patient-services/specialists/', SITE.allowedUrlPatterns), false);
+    });
+
+    test('supports path, query and regex rules', () => {
+        assert.equal(isUrlAllowed(`${ORIGIN}/doctors/1`, ['/doctors/*']), true);
+        assert.equal(isUrlAllowed(`${ORIGIN}/doctors/1/reviews`, ['/doctors/*']), false);
+        assert.equal(isUrlAllowed(`${ORIGIN}/list?page=2`, ['**?page']), true);
+        assert.equal(isUrlAllowed(`${ORIGIN}/doctors/42`, [/\/doctors\/\d+$/]), true);
+        assert.equal(isUrlAllowed(`${ORIGIN}/doctors/abc`, ['re:/doctors/\\d+$']), false);
+    });
+});
+
+describe('isUrlExcluded', () => {
+    test('excludes the configured sections', () => {
+        assert.equal(isUrlExcluded(`${ORIGIN}/patient-services/specialty_areas/cardiology/`, SITE.excludedUrlPatterns), true);
+        assert.equal(isUrlExcluded(`${ORIGIN}/patient-services/about/`, SITE.excludedUrlPatterns), true);
+    });
+
+    test('keeps specialist pages', () => {
+        assert.equal(isUrlExcluded(`${ORIGIN}/patient-services/specialists/dr-bob-lim/`, SITE.excludedUrlPatterns), false);
+    });
+
+    test('excludes nothing without patterns', () => {
+        assert.equal(isUrlExcluded(`${ORIGIN}/patient-services/about/`, []), false);
+        assert.equal(isUrlExcluded(`${ORIGIN}/patient-services/about/`, undefined), false);
+    });
+});
+
+describe('shouldCrawlUrl', () => {
+    test('combines the allow and exclude rules', () => {
+        assert.equal(shouldCrawlUrl(`${ORIGIN}/patient-services/specialists/dr-bob-lim/`, SITE), true);
+        assert.equal(shouldCrawlUrl(`${ORIGIN}/patient-services/about/`, SITE), false);
+        assert.equal(shouldCrawlUrl(`${ORIGIN}/news/`, SITE), false);
+        assert.equal(shouldCrawlUrl('not a url', SITE), false);
+    });
+
+    test('allows every valid URL without allowed patterns', () => {
+        assert.equal(shouldCrawlUrl(`${ORIGIN}/news/`, { allowedUrlPatterns: [], excludedUrlPatterns: [] }), true);
+    });
+});
+
+describe('canonicalizeUrl', () => {
+    test('drops tracking parameters and the fragment', () => {
+        assert.equal(
+            canonicalizeUrl(`${ORIGIN}/patient-services/specialists/dr-alice-tan/?utm_source=listing&utm_medium=grid#profile`),
+            `${ORIGIN}/patient-services/specialists/dr-alice-tan/`
+        );
+    });
+
+    test('drops the trailing slash only when asked to', () => {
+        const url = `${ORIGIN}/patient-services/specialists/dr-alice-tan/`;
+        assert.equal(canonicalizeUrl(url, { stripTrailingSlash: true }), `${ORIGIN}/patient-services/specialists/dr-alice-tan`);
+        assert.equal(canonicalizeUrl(url, SITE.canonicalization), url);
+    });
+
+    test('keeps other query parameters', () => {
+        assert.equal(canonicalizeUrl(`${ORIGIN}/patient-services/specialists/?page=2`), `${ORIGIN}/patient-services/specialists/?page=2`);
+    });
+});
@@ -0,0 +1,115 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyProfile } from '../src/config/profileLoader.js';
+import { configureLogger } from '../src/utils/logger.js';
+import { ERROR_CODES, buildQualityReport, meetsQualityThreshold, validateRecord } from '../src/handlers/validator.js';
+import { createMockProfile } from './helpers/mockSite.js';
+
+configureLogger({ level: 'silent' });
+
+const ORIGIN = 'http://127.0.0.1:8080';
+const PHONE = { type: 'phone', value: '+6567372666', text: '+65 6737 2666', link: 'tel:+6567372666' };
+
+/**
+ * Specialist record as extracted by the crawler, validated
+ * @param {string} slug - Detail page slug
+ * @param {Object} values - Field values
+ * @returns {Object} Record with its errors
+ */
+function createRecord(slug, values) {
+    const record = { url: `${ORIGIN}/patient-services/specialists/${slug}/`, doctorName: null, contactDetails: [], ...values };
+    record.errors = validateRecord(record);
+    return record;
+}
+
+/**
+ * Apply the mock profile with validation settings
+ * @param {Object} validation - CONFIG.VALIDATION values
+ */
+function useValidation(validation) {
+    applyProfile(createMockProfile(ORIGIN), { VALIDATION: validation });
+}
+
+describe('validateRecord', () => {
+    beforeEach(() => useValidation({}));
+
+    test('accepts a record with every required field', () => {
+        assert.deepEqual(validateRecord({ doctorName: 'Dr Alice Tan', contactDetails: [PHONE] }), []);
+    });
+
+    test('reports missing required fields', () => {
+        const errors = validateRecord({ doctorName: '', contactDetails: [] });
+        assert.deepEqual(errors, [{ code: ERROR_CODES.REQUIRED_FIELD_MISSING, field: 'doctorName', message: 'doctorName is required' }]);
+    });
+
+    test('applies the pattern, length and item count rules', () => {
+        useValidation({ rules: { doctorName: { pattern: '^Dr ', minLength: 8 }, contactDetails: { minItems: 1 } } });
+
+        const errors = validateRecord({ doctorName: 'Alice', contactDetails: [] });
+        assert.deepEqual(errors.map(error => [error.code, error.field]), [
+            [ERROR_CODES.PATTERN_MISMATCH, 'doctorName'],
+            [ERROR_CODES.TOO_SHORT, 'doctorName'],
+            [ERROR_CODES.TOO_FEW_ITEMS, 'contactDetails']
+        ]);
+    });
+
+    test('requires fields that only have a rule', () => {
+        useValidation({ rules: { specialty: { required: true } } });
+
+        const errors = validateRecord({ doctorName: 'Dr Alice Tan', contactDetails: [] });
+        assert.deepEqual(errors.map(error => [error.code, error.field]), [[ERROR_CODES.REQUIRED_FIELD_MISSING, 'specialty']]);
+    });
+
+    test('reports contacts that could not be normalized', () => {
+        const contact = { type: 'phone', value: null, text: 'call the clinic', link: 'tel:clinic' };
+
+        const errors = validateRecord({ doctorName: 'Dr Alice Tan', contactDetails: [contact, PHONE] });
+        assert.deepEqual(errors, [{
+            code: ERROR_CODES.CONTACT_NOT_NORMALIZED,
+            field: 'contactDetails',
+            message: 'phone "call the clinic" could not be normalized'
+        }]);
+    });
+});
+
+describe('buildQualityReport', () => {
+    beforeEach(() => useValidation({ minQuality: 50 }));
+
+    test('counts valid records, error codes and field completeness', () => {
+        const report = buildQualityReport([
+            createRecord('dr-alice-tan', { doctorName: 'Dr Alice Tan', contactDetails: [PHONE] }),
+            createRecord('dr-bob-lim', { doctorName: 'Dr Bob Lim' }),
+            createRecord('dr-carol-ng', {})
+        ]);
+
+        assert.equal(report.totalRecords, 3);
+        assert.equal(report.validRecords, 2);
+        assert.equal(report.invalidRecords, 1);
+        assert.equal(report.qualityScore, 66.67);
+        assert.equal(report.minQuality, 50);
+        assert.deepEqual(report.countsByCode, { [ERROR_CODES.REQUIRED_FIELD_MISSING]: 1 });
+        assert.deepEqual(report.fieldCompleteness, { doctorName: 66.67, contactDetails: 33.33 });
+        assert.deepEqual(report.failingUrls, [{
+            url: `${ORIGIN}/patient-services/specialists/dr-carol-ng/`,
+            codes: [ERROR_CODES.REQUIRED_FIELD_MISSING]
+        }]);
+    });
+
+    test('scores an empty run as 0', () => {
+        const report = buildQualityReport([]);
+        assert.equal(report.qualityScore, 0);
+        assert.deepEqual(report.fieldCompleteness, { doctorName: 0, contactDetails: 0 });
+    });
+});
+
+describe('meetsQualityThreshold', () => {
+    test('compares the score with minQuality', () => {
+        assert.equal(meetsQualityThreshold({ qualityScore: 80, minQuality: 80 }), true);
+        assert.equal(meetsQualityThreshold({ qualityScore: 79.99, minQuality: 80 }), false);
+    });
+
+    test('passes every run without a threshold', () => {
+        assert.equal(meetsQualityThreshold({ qualityScore: 0, minQuality: null }), true);
+        assert.equal(meetsQualityThreshold({ qualityScore: 0 }), true);
+    });
+});